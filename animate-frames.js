@@ -1,10 +1,19 @@
 import puppeteer from 'puppeteer';
 import { fileURLToPath } from 'url';
 import { dirname, join, basename } from 'path';
-import { readFile, mkdir, rm } from 'fs/promises';
-import { execSync } from 'child_process';
 import { existsSync } from 'fs';
+import { readFile, mkdir, rm } from 'fs/promises';
 import * as dotenv from 'dotenv';
+import { loadRoute, parseSplitArg, formatLoadReport, ROUTE_FILE_PATTERN } from './lib/load-route.js';
+import { findRouteFile } from './lib/route-library.js';
+import { createTimeline, getAttribution, ATTRIBUTION_MODES } from './js/route-normalize.js';
+import { createRouter, routingConfigFromEnv, getStopRoutingOptions } from './js/routing.js';
+import { createGeocoder } from './js/geocoding.js';
+import { createGeoCache, createCachedResolver } from './lib/geo-cache.js';
+import { createFramePlan, installFrameRenderer, framePath, splitFrames, captureFrames, formatFrameRanges, encodeFrames, DEFAULT_FPS, DEFAULT_TILE_TIMEOUT } from './lib/frame-renderer.js';
+import { FRAME_PRESETS, DEFAULT_FRAME, frameViewport } from './js/frame-presets.js';
+import { DEFAULT_TILE_LAYER } from './js/tile-layers.js';
+import { loadTileLayers } from './lib/load-tile-layers.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,36 +26,34 @@ const zoomUtilsCode = await readFile(join(__dirname, 'js', 'zoom-utils.js'), 'ut
 const animationCoreCode = await readFile(join(__dirname, 'js', 'animation-core.js'), 'utf-8');
 
 // Configuration
-const FPS = 30;
+const FPS = DEFAULT_FPS;
 const FRAME_DIR = join(__dirname, 'frames');
 
-// Load destinations from JSON
-const jsonArg = process.argv.find(arg => arg.endsWith('.json'));
-const destinationsPath = jsonArg 
-    ? (jsonArg.startsWith('/') ? jsonArg : join(__dirname, jsonArg))
-    : join(__dirname, 'destinations.json');
+// Load destinations from JSON, GPX, or exported GeoJSON/KML (support custom file via CLI argument)
+// Older route files are upgraded and everything is validated before any geocoding/routing
+const jsonArg = process.argv.find(arg => ROUTE_FILE_PATTERN.test(arg));
+// A name that isn't a file here is looked up in the route library (routes/)
+const destinationsPath = findRouteFile(jsonArg || 'destinations.json', __dirname);
 
 const resumeMode = process.argv.includes('--resume');
 
 console.log(`Loading destinations from: ${basename(destinationsPath)}`);
-const destinationsConfig = JSON.parse(await readFile(destinationsPath, 'utf-8'));
+// --split "lat,lng;lat,lng" cuts a GPX track at these points instead of its waypoints
+const loaded = await loadRoute(destinationsPath, { splitPoints: parseSplitArg(process.argv) });
+const destinationsConfig = loaded.route;
+const loadReport = formatLoadReport(loaded);
+if (loadReport) console.log(loadReport);
+if (!loaded.validation.valid) process.exit(1);
 
-// Tile layer configurations
-const TILE_LAYERS = {
-    osm: { url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', options: { maxZoom: 19 } },
-    watercolor: { url: 'https://watercolormaps.collection.cooperhewitt.org/tile/watercolor/{z}/{x}/{y}.jpg', options: { maxZoom: 15 } },
-    terrain: { url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png', options: { maxZoom: 17 } },
-    toner: { url: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    dark: { url: 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    voyager: { url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    'toner-nolabels': { url: 'https://a.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    'voyager-nolabels': { url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager_nolabels/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    humanitarian: { url: 'https://a.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', options: { maxZoom: 19 } }
-};
+// Tile layers - built-in, tile-layers.json and local basemaps (see lib/load-tile-layers.js)
+const { layers: TILE_LAYERS } = await loadTileLayers().catch(e => {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+});
 
-// Parse --tile argument
+// Parse --tile argument (default: the route file's own basemap, then osm)
 const tileArg = process.argv.find(arg => arg.startsWith('--tile'));
-let selectedTile = 'osm';
+let selectedTile = destinationsConfig.tile || DEFAULT_TILE_LAYER;
 if (tileArg) {
     const tileIndex = process.argv.indexOf(tileArg);
     if (tileArg.includes('=')) selectedTile = tileArg.split('=')[1];
@@ -56,63 +63,76 @@ if (!TILE_LAYERS[selectedTile]) {
     console.error(`Unknown tile: ${selectedTile}. Available: ${Object.keys(TILE_LAYERS).join(', ')}`);
     process.exit(1);
 }
+if (!TILE_LAYERS[selectedTile].url) {
+    console.error(`${selectedTile} is a local basemap - it is served by the server (npm start), not the CLI`);
+    process.exit(1);
+}
 console.log(`Using tile layer: ${selectedTile}`);
 
-// Geocode address
-async function geocodeAddress(address) {
-    const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(address)}&format=json&limit=1`;
-    try {
-        const response = await fetch(url, { headers: { 'User-Agent': 'MapAnimation/1.0' } });
-        const data = await response.json();
-        if (data.length > 0) {
-            console.log(`Found: ${data[0].display_name}`);
-            return [parseFloat(data[0].lat), parseFloat(data[0].lon)];
-        }
-    } catch (error) { console.error('Geocoding error:', error); }
-    return null;
+// Parse --frame argument (16x9, 16x9-4k, 9x16, 1x1, 4x5 - see js/frame-presets.js)
+const frameArg = process.argv.find(arg => arg.startsWith('--frame'));
+let selectedFrame = DEFAULT_FRAME;
+if (frameArg) {
+    const frameIndex = process.argv.indexOf(frameArg);
+    if (frameArg.includes('=')) selectedFrame = frameArg.split('=')[1];
+    else if (process.argv[frameIndex + 1] && !process.argv[frameIndex + 1].startsWith('-')) selectedFrame = process.argv[frameIndex + 1];
 }
+if (!FRAME_PRESETS[selectedFrame]) {
+    console.error(`Unknown frame: ${selectedFrame}. Available: ${Object.keys(FRAME_PRESETS).join(', ')}`);
+    process.exit(1);
+}
+console.log(`Frame: ${FRAME_PRESETS[selectedFrame].label}`);
 
-// Get hiking route from GraphHopper
-async function getHikingRoute(start, end, viaPoints = []) {
-    const points = [start, ...viaPoints, end];
-    const pointsParam = points.map(p => `point=${p[0]},${p[1]}`).join('&');
-    const apiKey = process.env.GRAPHHOPPER_API_KEY || '';
-    const url = `https://graphhopper.com/api/1/route?${pointsParam}&profile=foot&points_encoded=false&key=${apiKey}`;
-    
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        if (data.paths && data.paths.length > 0) {
-            const coords = data.paths[0].points.coordinates.map(c => [c[1], c[0]]);
-            console.log(`Hiking route: ${coords.length} waypoints`);
-            return coords;
-        }
-    } catch (error) { console.error('Hiking route error:', error); }
-    return getRouteCoordinates(start, end, 'foot', viaPoints);
+// Parse --attribution argument (overlay, end-card, both, off) - overrides the route's attribution.mode
+const attributionArg = process.argv.find(arg => arg.startsWith('--attribution'));
+if (attributionArg) {
+    const attributionIndex = process.argv.indexOf(attributionArg);
+    const mode = attributionArg.includes('=') ? attributionArg.split('=')[1] : process.argv[attributionIndex + 1];
+    if (!ATTRIBUTION_MODES.includes(mode)) {
+        console.error(`Unknown attribution mode: ${mode}. Available: ${ATTRIBUTION_MODES.join(', ')}`);
+        process.exit(1);
+    }
+    destinationsConfig.attribution = { ...destinationsConfig.attribution, mode };
 }
+const attribution = getAttribution(destinationsConfig, TILE_LAYERS[selectedTile]);
+console.log(`Map credits: ${attribution.text ? attribution.mode : 'none (the tile layer has no attribution)'}`);
 
-// Get route from OSRM
-async function getRouteCoordinates(start, end, profile = 'driving', viaPoints = []) {
-    let coordsString = `${start[1]},${start[0]}`;
-    for (const via of viaPoints) coordsString += `;${via[1]},${via[0]}`;
-    coordsString += `;${end[1]},${end[0]}`;
-    
-    const url = `https://router.project-osrm.org/route/v1/${profile}/${coordsString}?overview=full&geometries=geojson`;
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        if (data.routes && data.routes.length > 0) {
-            const coords = data.routes[0].geometry.coordinates.map(c => [c[1], c[0]]);
-            console.log(`Route: ${coords.length} waypoints`);
-            return coords;
-        }
-    } catch (error) { console.error('Route error:', error); }
-    return [start, end];
+// Parse --workers argument - browsers rendering slices of the frames in parallel
+const workersArg = process.argv.find(arg => arg.startsWith('--workers'));
+let workerCount = 1;
+if (workersArg) {
+    const workersIndex = process.argv.indexOf(workersArg);
+    workerCount = Number(workersArg.includes('=') ? workersArg.split('=')[1] : process.argv[workersIndex + 1]);
+}
+if (!Number.isInteger(workerCount) || workerCount < 1) {
+    console.error('--workers must be a whole number of at least 1');
+    process.exit(1);
+}
+
+// Geocoding and routing (GraphHopper, OSRM, Valhalla, straight line) through the
+// disk cache shared with server.js - resolved routes render offline.
+// --refresh ignores cached results (and updates them)
+const refreshCache = process.argv.includes('--refresh');
+const resolver = createCachedResolver(
+    createGeoCache(),
+    createGeocoder({ baseUrl: process.env.NOMINATIM_URL }),
+    createRouter(routingConfigFromEnv(process.env))
+);
+
+async function geocodeAddress(address) {
+    const result = await resolver.geocode(address, { refresh: refreshCache });
+    if (result) {
+        console.log(`Found: ${result.displayName}${result.cached ? ' (cached)' : ''}`);
+    }
+    return result?.coordinates || null;
 }
 
 // Build route segments
-console.log(`Geocoding ${destinationsConfig.start.address}...`);
-const startPoint = await geocodeAddress(destinationsConfig.start.address);
+let startPoint = destinationsConfig.start.coordinates;
+if (!startPoint) {
+    console.log(`Geocoding ${destinationsConfig.start.address}...`);
+    startPoint = await geocodeAddress(destinationsConfig.start.address);
+}
 if (!startPoint) { console.error('Could not geocode start'); process.exit(1); }
 
 const routeSegments = [];
@@ -121,7 +141,7 @@ let previousLabel = destinationsConfig.start.label;
 
 console.log(`Building route with ${destinationsConfig.stops.length} stops...`);
 for (const stop of destinationsConfig.stops) {
-    let nextPoint = stop.coordinates;
+    let nextPoint = stop.coordinates || stop.geometry?.[stop.geometry.length - 1];
     if (!nextPoint && stop.address) {
         console.log(`Geocoding: ${stop.address}...`);
         nextPoint = await geocodeAddress(stop.address);
@@ -129,18 +149,15 @@ for (const stop of destinationsConfig.stops) {
     }
     
     let coords;
-    if (stop.travelMode === 'direct') {
-        coords = [];
-        for (let j = 0; j <= 50; j++) {
-            const t = j / 50;
-            coords.push([currentPoint[0] + (nextPoint[0] - currentPoint[0]) * t, currentPoint[1] + (nextPoint[1] - currentPoint[1]) * t]);
-        }
-    } else if (stop.travelMode === 'hike') {
-        console.log(`Getting hike route to "${stop.label}"...`);
-        coords = await getHikingRoute(currentPoint, nextPoint, stop.viaPoints || []);
+    if (stop.geometry?.length > 1) {
+        // Recorded (GPX) geometry - no routing needed
+        console.log(`Using recorded track to "${stop.label}" (${stop.geometry.length} points)`);
+        coords = stop.geometry;
     } else {
         console.log(`Getting ${stop.travelMode} route to "${stop.label}"...`);
-        coords = await getRouteCoordinates(currentPoint, nextPoint, stop.travelMode, stop.viaPoints || []);
+        const result = await resolver.route(currentPoint, nextPoint, getStopRoutingOptions(destinationsConfig, stop), { refresh: refreshCache });
+        coords = result.coordinates;
+        console.log(`Route (${result.provider}${result.cached ? ', cached' : ''}): ${coords.length} waypoints`);
     }
     
     routeSegments.push({
@@ -150,7 +167,8 @@ for (const stop of destinationsConfig.stops) {
         toLabel: stop.label,
         travelMode: stop.travelMode,
         zoomLevel: stop.zoomLevel || null,
-        pause: stop.pause || 0.5
+        pause: stop.pause ?? 0.5,
+        duration: stop.duration || null
     });
     
     currentPoint = nextPoint;
@@ -159,206 +177,135 @@ for (const stop of destinationsConfig.stops) {
 
 const allCoordinates = routeSegments.flatMap(seg => seg.coordinates);
 
-// Timing configuration
-const TITLE_DURATION = 3;
-const PAN_DURATION = 2.5;
-const ROUTE_DURATION = 25;
-const END_DURATION = 2;
-
-const totalPauseTime = routeSegments.reduce((sum, seg) => sum + (seg.pause || 0.5), 0);
-const totalDuration = TITLE_DURATION + PAN_DURATION + ROUTE_DURATION + totalPauseTime + END_DURATION;
-const totalFrames = Math.ceil(totalDuration * FPS);
-
-// Frame ranges
-const TITLE_END_FRAME = Math.floor(TITLE_DURATION * FPS);
-const PAN_END_FRAME = Math.floor((TITLE_DURATION + PAN_DURATION) * FPS);
-const ROUTE_END_FRAME = Math.floor((TITLE_DURATION + PAN_DURATION + ROUTE_DURATION + totalPauseTime) * FPS);
-
-// Pause frames per segment
-const segmentPauseFrames = routeSegments.map(seg => Math.floor((seg.pause || 0.5) * FPS));
-const totalPauseFrames = segmentPauseFrames.reduce((a, b) => a + b, 0);
-const routeOnlyFrames = ROUTE_END_FRAME - PAN_END_FRAME - totalPauseFrames;
+// Timing configuration (shared with animate.js, the recorder and server.js)
+const timeline = createTimeline(destinationsConfig, routeSegments);
+const plan = createFramePlan(timeline, FPS);
+const { totalFrames, titleEndFrame, panEndFrame, routeEndFrame } = plan;
+const totalDuration = timeline.total / 1000;
 
 console.log(`\n📊 Animation Plan:`);
 console.log(`   Duration: ${totalDuration}s, Frames: ${totalFrames}, FPS: ${FPS}`);
-console.log(`   Phases: Title (0-${TITLE_END_FRAME}), Pan (${TITLE_END_FRAME}-${PAN_END_FRAME}), Route (${PAN_END_FRAME}-${ROUTE_END_FRAME}), End (${ROUTE_END_FRAME}-${totalFrames})`);
+console.log(`   Phases: Title (0-${titleEndFrame}), Pan (${titleEndFrame}-${panEndFrame}), Route (${panEndFrame}-${routeEndFrame}), End (${routeEndFrame}-${totalFrames})${timeline.credits ? ' incl. credits' : ''}`);
 
 const options = {
-    lineColor: destinationsConfig.animation?.lineColor || '#8B4513',
-    lineWidth: destinationsConfig.animation?.lineWidth || 4,
+    lineColor: destinationsConfig.animation.lineColor,
+    lineWidth: destinationsConfig.animation.lineWidth,
     finalDestination: destinationsConfig.stops[destinationsConfig.stops.length - 1].label,
     title: destinationsConfig.title || 'ADVENTURE',
     date: destinationsConfig.date || '',
     startZoomLevel: destinationsConfig.start.zoomLevel || null,
-    tileLayer: TILE_LAYERS[selectedTile]
+    tileLayer: TILE_LAYERS[selectedTile],
+    attribution,
+    fadeAnimation: false
 };
 
-async function createFrameByFrameAnimation() {
-    if (!resumeMode) {
-        try { await rm(FRAME_DIR, { recursive: true, force: true }); } catch (e) {}
-    }
-    await mkdir(FRAME_DIR, { recursive: true });
-    
-    console.log('\n🚀 Launching browser...');
+/**
+ * Open a browser with the map ready to render frames
+ * @param {string} prefix - Put before log lines (which worker)
+ * @returns {Promise<Object>} { browser, page }
+ */
+async function openRenderPage(prefix) {
+    console.log(`${prefix}🚀 Launching browser...`);
     const browser = await puppeteer.launch({
         headless: 'new',
-        defaultViewport: { width: 1280, height: 720, deviceScaleFactor: 2 },
+        defaultViewport: frameViewport(selectedFrame),
         args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-web-security']
     });
     
-    const page = await browser.newPage();
-    const htmlPath = 'file://' + join(__dirname, 'map.html');
-    console.log('Loading map...');
-    await page.goto(htmlPath, { waitUntil: 'networkidle0' });
-    await page.waitForFunction(() => window.L !== undefined);
-    await new Promise(r => setTimeout(r, 1000));
-    
-    console.log('Initializing map...');
-    await page.evaluate((segments, opts) => window.initMap(segments, opts), routeSegments, options);
-    
-    console.log('Waiting for tiles...');
-    await new Promise(r => setTimeout(r, 5000));
-    
-    // Inject shared modules
-    console.log('Loading modules...');
-    await page.evaluate((code) => eval(code), zoomUtilsCode);
-    await page.evaluate((code) => eval(code), animationCoreCode);
-    
-    // Setup frame renderer using shared AnimationCore
-    console.log('Setting up frame renderer...');
-    await page.evaluate((totalFrames, titleEndFrame, panEndFrame, routeEndFrame, segmentPauseFrames, routeOnlyFrames) => {
-        const { routeSegments, lineColor, lineWidth, finalDestination, title, date, startZoomLevel } = window.mapData;
-        
-        // Initialize using shared module
-        window.animState = window.AnimationCore.createAnimationState();
-        window.animConfig = window.AnimationCore.createAnimationConfig(map, routeSegments, {
-            startZoomLevel, lineColor, lineWidth, title, date, finalDestination
-        });
-        
-        // DOM elements
-        window.animElements = {
-            titleCard: document.getElementById('title-card'),
-            dateStamp: document.getElementById('date-stamp'),
-            destinationCard: document.getElementById('destination-card'),
-            motorcycle: document.getElementById('motorcycle'),
-            person: document.getElementById('person'),
-            car: document.getElementById('car'),
-            backpacker: document.getElementById('backpacker')
-        };
-        
-        // Smoothing for frame-by-frame (no Leaflet animation)
-        window.animSmoothing = { position: 0.12, zoom: 0.06, animate: false };
+    try {
+        const page = await browser.newPage();
+        const htmlPath = 'file://' + join(__dirname, 'map.html');
+        console.log(`${prefix}Loading map...`);
+        await page.goto(htmlPath, { waitUntil: 'networkidle0' });
+        await page.waitForFunction(() => window.L !== undefined);
+        await page.evaluate(() => document.fonts.ready);
         
-        // Pause tracking
-        window.pauseState = {
-            isPaused: false,
-            pauseFramesRemaining: 0,
-            lastPausedAfterSegment: -1
-        };
+        console.log(`${prefix}Initializing map...`);
+        await page.evaluate((segments, opts) => window.initMap(segments, opts), routeSegments, options);
         
-        // Cumulative pause frames
-        window.cumulativePauseFrames = [];
-        let sum = 0;
-        for (let i = 0; i < segmentPauseFrames.length; i++) {
-            window.cumulativePauseFrames.push(sum);
-            sum += segmentPauseFrames[i];
-        }
+        console.log(`${prefix}Waiting for tiles...`);
+        await page.evaluate(t => window.waitForTiles(t), DEFAULT_TILE_TIMEOUT);
         
-        window.renderCinematicFrame = function(frameNumber) {
-            const ps = window.pauseState;
-            
-            // Handle pause
-            if (ps.isPaused) {
-                ps.pauseFramesRemaining--;
-                if (ps.pauseFramesRemaining <= 0) ps.isPaused = false;
-                return;
-            }
-            
-            // Determine phase and progress
-            let phase, phaseProgress;
-            
-            if (frameNumber < titleEndFrame) {
-                phase = 'title';
-                phaseProgress = frameNumber / titleEndFrame;
-            } else if (frameNumber < panEndFrame) {
-                phase = 'pan';
-                phaseProgress = (frameNumber - titleEndFrame) / (panEndFrame - titleEndFrame);
-            } else if (frameNumber < routeEndFrame) {
-                phase = 'route';
-                // Account for pauses in route progress
-                const routeFrameNumber = frameNumber - panEndFrame;
-                const pauseFramesSoFar = window.cumulativePauseFrames[ps.lastPausedAfterSegment + 1] || 0;
-                const effectiveFrame = routeFrameNumber - pauseFramesSoFar;
-                phaseProgress = Math.min(effectiveFrame / routeOnlyFrames, 1);
-            } else {
-                phase = 'end';
-                phaseProgress = (frameNumber - routeEndFrame) / (totalFrames - routeEndFrame);
-            }
-            
-            // Render using shared module
-            const result = window.AnimationCore.renderFrame({
-                phase,
-                phaseProgress: Math.min(1, Math.max(0, phaseProgress)),
-                state: window.animState,
-                config: window.animConfig,
-                map: window.map,
-                routeSegments: routeSegments,
-                elements: window.animElements,
-                smoothing: window.animSmoothing
-            });
-            
-            // Handle pause request
-            if (result.shouldPause && result.pauseDuration > 0) {
-                ps.lastPausedAfterSegment = result.pauseAtSegment;
-                ps.isPaused = true;
-                ps.pauseFramesRemaining = Math.floor(result.pauseDuration * 30); // 30 FPS
-            }
-        };
+        // Inject shared modules
+        await page.evaluate((code) => eval(code), zoomUtilsCode);
+        await page.evaluate((code) => eval(code), animationCoreCode);
         
-    }, totalFrames, TITLE_END_FRAME, PAN_END_FRAME, ROUTE_END_FRAME, segmentPauseFrames, routeOnlyFrames);
+        // Setup frame renderer using shared AnimationCore
+        await installFrameRenderer(page, plan);
+        return { browser, page };
+    } catch (e) {
+        await browser.close();
+        throw e;
+    }
+}
+
+async function createFrameByFrameAnimation() {
+    if (!resumeMode) {
+        try { await rm(FRAME_DIR, { recursive: true, force: true }); } catch (e) {}
+    }
+    await mkdir(FRAME_DIR, { recursive: true });
     
-    await new Promise(r => setTimeout(r, 2000));
+    // Frames are independent of each other (see AnimationCore.renderFrame), so
+    // the missing ones - all of them unless resuming - are shared out evenly
+    const allFrames = Array.from({ length: totalFrames }, (_, frame) => frame);
+    const pending = resumeMode ? allFrames.filter(frame => !existsSync(framePath(FRAME_DIR, frame))) : allFrames;
+    const skipped = totalFrames - pending.length;
+    if (skipped) console.log(`\n⏭️  Resuming: ${skipped} frames already rendered, ${pending.length} to go`);
     
-    // Capture frames
-    console.log('\n🎬 Capturing frames...');
-    const startTime = Date.now();
-    let skippedFrames = 0, capturedFrames = 0;
+    const slices = splitFrames(pending, workerCount);
+    if (slices.length > 1) {
+        console.log(`\n👷 ${slices.length} workers: ${slices.map(slice => `${slice[0]}-${slice[slice.length - 1]}`).join(', ')}`);
+    }
     
-    for (let frame = 0; frame < totalFrames; frame++) {
-        const framePath = join(FRAME_DIR, `frame_${String(frame).padStart(5, '0')}.png`);
-        
-        if (resumeMode && existsSync(framePath)) {
-            skippedFrames++;
-            try { await page.evaluate(f => window.renderCinematicFrame(f), frame); } catch (e) {}
-            continue;
+    // Combined progress of all workers
+    const startTime = Date.now();
+    const capturedByWorker = slices.map(() => 0);
+    let framesDone = skipped;
+    const reportProgress = () => {
+        const captured = capturedByWorker.reduce((a, b) => a + b, 0);
+        const rate = captured > 0 ? (Date.now() - startTime) / 1000 / captured : 1;
+        const eta = Math.max(0, Math.round(rate * (totalFrames - framesDone)));
+        if (framesDone % 30 === 1 || framesDone === totalFrames) {
+            process.stdout.write(`\r   Frame ${framesDone}/${totalFrames} (${(100 * framesDone / totalFrames).toFixed(1)}%) - ETA: ${eta}s   `);
         }
-        
+    };
+    
+    const results = await Promise.all(slices.map(async (frames, i) => {
+        const prefix = slices.length > 1 ? `[worker ${i + 1}] ` : '';
+        const { browser, page } = await openRenderPage(prefix);
         try {
-            await page.evaluate(f => window.renderCinematicFrame(f), frame);
-        } catch (e) {
-            console.error(`\n⚠️ Frame ${frame} error: ${e.message}`);
-            continue;
-        }
-        
-        await new Promise(r => setTimeout(r, 15));
-        await page.screenshot({ path: framePath, type: 'png' });
-        capturedFrames++;
-        
-        if (frame % 30 === 0 || frame === totalFrames - 1) {
-            const elapsed = (Date.now() - startTime) / 1000;
-            const rate = capturedFrames > 0 ? elapsed / capturedFrames : 1;
-            const eta = Math.max(0, rate * (totalFrames - frame - 1 - skippedFrames)).toFixed(0);
-            process.stdout.write(`\r   Frame ${frame + 1}/${totalFrames} (${(100 * (frame + 1) / totalFrames).toFixed(1)}%) - ETA: ${eta}s   `);
+            if (i === 0) console.log('\n🎬 Capturing frames...');
+            return await captureFrames(page, {
+                totalFrames,
+                frames,
+                frameDir: FRAME_DIR,
+                onProgress: ({ captured }) => {
+                    capturedByWorker[i] = captured;
+                    framesDone++;
+                    reportProgress();
+                }
+            });
+        } finally {
+            await browser.close();
         }
+    }));
+    
+    const missingTiles = results.flatMap(result => result.missingTiles).sort((a, b) => a - b);
+    if (missingTiles.length) {
+        console.warn(`\n\n⚠️ Tiles still loading after ${DEFAULT_TILE_TIMEOUT / 1000}s in ${formatFrameRanges(missingTiles)} - delete them and run again with --resume to re-render`);
     }
     
+    const failed = results.reduce((sum, result) => sum + result.failed, 0);
+    if (failed) {
+        console.error(`\n\n⚠️ ${failed} frame${failed === 1 ? '' : 's'} failed - run again with --resume to render them`);
+        process.exit(1);
+    }
     console.log('\n\n✅ Frames captured!');
-    await browser.close();
     
     // Encode video
     console.log('\n🎥 Encoding video...');
     try {
-        execSync(`ffmpeg -y -framerate ${FPS} -i "${FRAME_DIR}/frame_%05d.png" -c:v libx264 -pix_fmt yuv420p -preset slow -crf 18 -movflags +faststart "${join(__dirname, 'map-animation.mp4')}"`, { stdio: 'inherit' });
+        await encodeFrames(FRAME_DIR, join(__dirname, 'map-animation.mp4'), { fps: FPS });
         console.log('\n✅ Video saved as map-animation.mp4');
         await rm(FRAME_DIR, { recursive: true, force: true });
     } catch (e) {
@@ -3,6 +3,16 @@ import { fileURLToPath } from 'url';
 import { dirname, join, basename } from 'path';
 import { readFile } from 'fs/promises';
 import * as dotenv from 'dotenv';
+import { loadRoute, parseSplitArg, formatLoadReport, ROUTE_FILE_PATTERN } from './lib/load-route.js';
+import { findRouteFile } from './lib/route-library.js';
+import { createTimeline, getFramePositions, getAttribution, ATTRIBUTION_MODES } from './js/route-normalize.js';
+import { DEFAULT_FPS } from './lib/frame-renderer.js';
+import { createRouter, routingConfigFromEnv, getStopRoutingOptions } from './js/routing.js';
+import { createGeocoder } from './js/geocoding.js';
+import { createGeoCache, createCachedResolver } from './lib/geo-cache.js';
+import { FRAME_PRESETS, DEFAULT_FRAME, frameViewport } from './js/frame-presets.js';
+import { DEFAULT_TILE_LAYER } from './js/tile-layers.js';
+import { loadTileLayers } from './lib/load-tile-layers.js';
 
 // Load environment variables
 dotenv.config();
@@ -10,14 +20,19 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load destinations from JSON (support custom file via CLI argument)
-const jsonArg = process.argv[2];
-const destinationsPath = jsonArg 
-    ? (jsonArg.startsWith('/') ? jsonArg : join(__dirname, jsonArg))
-    : join(__dirname, 'destinations.json');
+// Load destinations from JSON, GPX, or exported GeoJSON/KML (support custom file via CLI argument)
+// Older route files are upgraded and everything is validated before any geocoding/routing
+const jsonArg = process.argv.find(arg => ROUTE_FILE_PATTERN.test(arg));
+// A name that isn't a file here is looked up in the route library (routes/)
+const destinationsPath = findRouteFile(jsonArg || 'destinations.json', __dirname);
 
 console.log(`Loading destinations from: ${basename(destinationsPath)}`);
-const destinationsConfig = JSON.parse(await readFile(destinationsPath, 'utf-8'));
+// --split "lat,lng;lat,lng" cuts a GPX track at these points instead of its waypoints
+const loaded = await loadRoute(destinationsPath, { splitPoints: parseSplitArg(process.argv) });
+const destinationsConfig = loaded.route;
+const loadReport = formatLoadReport(loaded);
+if (loadReport) console.log(loadReport);
+if (!loaded.validation.valid) process.exit(1);
 
 // Load icon renderer module
 const iconRendererCode = await readFile(join(__dirname, 'icons', 'icon-renderer.js'), 'utf-8');
@@ -25,57 +40,15 @@ const iconRendererCode = await readFile(join(__dirname, 'icons', 'icon-renderer.
 // Load zoom utilities module
 const zoomUtilsCode = await readFile(join(__dirname, 'js', 'zoom-utils.js'), 'utf-8');
 
-// Tile layer configurations (all free, no API key required)
-const TILE_LAYERS = {
-    osm: {
-        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
-        options: { maxZoom: 19, attribution: '© OpenStreetMap contributors' }
-    },
-    watercolor: {
-        // Stamen Watercolor hosted by Smithsonian
-        url: 'https://watercolormaps.collection.cooperhewitt.org/tile/watercolor/{z}/{x}/{y}.jpg',
-        options: { minZoom: 1, maxZoom: 15, attribution: '© Stamen Design © OpenStreetMap' }
-    },
-    terrain: {
-        // OpenTopoMap - free terrain tiles
-        url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png',
-        options: { maxZoom: 17, attribution: '© OpenTopoMap © OpenStreetMap' }
-    },
-    // CartoDB tiles - with labels
-    toner: {
-        url: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    dark: {
-        url: 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    voyager: {
-        url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    // CartoDB tiles - NO labels (cleaner look)
-    'toner-nolabels': {
-        url: 'https://a.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    'dark-nolabels': {
-        url: 'https://a.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    'voyager-nolabels': {
-        url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager_nolabels/{z}/{x}/{y}.png',
-        options: { maxZoom: 20, attribution: '© CARTO © OpenStreetMap' }
-    },
-    humanitarian: {
-        url: 'https://a.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
-        options: { maxZoom: 19, attribution: '© HOT © OpenStreetMap' }
-    }
-};
+// Tile layers - built-in, tile-layers.json and local basemaps (see lib/load-tile-layers.js)
+const { layers: TILE_LAYERS } = await loadTileLayers().catch(e => {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+});
 
-// Parse --tile argument
+// Parse --tile argument (default: the route file's own basemap, then osm)
 const tileArg = process.argv.find(arg => arg.startsWith('--tile'));
-let selectedTile = 'osm'; // default
+let selectedTile = destinationsConfig.tile || DEFAULT_TILE_LAYER;
 if (tileArg) {
     const tileIndex = process.argv.indexOf(tileArg);
     if (tileArg.includes('=')) {
@@ -90,31 +63,63 @@ if (!TILE_LAYERS[selectedTile]) {
     console.error(`Available tiles: ${Object.keys(TILE_LAYERS).join(', ')}`);
     process.exit(1);
 }
+if (!TILE_LAYERS[selectedTile].url) {
+    console.error(`${selectedTile} is a local basemap - it is served by the server (npm start), not the CLI`);
+    process.exit(1);
+}
 
 console.log(`Using tile layer: ${selectedTile}`);
 
-// Function to geocode an address
+// Parse --frame argument (preview in the shape of the video - see js/frame-presets.js)
+const frameArg = process.argv.find(arg => arg.startsWith('--frame'));
+let selectedFrame = DEFAULT_FRAME;
+if (frameArg) {
+    const frameIndex = process.argv.indexOf(frameArg);
+    if (frameArg.includes('=')) {
+        selectedFrame = frameArg.split('=')[1];
+    } else if (process.argv[frameIndex + 1] && !process.argv[frameIndex + 1].startsWith('-')) {
+        selectedFrame = process.argv[frameIndex + 1];
+    }
+}
+
+if (!FRAME_PRESETS[selectedFrame]) {
+    console.error(`Unknown frame: ${selectedFrame}`);
+    console.error(`Available frames: ${Object.keys(FRAME_PRESETS).join(', ')}`);
+    process.exit(1);
+}
+
+console.log(`Frame: ${FRAME_PRESETS[selectedFrame].label}`);
+
+// Parse --attribution argument (overlay, end-card, both, off) - overrides the route's attribution.mode
+const attributionArg = process.argv.find(arg => arg.startsWith('--attribution'));
+if (attributionArg) {
+    const attributionIndex = process.argv.indexOf(attributionArg);
+    const mode = attributionArg.includes('=') ? attributionArg.split('=')[1] : process.argv[attributionIndex + 1];
+    if (!ATTRIBUTION_MODES.includes(mode)) {
+        console.error(`Unknown attribution mode: ${mode}. Available: ${ATTRIBUTION_MODES.join(', ')}`);
+        process.exit(1);
+    }
+    destinationsConfig.attribution = { ...destinationsConfig.attribution, mode };
+}
+const attribution = getAttribution(destinationsConfig, TILE_LAYERS[selectedTile]);
+console.log(`Map credits: ${attribution.text ? attribution.mode : 'none (the tile layer has no attribution)'}`);
+
+// Geocoding and routing (GraphHopper, OSRM, Valhalla, straight line) through the
+// disk cache shared with server.js - resolved routes render offline.
+// --refresh ignores cached results (and updates them)
+const refreshCache = process.argv.includes('--refresh');
+const resolver = createCachedResolver(
+    createGeoCache(),
+    createGeocoder({ baseUrl: process.env.NOMINATIM_URL }),
+    createRouter(routingConfigFromEnv(process.env))
+);
+
 async function geocodeAddress(address) {
-    const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(address)}&format=json&limit=1`;
-    
-    try {
-        const response = await fetch(url, {
-            headers: { 'User-Agent': 'MapAnimation/1.0' }
-        });
-        const data = await response.json();
-        
-        if (data.length > 0) {
-            const lat = parseFloat(data[0].lat);
-            const lon = parseFloat(data[0].lon);
-            console.log(`Found: ${data[0].display_name}`);
-            console.log(`Coordinates: ${lat}, ${lon}`);
-            return [lat, lon];
-        }
-    } catch (error) {
-        console.error('Geocoding error:', error);
+    const result = await resolver.geocode(address, { refresh: refreshCache });
+    if (result) {
+        console.log(`Found: ${result.displayName}${result.cached ? ' (cached)' : ''}`);
     }
-    
-    return null;
+    return result?.coordinates || null;
 }
 
 // Get start coordinates
@@ -137,71 +142,6 @@ if (destinationsConfig.start.coordinates) {
     process.exit(1);
 }
 
-// Function to get hiking route from GraphHopper API
-// Uses 'foot' profile (supported on free tier) which routes on paths/trails
-// Returns object: { primary: coords, alternatives: [{coords, color, distance, time}] }
-async function getHikingRoute(currentPoint, nextPoint, viaPoints = [], options = {}) {
-    // Build coordinates array: [start, via1, via2, ..., end]
-    const points = [currentPoint, ...viaPoints, nextPoint];
-    const pointsParam = points.map(p => `point=${p[0]},${p[1]}`).join('&');
-    
-    // Get API key from environment variable
-    const apiKey = process.env.GRAPHHOPPER_API_KEY || '';
-    // Use 'foot' profile - free tier supported, routes on pedestrian paths/trails
-    // Add alternative_route.max_paths to try getting alternatives (may require paid plan)
-    const altParam = options.showAlternatives ? '&alternative_route.max_paths=3&algorithm=alternative_route' : '';
-    const url = `https://graphhopper.com/api/1/route?${pointsParam}&profile=foot&points_encoded=false&key=${apiKey}${altParam}`;
-    
-    console.log(`  GraphHopper URL: ${url.replace(apiKey, 'API_KEY')}`);
-    
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        console.log(`  GraphHopper response: ${JSON.stringify({
-            pathCount: data.paths?.length || 0,
-            message: data.message,
-            hints: data.hints
-        })}`);
-        
-        if (data.paths && data.paths.length > 0) {
-            // Log details of all paths returned
-            console.log(`  ✓ GraphHopper returned ${data.paths.length} path(s):`);
-            data.paths.forEach((path, i) => {
-                console.log(`    Path ${i}: ${path.points.coordinates.length} waypoints, ${(path.distance/1000).toFixed(2)}km, ${Math.round(path.time/60000)}min`);
-            });
-            
-            // GraphHopper returns [lng, lat], we need [lat, lng]
-            const primaryCoords = data.paths[0].points.coordinates.map(c => [c[1], c[0]]);
-            
-            const result = { primary: primaryCoords, alternatives: [] };
-            
-            // If alternatives requested, try to find nearby trails using Overpass API
-            if (options.showAlternatives) {
-                console.log(`  Requesting nearby trails from Overpass API...`);
-                const trails = await findNearbyTrailsBetween(currentPoint, nextPoint);
-                if (trails.length > 0) {
-                    result.alternatives = trails;
-                    console.log(`  ✓ Added ${trails.length} alternative trail segments`);
-                } else {
-                    console.log(`  ✗ No alternative trails found in area`);
-                }
-            }
-            
-            return result;
-        } else if (data.message) {
-            console.warn('  ✗ GraphHopper API:', data.message);
-        }
-    } catch (error) {
-        console.error('  ✗ Error fetching hiking route:', error.message);
-    }
-    
-    // Fallback to OSRM foot profile
-    console.log('  Falling back to OSRM foot profile...');
-    const coords = await getRouteCoordinates(currentPoint, nextPoint, 'foot', viaPoints);
-    return { primary: coords, alternatives: [] };
-}
-
 // Function to query Overpass API for hiking trails between two points
 // Returns trail segments that can be displayed as alternative routes
 async function findNearbyTrailsBetween(start, end) {
@@ -322,37 +262,6 @@ async function findNearbyTrails(lat, lon, radiusMeters = 2000) {
     return [];
 }
 
-// Function to get route waypoints from OSRM (free routing service)
-// Supports via waypoints to force the route through specific points
-async function getRouteCoordinates(start, end, profile = 'driving', viaPoints = []) {
-    // Build coordinates string: start;via1;via2;...;end
-    let coordsString = `${start[1]},${start[0]}`;
-    for (const via of viaPoints) {
-        coordsString += `;${via[1]},${via[0]}`;
-    }
-    coordsString += `;${end[1]},${end[0]}`;
-    
-    const url = `https://router.project-osrm.org/route/v1/${profile}/${coordsString}?overview=full&geometries=geojson`;
-    
-    try {
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data.routes && data.routes.length > 0) {
-            // OSRM returns [lng, lat], we need [lat, lng]
-            const coords = data.routes[0].geometry.coordinates.map(c => [c[1], c[0]]);
-            console.log(`Route found with ${coords.length} waypoints`);
-            return coords;
-        }
-    } catch (error) {
-        console.error('Error fetching route:', error);
-    }
-    
-    // Fallback to direct line if routing fails
-    console.log('Using direct line between points');
-    return [start, end];
-}
-
 // Build route segments from configuration
 // Each segment represents travel FROM one point TO the next
 const routeSegments = [];
@@ -367,6 +276,8 @@ for (let i = 0; i < destinationsConfig.stops.length; i++) {
     let nextPoint;
     if (stop.coordinates) {
         nextPoint = stop.coordinates;
+    } else if (stop.geometry?.length > 1) {
+        nextPoint = stop.geometry[stop.geometry.length - 1];
     } else if (stop.address) {
         console.log(`Geocoding stop: ${stop.address}...`);
         nextPoint = await geocodeAddress(stop.address);
@@ -382,48 +293,30 @@ for (let i = 0; i < destinationsConfig.stops.length; i++) {
     let coords;
     let alternativeRoutes = [];  // Track alternatives for this segment
     
-    if (stop.travelMode === 'direct') {
-        // Direct line (as the crow flies) for hiking through woods
-        // Interpolate points for smooth animation
-        console.log(`Creating direct route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}"...`);
-        const numPoints = 50; // Add intermediate points for smooth animation
-        coords = [];
-        for (let j = 0; j <= numPoints; j++) {
-            const t = j / numPoints;
-            coords.push([
-                currentPoint[0] + (nextPoint[0] - currentPoint[0]) * t,
-                currentPoint[1] + (nextPoint[1] - currentPoint[1]) * t
-            ]);
-        }
-        console.log(`Direct route created with ${coords.length} interpolated points`);
-    } else if (stop.travelMode === 'hike') {
-        // Use GraphHopper's hiking profile (prefers trails over roads)
-        const viaPoints = stop.viaPoints || [];
-        const showAlternatives = stop.showAlternatives !== undefined ? stop.showAlternatives : false;
-        
-        if (viaPoints.length > 0) {
-            console.log(`Getting hiking route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}" via ${viaPoints.length} waypoints...`);
-        } else {
-            console.log(`Getting hiking route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}"...`);
-        }
+    if (stop.geometry?.length > 1) {
+        // Recorded track (GPX import) - use the real geometry instead of routing
+        console.log(`Using recorded track (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}" (${stop.geometry.length} points)`);
+        coords = stop.geometry;
+    } else {
+        const routing = getStopRoutingOptions(destinationsConfig, stop);
+        const via = routing.viaPoints.length > 0 ? ` via ${routing.viaPoints.length} waypoints` : '';
+        console.log(`Getting ${stop.travelMode} route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}"${via}...`);
         
-        const result = await getHikingRoute(currentPoint, nextPoint, viaPoints, { showAlternatives });
-        coords = result.primary;
+        const result = await resolver.route(currentPoint, nextPoint, routing, { refresh: refreshCache });
+        coords = result.coordinates;
+        const distance = result.distance ? `, ${(result.distance / 1000).toFixed(2)}km` : '';
+        console.log(`  ✓ ${result.provider}: ${coords.length} waypoints${distance}${result.cached ? ' (cached)' : ''}${result.fallback ? ' (fallback)' : ''}`);
         
-        // Store alternatives if any
-        if (result.alternatives && result.alternatives.length > 0) {
-            alternativeRoutes = result.alternatives;
-            console.log(`  Found ${alternativeRoutes.length} alternative routes for this segment`);
-        }
-    } else {
-        // Use OSRM for driving, feet, etc.
-        const viaPoints = stop.viaPoints || [];
-        if (viaPoints.length > 0) {
-            console.log(`Getting ${stop.travelMode} route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}" via ${viaPoints.length} waypoints...`);
-        } else {
-            console.log(`Getting ${stop.travelMode} route (${stop.icon}) from "${previousLabel}" to "${stop.label || 'waypoint'}"...`);
+        // Nearby trails from the Overpass API, plotted as alternatives
+        if (stop.showAlternatives) {
+            console.log(`  Requesting nearby trails from Overpass API...`);
+            alternativeRoutes = await findNearbyTrailsBetween(currentPoint, nextPoint);
+            if (alternativeRoutes.length > 0) {
+                console.log(`  Found ${alternativeRoutes.length} alternative routes for this segment`);
+            } else {
+                console.log(`  ✗ No alternative trails found in area`);
+            }
         }
-        coords = await getRouteCoordinates(currentPoint, nextPoint, stop.travelMode, viaPoints);
     }
     
     // Validate coords
@@ -453,6 +346,7 @@ for (let i = 0; i < destinationsConfig.stops.length; i++) {
         showMarker: stop.label !== null,  // Only show marker if there's a label
         zoomLevel: stop.zoomLevel || null,  // null means auto-calculate
         pause: stop.pause,  // Pause duration in seconds (undefined = default 500ms)
+        duration: stop.duration,  // Drawing time in seconds (undefined = by distance and travel mode)
         alternativeRoutes: alternativeRoutes  // Alternative trail routes with colors
     });
     
@@ -483,33 +377,30 @@ function calculateZoom(coords) {
     return 13;
 }
 
-// Animation timing (same as animate-frames.js for consistency)
-const TITLE_DURATION = 3;
-const PAN_DURATION = 2.5;
-const ROUTE_DURATION = 25;
-const END_DURATION = 2;
-const totalDuration = TITLE_DURATION + PAN_DURATION + ROUTE_DURATION + END_DURATION;
+// Animation timing (shared with animate-frames.js, the recorder and server.js)
+const timeline = createTimeline(destinationsConfig, routeSegments);
+const totalDuration = timeline.total / 1000;
 
 console.log(`Animation duration: ${totalDuration} seconds`);
 
 // Animation options
 const options = {
     zoom: calculateZoom(allCoordinates),
-    lineColor: destinationsConfig.animation?.lineColor || '#8B4513',
-    lineWidth: destinationsConfig.animation?.lineWidth || 4,
-    animationDuration: ROUTE_DURATION * 1000,
-    useSmoothing: true,
+    lineColor: destinationsConfig.animation.lineColor,
+    lineWidth: destinationsConfig.animation.lineWidth,
+    animationDuration: destinationsConfig.animation.duration,
+    useSmoothing: destinationsConfig.animation.useSmoothing,
     finalDestination: destinationsConfig.stops[destinationsConfig.stops.length - 1].label,
     title: destinationsConfig.title || 'ADVENTURE',
     date: destinationsConfig.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
     startZoomLevel: destinationsConfig.start.zoomLevel || null,  // Zoom level for flyTo to start
-    // Pass timing info for consistent rendering
-    titleDuration: TITLE_DURATION,
-    panDuration: PAN_DURATION,
-    routeDuration: ROUTE_DURATION,
-    endDuration: END_DURATION,
-    // Tile layer
-    tileLayer: TILE_LAYERS[selectedTile]
+    // Phase timing and every frame's place in it, so the preview matches the rendered video
+    timeline,
+    framePositions: getFramePositions(timeline, DEFAULT_FPS),
+    fps: DEFAULT_FPS,
+    // Tile layer, and its credits
+    tileLayer: TILE_LAYERS[selectedTile],
+    attribution
 };
 
 async function previewAnimation() {
@@ -520,11 +411,7 @@ async function previewAnimation() {
     console.log('Launching browser...');
     const browser = await puppeteer.launch({
         headless: false,
-        defaultViewport: {
-            width: 1280,
-            height: 720,
-            deviceScaleFactor: 2
-        },
+        defaultViewport: frameViewport(selectedFrame),
         args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
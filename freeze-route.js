@@ -0,0 +1,73 @@
+/**
+ * Freeze Route
+ * Resolves every address and routes every segment (same logic as the recorder,
+ * through the shared geocoding/routing cache), then writes the result back
+ * into the route file as explicit per-stop `geometry`. Frozen routes render
+ * identically later without any routing API - and the geometry can be hand-edited.
+ *
+ * Usage:
+ *   node freeze-route.js route.json                    # in place
+ *   node freeze-route.js route.json --out frozen.json
+ *   node freeze-route.js hike.gpx                      # writes hike.json
+ *   node freeze-route.js route.json --refresh          # re-route instead of using the cache
+ *   node freeze-route.js route.json --allow-fallback   # bake fallback/straight-line geometry when routing fails
+ */
+
+import { join, basename } from 'path';
+import { writeFile } from 'fs/promises';
+import * as dotenv from 'dotenv';
+import { loadRoute, parseSplitArg, formatLoadReport, ROUTE_FILE_PATTERN } from './lib/load-route.js';
+import { findRouteFile } from './lib/route-library.js';
+import { createRouter, routingConfigFromEnv } from './js/routing.js';
+import { createGeocoder } from './js/geocoding.js';
+import { createGeoCache, createCachedResolver } from './lib/geo-cache.js';
+import { resolveRoute, freezeRoute } from './js/route-resolver.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const routeArg = args.find((arg, i) => ROUTE_FILE_PATTERN.test(arg) && args[i - 1] !== '--out');
+if (!routeArg) {
+    console.error('Usage: node freeze-route.js <route.json|.gpx|.geojson|.kml> [--out file.json] [--refresh] [--allow-fallback]');
+    process.exit(1);
+}
+const routePath = findRouteFile(routeArg, process.cwd());
+
+const outIndex = process.argv.indexOf('--out');
+const outArg = outIndex > -1 ? process.argv[outIndex + 1] : null;
+const outPath = outArg
+    ? (outArg.startsWith('/') ? outArg : join(process.cwd(), outArg))
+    : routePath.replace(/\.(geojson|gpx|kml)$/i, '.json');
+
+console.log(`Freezing route: ${basename(routePath)}`);
+const loaded = await loadRoute(routePath, { splitPoints: parseSplitArg(process.argv) });
+const loadReport = formatLoadReport(loaded);
+if (loadReport) console.log(loadReport);
+if (!loaded.validation.valid) process.exit(1);
+
+const resolver = createCachedResolver(
+    createGeoCache(),
+    createGeocoder({ baseUrl: process.env.NOMINATIM_URL }),
+    createRouter(routingConfigFromEnv(process.env))
+);
+const refresh = process.argv.includes('--refresh');
+
+const resolved = await resolveRoute(loaded.route, {
+    geocode: address => resolver.geocode(address, { refresh }),
+    route: (start, end, options) => resolver.route(start, end, options, { refresh })
+});
+
+let frozen;
+try {
+    frozen = freezeRoute(loaded.route, resolved, { allowFallback: process.argv.includes('--allow-fallback') });
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+}
+
+const { _filename, ...routeData } = frozen.route;
+await writeFile(outPath, JSON.stringify(routeData, null, 2) + '\n');
+
+console.log(`\n❄️  Frozen ${frozen.route.stops.length} stops:`);
+frozen.changes.forEach(change => console.log(`   ${change}`));
+console.log(`\n✅ Saved: ${outPath}`);
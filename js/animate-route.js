@@ -9,11 +9,14 @@ async function animateRoute() {
         routeSegments, 
         lineColor, 
         lineWidth, 
-        animationDuration, 
         finalDestination, 
         title, 
         date,
-        startZoomLevel 
+        startZoomLevel,
+        timeline,
+        framePositions,
+        fps,
+        attribution
     } = window.mapData;
     
     const map = window.getMap();
@@ -26,7 +29,9 @@ async function animateRoute() {
         motorcycle: document.getElementById('motorcycle'),
         person: document.getElementById('person'),
         car: document.getElementById('car'),
-        backpacker: document.getElementById('backpacker')
+        backpacker: document.getElementById('backpacker'),
+        attribution: document.getElementById('attribution'),
+        creditsCard: document.getElementById('credits-card')
     };
     
     // Initialize using shared module
@@ -37,7 +42,9 @@ async function animateRoute() {
         lineWidth,
         title,
         date,
-        finalDestination
+        finalDestination,
+        timeline,
+        attribution
     });
     
     // Smoothing values for real-time preview (with Leaflet's animate helping)
@@ -48,71 +55,28 @@ async function animateRoute() {
         duration: 1.5
     };
     
-    // Phase timing (in ms)
-    const TITLE_DURATION = 3000;
-    const PAN_DURATION = 4000;
-    const ROUTE_DURATION = animationDuration;
-    const END_DURATION = 3000;
-    
-    // Calculate total pause time
-    const totalPauseTime = config.segmentPauses.reduce((sum, p) => sum + p * 1000, 0);
-    
-    const phases = [
-        { name: 'title', duration: TITLE_DURATION },
-        { name: 'pan', duration: PAN_DURATION },
-        { name: 'route', duration: ROUTE_DURATION + totalPauseTime },
-        { name: 'end', duration: END_DURATION }
-    ];
-    
-    // Animation state for time tracking
-    let startTime = null;
-    let pausedTime = 0;
-    let isPaused = false;
-    let pauseStartTime = 0;
-    let currentPauseDuration = 0;
-    
+    // Frames come from createTimeline() via the renderer (pauses included),
+    // so the preview runs on the same timeline as the recorded video
     return new Promise((resolve) => {
+        let startTime = null;
+        
         function animate(currentTime) {
             if (!startTime) startTime = currentTime;
-            
-            // Handle pausing
-            if (isPaused) {
-                const pauseElapsed = currentTime - pauseStartTime;
-                if (pauseElapsed >= currentPauseDuration) {
-                    isPaused = false;
-                    pausedTime += currentPauseDuration;
-                } else {
-                    requestAnimationFrame(animate);
-                    return;
-                }
-            }
-            
-            const elapsed = currentTime - startTime - pausedTime;
-            
-            // Determine current phase and progress
-            let phaseStartTime = 0;
-            let currentPhase = null;
-            let phaseProgress = 0;
-            
-            for (const phase of phases) {
-                if (elapsed < phaseStartTime + phase.duration) {
-                    currentPhase = phase.name;
-                    phaseProgress = (elapsed - phaseStartTime) / phase.duration;
-                    break;
-                }
-                phaseStartTime += phase.duration;
-            }
+            const elapsed = currentTime - startTime;
             
             // Animation complete
-            if (!currentPhase) {
+            if (elapsed >= timeline.total) {
                 resolve();
                 return;
             }
             
+            const frame = Math.min(Math.floor(elapsed / 1000 * fps), framePositions.length - 1);
+            const { phase, phaseProgress } = framePositions[frame];
+            
             // Render frame using shared module
-            const result = window.AnimationCore.renderFrame({
-                phase: currentPhase,
-                phaseProgress: Math.min(1, Math.max(0, phaseProgress)),
+            window.AnimationCore.renderFrame({
+                phase,
+                phaseProgress,
                 state,
                 config,
                 map,
@@ -121,13 +85,6 @@ async function animateRoute() {
                 smoothing
             });
             
-            // Handle pause request from animation core
-            if (result.shouldPause && result.pauseDuration > 0) {
-                isPaused = true;
-                pauseStartTime = currentTime;
-                currentPauseDuration = result.pauseDuration * 1000;
-            }
-            
             requestAnimationFrame(animate);
         }
         
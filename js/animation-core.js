@@ -2,8 +2,10 @@
  * Shared Animation Core
  * Used by both preview (animate-route.js) and frame export (animate-frames.js)
  * 
- * This module contains ALL animation logic - zoom, position, icons, labels, pauses, etc.
- * The only difference between preview and frames is HOW they call this (time-based vs frame-based)
+ * This module contains ALL animation logic - zoom, position, icons, labels, camera, etc.
+ * A frame is a pure function of the route and the point in the timeline
+ * (getTimelinePosition() in route-normalize.js, pauses included), so frames can
+ * be rendered in any order - by several workers, from a resume point, or scrubbed.
  */
 
 (function() {
@@ -48,54 +50,80 @@
         return totalDistance;
     }
     
+    // Camera smoothing factors apply per step of 1/30s of animation
+    const CAMERA_STEP_MS = 1000 / 30;
+    
+    // Easing looks back until the older targets weigh less than this
+    const CAMERA_SMOOTHING_CUTOFF = 0.001;
+    
+    // Share of a segment the icon fades over when it changes at a stop
+    const ICON_FADE = 0.05;
+    
     /**
      * Initialize animation state
+     * Only the map layers (created on the first frame) and what was last drawn,
+     * so unchanged layers aren't redrawn - nothing a frame depends on
      */
     function createAnimationState() {
         return {
-            // Icon rotation tracking
-            lastAngles: { bike: 0, car: 0, person: 0, backpacker: 0 },
-            
-            // Smooth camera tracking
-            cameraLat: null,
-            cameraLng: null,
-            cameraZoom: null,
-            
             // Map elements
+            layersCreated: false,
             animatedLine: null,
+            animatedLineProgress: null,
             startMarker: null,
             startLabel: null,
             endMarker: null,
             endLabel: null,
             waypointMarkers: [],
             waypointLabels: [],
-            waypointShown: [],
-            waypointFadedOut: [],
-            
-            // Phase tracking
-            titleCardShown: false,
-            dateStampShown: false,
-            startMarkerPlaced: false,
-            endMarkerPlaced: false,
-            iconsSetup: false,
+            waypointSegments: [],  // segment each waypoint ends
             
-            // Pause tracking
-            lastPausedAfterSegment: -1,
-            isPaused: false,
-            pauseProgress: 0,  // 0 to 1 within current pause
-            currentPauseDuration: 0
+            // Last map view set ('overview' or lat,lng,zoom)
+            view: null
+        };
+    }
+    
+    /**
+     * Camera framing for the map's size
+     * Tuned for 1280x720: padding scales with the short edge, and in taller
+     * frames the top/bottom padding grows (room for the title and destination
+     * cards). The look-ahead leads further along the long axis - in a vertical
+     * video the camera looks ahead north/south more and east/west less - so a
+     * 9:16 render is framed for 9:16, not cropped from 16:9.
+     * @returns {Object} { aspect, orientation: 'landscape' | 'square' | 'portrait', fitPadding: [x, y], lookAheadScale: { lat, lng } }
+     */
+    function createFraming(map) {
+        const size = map.getSize();
+        const aspect = size.x / size.y;
+        const pad = Math.round(Math.min(size.x, size.y) * 50 / 720);
+        const padY = aspect < 1 ? Math.round(pad / aspect) : pad;
+        
+        // 1 for 16:9, 3.2 for 9:16
+        const stretch = (16 / 9) / aspect;
+        
+        return {
+            aspect,
+            orientation: aspect > 1.1 ? 'landscape' : aspect < 0.9 ? 'portrait' : 'square',
+            fitPadding: [pad, padY],
+            lookAheadScale: {
+                lat: Math.min(2, Math.max(1, stretch)),
+                lng: Math.min(1, Math.max(0.5, 1 / stretch))
+            }
         };
     }
     
     /**
      * Calculate animation config from route data
+     * options.timeline (from createTimeline) gives each segment its share of the
+     * route phase and times the camera easing
      */
     function createAnimationConfig(map, routeSegments, options) {
         const allCoordinates = routeSegments.flatMap(seg => seg.coordinates);
         const bounds = L.latLngBounds(allCoordinates);
+        const { timeline } = options;
         
         // Calculate segment progress thresholds
-        const segmentProgressThresholds = window.ZoomUtils.calculateSegmentProgressThresholds(routeSegments);
+        const segmentProgressThresholds = window.ZoomUtils.calculateSegmentProgressThresholds(routeSegments, timeline.segments);
         
         // Calculate segment zoom levels
         const segmentZoomLevels = window.ZoomUtils.calculateSegmentZoomLevels(map, routeSegments, allCoordinates, {
@@ -109,13 +137,13 @@
         // Starting zoom level
         const closeZoom = options.startZoomLevel || segmentZoomLevels[0] || 13;
         
+        // Framing for the map's shape (16:9, 9:16, 1:1, ...)
+        const framing = createFraming(map);
+        
         // Overview zoom
-        const overviewZoom = map.getBoundsZoom(bounds, false, [50, 50]);
+        const overviewZoom = map.getBoundsZoom(bounds, false, framing.fitPadding);
         const overviewCenter = bounds.getCenter();
         
-        // Pause durations per segment (in seconds)
-        const segmentPauses = routeSegments.map(seg => seg.pause !== undefined ? seg.pause : 0.5);
-        
         return {
             allCoordinates,
             bounds,
@@ -125,7 +153,14 @@
             closeZoom,
             overviewZoom,
             overviewCenter,
-            segmentPauses,
+            framing,
+            // Time the camera moves for (ms) - pauses and the title/end cards hold it still
+            panDuration: timeline.pan,
+            routeDuration: timeline.route,
+            // Where each phase is in the video ({ start, duration } in ms by name)
+            phases: Object.fromEntries(timeline.phases.map(phase => [phase.name, phase])),
+            // Map credits { mode, position, style, fade, text } (getAttribution() in route-normalize.js)
+            attribution: options.attribution || null,
             lineColor: options.lineColor || '#8B4513',
             lineWidth: options.lineWidth || 4,
             title: options.title || 'ADVENTURE',
@@ -135,26 +170,404 @@
         };
     }
     
+    /**
+     * Create the markers and labels (hidden) the first time a frame is rendered
+     */
+    function createLayers(state, config, map, routeSegments) {
+        state.startMarker = L.circleMarker(config.allCoordinates[0], {
+            radius: 10,
+            fillColor: '#8B0000',
+            color: '#3d2817',
+            weight: 3,
+            opacity: 0,
+            fillOpacity: 0
+        }).addTo(map);
+        
+        state.startLabel = L.marker(config.allCoordinates[0], {
+            icon: L.divIcon({
+                className: 'location-label',
+                html: config.startLabel,
+                iconSize: [160, 30],
+                iconAnchor: [80, -20]
+            }),
+            opacity: 0
+        }).addTo(map);
+        
+        state.endMarker = L.circleMarker(config.allCoordinates[config.allCoordinates.length - 1], {
+            radius: 10,
+            fillColor: '#006400',
+            color: '#3d2817',
+            weight: 3,
+            opacity: 0,
+            fillOpacity: 0
+        }).addTo(map);
+        
+        state.endLabel = L.marker(config.allCoordinates[config.allCoordinates.length - 1], {
+            icon: L.divIcon({
+                className: 'location-label',
+                html: config.finalDestination,
+                iconSize: [260, 30],
+                iconAnchor: [130, -20]
+            }),
+            opacity: 0
+        }).addTo(map);
+        
+        // Waypoint markers for labelled stops
+        for (let i = 0; i < routeSegments.length - 1; i++) {
+            if (routeSegments[i].toLabel) {
+                const endCoord = routeSegments[i].coordinates[routeSegments[i].coordinates.length - 1];
+                
+                const marker = L.circleMarker(endCoord, {
+                    radius: 10,
+                    fillColor: '#FF8C00',
+                    color: '#3d2817',
+                    weight: 3,
+                    opacity: 0,
+                    fillOpacity: 0
+                }).addTo(map);
+                
+                const label = L.marker(endCoord, {
+                    icon: L.divIcon({
+                        className: 'location-label',
+                        html: routeSegments[i].toLabel,
+                        iconSize: [200, 30],
+                        iconAnchor: [100, -20]
+                    }),
+                    opacity: 0
+                }).addTo(map);
+                
+                state.waypointMarkers.push(marker);
+                state.waypointLabels.push(label);
+                state.waypointSegments.push(i);
+            }
+        }
+        
+        state.layersCreated = true;
+    }
+    
+    /**
+     * Show a circle marker: 'hidden', 'outline' (ring only) or 'filled'
+     */
+    function setMarkerVisibility(marker, visibility) {
+        marker.setStyle({
+            opacity: visibility === 'hidden' ? 0 : 1,
+            fillOpacity: visibility === 'filled' ? 0.9 : 0
+        });
+    }
+    
+    /**
+     * Draw the route line up to a route progress (0-1) - null removes it
+     */
+    function drawRouteLine(state, config, map, routeSegments, routeProgress) {
+        if (state.animatedLineProgress === routeProgress) return;
+        
+        if (state.animatedLine) {
+            map.removeLayer(state.animatedLine);
+            state.animatedLine = null;
+        }
+        state.animatedLineProgress = routeProgress;
+        if (routeProgress === null) return;
+        
+        const { currentSegment, segmentProgress } = window.ZoomUtils.getSegmentInfo(routeProgress, config.segmentProgressThresholds);
+        const coordinates = routeSegments[currentSegment].coordinates;
+        const { safeIndex, fraction, vehiclePos } = getSegmentPosition(coordinates, segmentProgress);
+        
+        // Complete line including previous segments
+        let allVisibleCoords = [];
+        for (let i = 0; i < currentSegment; i++) {
+            allVisibleCoords.push(...routeSegments[i].coordinates);
+        }
+        allVisibleCoords.push(...coordinates.slice(0, safeIndex + 1));
+        if (fraction > 0) allVisibleCoords.push(vehiclePos);
+        
+        if (allVisibleCoords.length > 1) {
+            state.animatedLine = L.polyline(allVisibleCoords, {
+                color: config.lineColor,
+                weight: config.lineWidth,
+                opacity: 0.9,
+                smoothFactor: 1,
+                dashArray: '10, 8',
+                className: 'route-line'
+            }).addTo(map);
+        }
+    }
+    
+    /**
+     * Vehicle position within a segment
+     * @returns {Object} { safeIndex, fraction, vehiclePos } - vehiclePos lies fraction of the way from coordinates[safeIndex] to the next point
+     */
+    function getSegmentPosition(coordinates, segmentProgress) {
+        const totalPoints = coordinates.length - 1;
+        const currentFloat = segmentProgress * totalPoints;
+        const currentIndex = Math.floor(currentFloat);
+        const fraction = currentFloat - currentIndex;
+        
+        const safeIndex = Math.max(0, Math.min(currentIndex, coordinates.length - 1));
+        const safeNextIndex = Math.min(safeIndex + 1, coordinates.length - 1);
+        
+        // Vehicle position with interpolation
+        if (safeIndex === coordinates.length - 1 || fraction <= 0) {
+            return { safeIndex, fraction: 0, vehiclePos: coordinates[safeIndex] };
+        }
+        const current = coordinates[safeIndex];
+        const next = coordinates[safeNextIndex];
+        return {
+            safeIndex,
+            fraction,
+            vehiclePos: [
+                current[0] + (next[0] - current[0]) * fraction,
+                current[1] + (next[1] - current[1]) * fraction
+            ]
+        };
+    }
+    
+    /**
+     * Camera target in the route phase (before smoothing)
+     * @returns {Object} { lat, lng, zoom }
+     */
+    function getRouteCameraTarget(config, routeSegments, routeProgress) {
+        const { currentSegment, segmentProgress } = window.ZoomUtils.getSegmentInfo(routeProgress, config.segmentProgressThresholds);
+        const coordinates = routeSegments[currentSegment].coordinates;
+        const { safeIndex, vehiclePos } = getSegmentPosition(coordinates, segmentProgress);
+        
+        // Zoom interpolation
+        const zoom = window.ZoomUtils.getInterpolatedZoom(routeProgress, config.zoomKeyframes);
+        
+        // Camera look-ahead
+        const lookAheadDistance = Math.min(30, coordinates.length - safeIndex - 1);
+        const lookAheadIndex = Math.min(safeIndex + lookAheadDistance, coordinates.length - 1);
+        const lookAheadPos = coordinates[lookAheadIndex];
+        
+        const zoomOutFactor = Math.max(0, (14 - zoom) / 4);
+        const lookAheadBlend = 0.1 * zoomOutFactor;
+        const { lookAheadScale } = config.framing;
+        return {
+            lat: vehiclePos[0] + (lookAheadPos[0] - vehiclePos[0]) * lookAheadBlend * lookAheadScale.lat,
+            lng: vehiclePos[1] + (lookAheadPos[1] - vehiclePos[1]) * lookAheadBlend * lookAheadScale.lng,
+            zoom
+        };
+    }
+    
+    /**
+     * Where the camera is aimed (before easing) after it has moved for cameraTime ms
+     * The camera moves during the pan (overview to the start point) and while
+     * the route is drawn - cameraTime counts that time only, so it stands still
+     * through the pauses and the end card.
+     * @returns {Object} { lat, lng, zoom }
+     */
+    function getCameraTarget(config, routeSegments, cameraTime) {
+        if (cameraTime >= config.panDuration) {
+            const routeProgress = config.routeDuration > 0 ? (cameraTime - config.panDuration) / config.routeDuration : 1;
+            return getRouteCameraTarget(config, routeSegments, Math.min(1, routeProgress));
+        }
+        
+        // Overview to the start point at close zoom - smooth ease-out cubic for cinematic feel
+        const startCoord = config.allCoordinates[0];
+        const panProgress = Math.max(0, cameraTime / config.panDuration);
+        const easeProgress = 1 - Math.pow(1 - panProgress, 3);
+        return {
+            lat: config.overviewCenter.lat + (startCoord[0] - config.overviewCenter.lat) * easeProgress,
+            lng: config.overviewCenter.lng + (startCoord[1] - config.overviewCenter.lng) * easeProgress,
+            zoom: config.overviewZoom + (config.closeZoom - config.overviewZoom) * easeProgress
+        };
+    }
+    
+    /**
+     * Eased camera after it has moved for cameraTime ms
+     * The same as moving a fraction (smoothing.position/zoom) of the way to the
+     * target every 1/30s since the pan began, but worked out from the targets
+     * along the way - a weighted average of the recent ones, older ones counting
+     * less - so it doesn't matter which frames were rendered before.
+     * @returns {Object} { lat, lng, zoom }
+     */
+    function getCamera(config, routeSegments, cameraTime, smoothing) {
+        const weights = ['position', 'zoom'].map(key => Math.min(1, Math.max(0.01, smoothing[key])));
+        const steps = weights.map(w => w >= 1 ? 1 : Math.ceil(Math.log(CAMERA_SMOOTHING_CUTOFF) / Math.log(1 - w)));
+        
+        const camera = { lat: 0, lng: 0, zoom: 0 };
+        for (let k = 0; k < Math.max(...steps); k++) {
+            // Before the pan began the camera was on the first target
+            const time = Math.max(0, cameraTime - k * CAMERA_STEP_MS);
+            const target = getCameraTarget(config, routeSegments, time);
+            
+            // Step k back weighs w(1-w)^k; the last step also carries the older targets' share
+            const [positionWeight, zoomWeight] = weights.map((w, i) =>
+                k < steps[i] - 1 ? w * Math.pow(1 - w, k) : k === steps[i] - 1 ? Math.pow(1 - w, k) : 0);
+            
+            camera.lat += target.lat * positionWeight;
+            camera.lng += target.lng * positionWeight;
+            camera.zoom += target.zoom * zoomWeight;
+            
+            if (time === 0) {
+                // All older targets are this one too
+                const rest = weights.map((w, i) => k < steps[i] - 1 ? Math.pow(1 - w, k + 1) : 0);
+                camera.lat += target.lat * rest[0];
+                camera.lng += target.lng * rest[0];
+                camera.zoom += target.zoom * rest[1];
+                break;
+            }
+        }
+        return camera;
+    }
+    
+    /**
+     * Move the map to a camera position (skipped when it is already there)
+     */
+    function setCameraView(state, map, camera, smoothing) {
+        const view = `${camera.lat},${camera.lng},${camera.zoom}`;
+        if (state.view === view) return;
+        state.view = view;
+        
+        // Use animate option (true for preview, false for frame export)
+        const animateOption = smoothing.animate !== false;
+        map.setView([camera.lat, camera.lng], camera.zoom, { 
+            animate: animateOption,
+            duration: animateOption ? 0.3 : 0
+        });
+    }
+    
+    /**
+     * Direction of travel on screen at a point of the line: { dx, dy }
+     * A long stretch behind and ahead of the vehicle, so it turns gradually -
+     * widened until its ends are more than a few pixels apart. A line that
+     * stays within a few pixels heads right.
+     */
+    function getScreenDirection(coordinates, safeIndex, map) {
+        let behind = 100;
+        let ahead = 300;
+        for (;;) {
+            const fromIndex = Math.max(0, safeIndex - behind);
+            const toIndex = Math.min(coordinates.length - 1, safeIndex + ahead);
+            const fromPoint = map.latLngToContainerPoint(coordinates[fromIndex]);
+            const toPoint = map.latLngToContainerPoint(coordinates[toIndex]);
+            const dx = toPoint.x - fromPoint.x;
+            const dy = toPoint.y - fromPoint.y;
+            
+            if (Math.abs(dx) > 5 || Math.abs(dy) > 5) return { dx, dy };
+            if (fromIndex === 0 && toIndex === coordinates.length - 1) return { dx: 1, dy: 0 };
+            behind *= 2;
+            ahead *= 2;
+        }
+    }
+    
+    /**
+     * Icon rotation/flip for the direction of travel
+     * Taken from the route itself and the current view, not from earlier frames -
+     * every frame sets the transform
+     */
+    function orientIcon(icon, iconType, coordinates, safeIndex, map) {
+        const { dx, dy } = getScreenDirection(coordinates, safeIndex, map);
+        
+        const direction = Math.atan2(dy, dx) * 180 / Math.PI;
+        
+        if (iconType === 'car') {
+            const goingLeft = Math.abs(direction) > 90;
+            const scaleX = goingLeft ? -1 : 1;
+            const tilt = goingLeft 
+                ? (direction > 0 ? -(direction - 180) : -(direction + 180))
+                : direction;
+            icon.style.transform = `scaleX(${scaleX}) rotate(${tilt}deg)`;
+            
+        } else if (iconType === 'bike') {
+            const goingRight = Math.abs(direction) <= 90;
+            const scaleX = goingRight ? -1 : 1;
+            const tilt = goingRight 
+                ? -direction 
+                : (direction > 0 ? direction - 180 : direction + 180);
+            icon.style.transform = `scaleX(${scaleX}) rotate(${tilt}deg)`;
+            
+        } else {
+            // Person and backpacker - just flip horizontally
+            const travelingLeft = dx < 0;
+            if (iconType === 'backpacker') {
+                icon.style.transform = travelingLeft ? 'scaleX(1)' : 'scaleX(-1)';
+            } else {
+                icon.style.transform = travelingLeft ? 'scaleX(-1)' : 'scaleX(1)';
+            }
+        }
+        icon.style.transformOrigin = 'center center';
+    }
+    
+    /**
+     * Map credits: the attribution in a corner and the credits screen after the end card
+     * The attribution is HTML, as in Leaflet (&copy;, links)
+     */
+    function renderAttribution(config, phase, phaseProgress, attributionEl, creditsCard) {
+        const { attribution } = config;
+        const text = attribution?.text || '';
+        
+        // Credits screen - fades in over the first 15% of its phase
+        if (creditsCard) {
+            if (phase === 'credits' && text) {
+                if (creditsCard.dataset.text !== text) {
+                    const lines = text.split(/\s+(?=©|&copy;)/);
+                    creditsCard.innerHTML = `<div class="credits-title">MAP DATA</div>${lines.map(line => `<div class="credits-line">${line}</div>`).join('')}`;
+                    creditsCard.dataset.text = text;
+                }
+                creditsCard.style.opacity = String(Math.min(1, phaseProgress / 0.15));
+            } else {
+                creditsCard.style.opacity = '0';
+            }
+        }
+        
+        if (!attributionEl) return;
+        if (!text || (attribution.mode !== 'overlay' && attribution.mode !== 'both')) {
+            attributionEl.style.opacity = '0';
+            return;
+        }
+        
+        // Fades in from the first frame, and out as the credits screen comes in
+        const { start, duration } = config.phases[phase];
+        const time = start + phaseProgress * duration;
+        let opacity = attribution.fade > 0 ? Math.min(1, time / attribution.fade) : 1;
+        if (phase === 'credits') opacity = Math.min(opacity, 1 - Math.min(1, phaseProgress / 0.15));
+        
+        if (attributionEl.dataset.text !== text) {
+            attributionEl.innerHTML = text;
+            attributionEl.dataset.text = text;
+        }
+        attributionEl.dataset.position = attribution.position;
+        attributionEl.dataset.style = attribution.style;
+        attributionEl.style.opacity = String(opacity);
+    }
+    
     /**
      * Render animation at a given progress (0-1 for each phase)
+     * Everything on screen - camera included - follows from phase and
+     * phaseProgress alone, so frames can be rendered in any order. Pauses are
+     * part of the position: getTimelinePosition() holds the route progress
+     * still while paused.
      * 
      * @param {Object} params
-     * @param {string} params.phase - 'title', 'pan', 'route', or 'end'
+     * @param {string} params.phase - 'title', 'pan', 'route', 'end' or 'credits'
      * @param {number} params.phaseProgress - Progress within current phase (0-1)
      * @param {Object} params.state - Animation state object
      * @param {Object} params.config - Animation config
      * @param {Object} params.map - Leaflet map instance
      * @param {Array} params.routeSegments - Route segment data
-     * @param {Object} params.elements - DOM elements { titleCard, dateStamp, destinationCard, motorcycle, person, car, backpacker }
-     * @param {Object} params.smoothing - Smoothing values { position, zoom } (different for preview vs frames)
+     * @param {Object} params.elements - DOM elements { titleCard, dateStamp, destinationCard, motorcycle, person, car, backpacker },
+     *   and optionally { attribution, creditsCard } for the map credits
+     * @param {Object} params.smoothing - Camera easing { position, zoom } per 1/30s, and animate (Leaflet animation, preview only)
      * 
-     * @returns {Object} { shouldPause, pauseDuration } - if animation should pause
+     * @returns {Object|null} The camera { lat, lng, zoom } - null on the title card (the whole route is shown)
      */
     function renderFrame(params) {
         const { phase, phaseProgress, state, config, map, routeSegments, elements, smoothing } = params;
-        const { titleCard, dateStamp, destinationCard, motorcycle, person, car, backpacker } = elements;
+        const { titleCard, dateStamp, destinationCard, motorcycle, person, car, backpacker, attribution, creditsCard } = elements;
+        const icons = { bike: motorcycle, car, backpacker, person };
         
-        // === PHASE: TITLE ===
+        if (!state.layersCreated) {
+            createLayers(state, config, map, routeSegments);
+        }
+        
+        // Route drawn so far: none before the route phase, all of it after
+        const routeEnded = phase === 'end' || phase === 'credits';
+        const routeProgress = phase === 'route' ? phaseProgress : routeEnded ? 1 : null;
+        const segInfo = routeProgress === null
+            ? null
+            : window.ZoomUtils.getSegmentInfo(routeProgress, config.segmentProgressThresholds);
+        
+        // === TITLE CARD AND CORNER STAMP ===
         if (phase === 'title') {
             // Fade in/out title card
             if (phaseProgress < 0.15) {
@@ -165,435 +578,138 @@
                 titleCard.style.opacity = '1';
             }
             titleCard.innerHTML = `<div class="title-text">${config.title}</div><div class="date-text">${config.date}</div>`;
-            
-            // Show overview (only on first call)
-            if (phaseProgress === 0 || !state.titleCardShown) {
-                map.fitBounds(config.bounds, { padding: [50, 50], animate: false });
-                state.titleCardShown = true;
-            }
-            
-            return { shouldPause: false };
+            dateStamp.style.opacity = '0';
+        } else {
+            titleCard.style.opacity = '0';
+            dateStamp.textContent = config.title.toUpperCase();
+            // Fades in as the pan begins
+            dateStamp.style.opacity = phase === 'pan' ? String(Math.min(1, phaseProgress / 0.2)) : '1';
         }
         
-        // Hide title card after title phase
-        titleCard.style.opacity = '0';
+        // === MARKERS AND LABELS ===
+        const startVisible = phase !== 'title';
+        setMarkerVisibility(state.startMarker, startVisible ? 'filled' : 'hidden');
+        state.startLabel.setOpacity(startVisible ? 1 : 0);
         
-        // Show corner title stamp
-        if (!state.dateStampShown) {
-            dateStamp.textContent = config.title.toUpperCase();
-            dateStamp.style.opacity = '1';
-            state.dateStampShown = true;
-        }
+        // End and waypoint markers appear as rings once the route starts
+        setMarkerVisibility(state.endMarker, routeProgress === null ? 'hidden' : routeProgress >= 0.98 ? 'filled' : 'outline');
+        state.endLabel.setOpacity((phase === 'end' && phaseProgress > 0.2) || phase === 'credits' ? 1 : 0);
         
-        // === PHASE: PAN ===
-        if (phase === 'pan') {
-            // Place start marker if not done
-            if (!state.startMarkerPlaced) {
-                state.startMarker = L.circleMarker(config.allCoordinates[0], {
-                    radius: 10,
-                    fillColor: '#8B0000',
-                    color: '#3d2817',
-                    weight: 3,
-                    fillOpacity: 0.9
-                }).addTo(map);
-                
-                state.startLabel = L.marker(config.allCoordinates[0], {
-                    icon: L.divIcon({
-                        className: 'location-label',
-                        html: config.startLabel,
-                        iconSize: [160, 30],
-                        iconAnchor: [80, -20]
-                    })
-                }).addTo(map);
-                
-                state.startMarkerPlaced = true;
-                
-                // Initialize camera at overview
-                state.cameraLat = config.overviewCenter.lat;
-                state.cameraLng = config.overviewCenter.lng;
-                state.cameraZoom = config.overviewZoom;
+        state.waypointMarkers.forEach((marker, i) => {
+            const segment = state.waypointSegments[i];
+            let visibility = 'hidden';
+            
+            if (segInfo) {
+                // Filled when approaching, back to a ring 20% into the next segment
+                const { currentSegment, segmentProgress } = segInfo;
+                const thresholds = config.segmentProgressThresholds;
+                const showThreshold = thresholds[segment] - (thresholds[segment] - (thresholds[segment - 1] || 0)) * 0.67;
+                const fadedOut = currentSegment > segment + 1 || (currentSegment === segment + 1 && segmentProgress > 0.2);
+                visibility = routeProgress >= showThreshold && !fadedOut ? 'filled' : 'outline';
             }
             
-            // Target: start point at close zoom
-            const startCoord = config.allCoordinates[0];
-            
-            // Smooth ease-out cubic for cinematic feel
-            const easeProgress = 1 - Math.pow(1 - phaseProgress, 3);
-            
-            // Calculate target positions
-            const targetLat = config.overviewCenter.lat + (startCoord[0] - config.overviewCenter.lat) * easeProgress;
-            const targetLng = config.overviewCenter.lng + (startCoord[1] - config.overviewCenter.lng) * easeProgress;
-            const targetZoom = config.overviewZoom + (config.closeZoom - config.overviewZoom) * easeProgress;
-            
-            // Smooth camera interpolation
-            state.cameraLat += (targetLat - state.cameraLat) * smoothing.position;
-            state.cameraLng += (targetLng - state.cameraLng) * smoothing.position;
-            state.cameraZoom += (targetZoom - state.cameraZoom) * smoothing.zoom;
-            
-            // Use animate option (true for preview, false for frame export)
-            const animateOption = smoothing.animate !== false;
-            map.setView([state.cameraLat, state.cameraLng], state.cameraZoom, { 
-                animate: animateOption,
-                duration: animateOption ? 0.3 : 0
-            });
-            
-            return { shouldPause: false };
-        }
+            setMarkerVisibility(marker, visibility);
+            state.waypointLabels[i].setOpacity(visibility === 'filled' ? 1 : 0);
+        });
         
-        // === SETUP FOR ROUTE (once) ===
-        if (!state.endMarkerPlaced) {
-            // Add end marker (hidden)
-            state.endMarker = L.circleMarker(config.allCoordinates[config.allCoordinates.length - 1], {
-                radius: 10,
-                fillColor: '#006400',
-                color: '#3d2817',
-                weight: 3,
-                fillOpacity: 0
-            }).addTo(map);
-            
-            state.endLabel = L.marker(config.allCoordinates[config.allCoordinates.length - 1], {
-                icon: L.divIcon({
-                    className: 'location-label',
-                    html: config.finalDestination,
-                    iconSize: [260, 30],
-                    iconAnchor: [130, -20]
-                }),
-                opacity: 0
-            }).addTo(map);
-            
-            // Pre-create waypoint markers (hidden)
-            for (let i = 0; i < routeSegments.length - 1; i++) {
-                if (routeSegments[i].toLabel) {
-                    const endCoord = routeSegments[i].coordinates[routeSegments[i].coordinates.length - 1];
-                    
-                    const marker = L.circleMarker(endCoord, {
-                        radius: 10,
-                        fillColor: '#FF8C00',
-                        color: '#3d2817',
-                        weight: 3,
-                        fillOpacity: 0
-                    }).addTo(map);
-                    
-                    const label = L.marker(endCoord, {
-                        icon: L.divIcon({
-                            className: 'location-label',
-                            html: routeSegments[i].toLabel,
-                            iconSize: [200, 30],
-                            iconAnchor: [100, -20]
-                        }),
-                        opacity: 0
-                    }).addTo(map);
-                    
-                    state.waypointMarkers.push(marker);
-                    state.waypointLabels.push(label);
-                    state.waypointShown.push(false);
-                    state.waypointFadedOut.push(false);
-                }
-            }
-            
-            state.endMarkerPlaced = true;
-        }
+        // === ROUTE LINE ===
+        drawRouteLine(state, config, map, routeSegments, routeProgress);
         
-        // Setup icons (once)
-        if (!state.iconsSetup) {
-            motorcycle.style.display = 'block';
-            person.style.display = 'block';
-            car.style.display = 'block';
-            backpacker.style.display = 'block';
-            state.iconsSetup = true;
-        }
+        // === ICONS ===
+        // All hidden - the current one is shown below in the route phase
+        Object.values(icons).forEach(icon => {
+            if (phase === 'route') icon.style.display = 'block';
+            icon.style.opacity = '0';
+        });
         
-        // === PHASE: ROUTE ===
-        if (phase === 'route') {
-            const routeProgress = phaseProgress;
-            
-            // Get segment info
-            const segInfo = window.ZoomUtils.getSegmentInfo(routeProgress, config.segmentProgressThresholds);
-            const { currentSegment, segmentProgress } = segInfo;
-            
-            // Check if we need to pause at segment boundary
-            if (currentSegment > 0 && state.lastPausedAfterSegment < currentSegment - 1) {
-                state.lastPausedAfterSegment = currentSegment - 1;
-                const pauseDuration = config.segmentPauses[currentSegment - 1] || 0.5;
-                return { 
-                    shouldPause: true, 
-                    pauseDuration: pauseDuration,
-                    pauseAtSegment: currentSegment - 1
-                };
-            }
-            
-            // Fade in waypoint labels when approaching
-            for (let i = 0; i < state.waypointMarkers.length; i++) {
-                if (!state.waypointShown[i]) {
-                    const showThreshold = i === 0 
-                        ? config.segmentProgressThresholds[0] * 0.33 
-                        : config.segmentProgressThresholds[i] - (config.segmentProgressThresholds[i] - (config.segmentProgressThresholds[i-1] || 0)) * 0.67;
-                    
-                    if (routeProgress >= showThreshold) {
-                        state.waypointMarkers[i].setStyle({ fillOpacity: 0.9 });
-                        state.waypointLabels[i].setOpacity(1);
-                        state.waypointShown[i] = true;
-                    }
-                }
-                
-                // Fade out after visiting (20% into next segment)
-                if (state.waypointShown[i] && !state.waypointFadedOut[i] && currentSegment > i && segmentProgress > 0.2) {
-                    state.waypointMarkers[i].setStyle({ fillOpacity: 0 });
-                    state.waypointLabels[i].setOpacity(0);
-                    state.waypointFadedOut[i] = true;
-                }
-            }
-            
-            // Icon handling
-            const currentIconType = routeSegments[currentSegment].icon;
-            const nextSegment = currentSegment + 1;
-            const nextIconType = nextSegment < routeSegments.length ? routeSegments[nextSegment].icon : null;
-            const iconWillChange = nextIconType && nextIconType !== currentIconType;
-            
-            // Fade out icon early if approaching a stop where icon will change
-            const fadeOutThreshold = 0.95;
-            const shouldFadeOutEarly = iconWillChange && segmentProgress > fadeOutThreshold;
-            
-            let currentIcon = null;
-            
-            // Hide all icons
-            motorcycle.style.opacity = '0';
-            person.style.opacity = '0';
-            car.style.opacity = '0';
-            backpacker.style.opacity = '0';
-            
-            // Show current icon (unless fading out or 'none')
-            if (currentIconType !== 'none' && !shouldFadeOutEarly) {
-                if (currentIconType === 'bike') {
-                    currentIcon = motorcycle;
-                    motorcycle.style.opacity = '1';
-                } else if (currentIconType === 'car') {
-                    currentIcon = car;
-                    car.style.opacity = '1';
-                } else if (currentIconType === 'backpacker') {
-                    currentIcon = backpacker;
-                    backpacker.style.opacity = '1';
+        // === DESTINATION CARD ===
+        // Fades in on the end card, and out for the credits screen (stays if there are no credits to show)
+        const destinationOpacity = phase === 'end'
+            ? Math.min(1, Math.max(0, (phaseProgress - 0.3) / 0.3))
+            : phase === 'credits' ? (config.attribution?.text ? 1 - Math.min(1, phaseProgress / 0.15) : 1) : 0;
+        if (destinationOpacity > 0) {
+            destinationCard.style.opacity = String(destinationOpacity);
+            const destText = destinationCard.querySelector('.destination-text');
+            if (destText) {
+                // Calculate total hiking distance
+                const totalHikingDistance = calculateTotalHikingDistance(routeSegments);
+                if (totalHikingDistance > 0) {
+                    destText.innerHTML = `${config.finalDestination}<br><span style="font-size: 0.6em;">hiking distance: ${totalHikingDistance.toFixed(2)} km</span>`;
                 } else {
-                    currentIcon = person;
-                    person.style.opacity = '1';
-                }
-            }
-            
-            const coordinates = routeSegments[currentSegment].coordinates;
-            
-            // Zoom interpolation
-            const targetZoom = window.ZoomUtils.getInterpolatedZoom(routeProgress, config.zoomKeyframes);
-            
-            // Calculate position within segment
-            const totalPoints = coordinates.length - 1;
-            const currentFloat = segmentProgress * totalPoints;
-            const currentIndex = Math.floor(currentFloat);
-            const fraction = currentFloat - currentIndex;
-            
-            const safeIndex = Math.max(0, Math.min(currentIndex, coordinates.length - 1));
-            const safeNextIndex = Math.min(safeIndex + 1, coordinates.length - 1);
-            
-            // Vehicle position with interpolation
-            let vehiclePos;
-            if (safeIndex < coordinates.length - 1 && fraction > 0) {
-                const current = coordinates[safeIndex];
-                const next = coordinates[safeNextIndex];
-                vehiclePos = [
-                    current[0] + (next[0] - current[0]) * fraction,
-                    current[1] + (next[1] - current[1]) * fraction
-                ];
-            } else {
-                vehiclePos = coordinates[safeIndex];
-            }
-            
-            // Camera look-ahead
-            const lookAheadDistance = Math.min(30, coordinates.length - safeIndex - 1);
-            const lookAheadIndex = Math.min(safeIndex + lookAheadDistance, coordinates.length - 1);
-            const lookAheadPos = coordinates[lookAheadIndex];
-            
-            const zoomOutFactor = Math.max(0, (14 - targetZoom) / 4);
-            const lookAheadBlend = 0.1 * zoomOutFactor;
-            const targetLat = vehiclePos[0] + (lookAheadPos[0] - vehiclePos[0]) * lookAheadBlend;
-            const targetLng = vehiclePos[1] + (lookAheadPos[1] - vehiclePos[1]) * lookAheadBlend;
-            
-            // Initialize camera if needed
-            if (state.cameraLat === null) {
-                state.cameraLat = targetLat;
-                state.cameraLng = targetLng;
-                state.cameraZoom = targetZoom;
-            }
-            
-            // Smooth camera tracking
-            state.cameraLat += (targetLat - state.cameraLat) * smoothing.position;
-            state.cameraLng += (targetLng - state.cameraLng) * smoothing.position;
-            state.cameraZoom += (targetZoom - state.cameraZoom) * smoothing.zoom;
-            
-            // Use animate option (true for preview, false for frame export)
-            const animateOption = smoothing.animate !== false;
-            map.setView([state.cameraLat, state.cameraLng], state.cameraZoom, { 
-                animate: animateOption,
-                duration: animateOption ? 0.3 : 0
-            });
-            
-            // Build visible line coordinates
-            const visibleCoords = coordinates.slice(0, safeIndex + 1);
-            if (safeIndex < coordinates.length - 1 && fraction > 0) {
-                visibleCoords.push([
-                    coordinates[safeIndex][0] + (coordinates[safeNextIndex][0] - coordinates[safeIndex][0]) * fraction,
-                    coordinates[safeIndex][1] + (coordinates[safeNextIndex][1] - coordinates[safeIndex][1]) * fraction
-                ]);
-            }
-            
-            // Remove old line
-            if (state.animatedLine) {
-                map.removeLayer(state.animatedLine);
-            }
-            
-            // Build complete line including previous segments
-            let allVisibleCoords = [];
-            for (let i = 0; i < currentSegment; i++) {
-                allVisibleCoords.push(...routeSegments[i].coordinates);
-            }
-            allVisibleCoords.push(...visibleCoords);
-            
-            // Draw line
-            if (allVisibleCoords.length > 1) {
-                state.animatedLine = L.polyline(allVisibleCoords, {
-                    color: config.lineColor,
-                    weight: config.lineWidth,
-                    opacity: 0.9,
-                    smoothFactor: 1,
-                    dashArray: '10, 8',
-                    className: 'route-line'
-                }).addTo(map);
-            }
-            
-            // Position and rotate icon
-            if (visibleCoords.length > 0 && currentIcon) {
-                const currentPos = visibleCoords[visibleCoords.length - 1];
-                const point = map.latLngToContainerPoint(currentPos);
-                
-                // Icon size
-                let iconSize = 40;
-                if (currentIconType === 'bike' || currentIconType === 'car') iconSize = 60;
-                else if (currentIconType === 'backpacker') iconSize = 35;
-                
-                const iconOffset = iconSize / 2;
-                currentIcon.style.left = (point.x - iconOffset) + 'px';
-                currentIcon.style.top = (point.y - iconOffset) + 'px';
-                
-                // Direction calculation - look far ahead for stability
-                const lookAhead = Math.min(coordinates.length - 1, safeIndex + 300);
-                const fromPos = coordinates[safeIndex];
-                const toPos = coordinates[lookAhead];
-                
-                const fromPoint = map.latLngToContainerPoint(fromPos);
-                const toPoint = map.latLngToContainerPoint(toPos);
-                
-                const dx = toPoint.x - fromPoint.x;
-                const dy = toPoint.y - fromPoint.y;
-                
-                if (Math.abs(dx) > 5 || Math.abs(dy) > 5) {
-                    const direction = Math.atan2(dy, dx) * 180 / Math.PI;
-                    
-                    if (currentIconType === 'car') {
-                        const goingLeft = Math.abs(direction) > 90;
-                        const scaleX = goingLeft ? -1 : 1;
-                        let tilt = goingLeft 
-                            ? (direction > 0 ? -(direction - 180) : -(direction + 180))
-                            : direction;
-                        
-                        // Smooth rotation
-                        let angleDiff = tilt - state.lastAngles.car;
-                        while (angleDiff > 180) angleDiff -= 360;
-                        while (angleDiff < -180) angleDiff += 360;
-                        if (Math.abs(angleDiff) > 5) {
-                            state.lastAngles.car += angleDiff * 0.03;
-                        }
-                        
-                        currentIcon.style.transform = `scaleX(${scaleX}) rotate(${state.lastAngles.car}deg)`;
-                        
-                    } else if (currentIconType === 'bike') {
-                        const goingRight = Math.abs(direction) <= 90;
-                        const scaleX = goingRight ? -1 : 1;
-                        let tilt = goingRight 
-                            ? -direction 
-                            : (direction > 0 ? direction - 180 : direction + 180);
-                        
-                        let angleDiff = tilt - state.lastAngles.bike;
-                        while (angleDiff > 180) angleDiff -= 360;
-                        while (angleDiff < -180) angleDiff += 360;
-                        if (Math.abs(angleDiff) > 5) {
-                            state.lastAngles.bike += angleDiff * 0.03;
-                        }
-                        
-                        currentIcon.style.transform = `scaleX(${scaleX}) rotate(${state.lastAngles.bike}deg)`;
-                        
-                    } else {
-                        // Person and backpacker - just flip horizontally
-                        const travelingLeft = dx < 0;
-                        if (currentIconType === 'backpacker') {
-                            currentIcon.style.transform = travelingLeft ? 'scaleX(1)' : 'scaleX(-1)';
-                        } else {
-                            currentIcon.style.transform = travelingLeft ? 'scaleX(-1)' : 'scaleX(1)';
-                        }
-                    }
-                    currentIcon.style.transformOrigin = 'center center';
+                    destText.textContent = config.finalDestination;
                 }
             }
-            
-            // Show end marker near completion
-            if (routeProgress >= 0.98 && state.endMarker) {
-                state.endMarker.setStyle({ fillOpacity: 0.9 });
+        } else {
+            destinationCard.style.opacity = '0';
+        }
+        
+        // === MAP CREDITS ===
+        renderAttribution(config, phase, phaseProgress, attribution, creditsCard);
+        
+        // === CAMERA ===
+        if (phase === 'title') {
+            // Overview of the whole route
+            if (state.view !== 'overview') {
+                map.fitBounds(config.bounds, { padding: config.framing.fitPadding, animate: false });
+                state.view = 'overview';
             }
-            
-            return { shouldPause: false };
+            return null;
         }
         
-        // === PHASE: END ===
-        if (phase === 'end') {
-            // Hide all icons
-            motorcycle.style.opacity = '0';
-            person.style.opacity = '0';
-            car.style.opacity = '0';
-            backpacker.style.opacity = '0';
+        // The camera moves through the pan and the route; it holds on the end card and the credits
+        const cameraTime = phase === 'pan'
+            ? phaseProgress * config.panDuration
+            : config.panDuration + routeProgress * config.routeDuration;
+        const camera = getCamera(config, routeSegments, cameraTime, smoothing);
+        setCameraView(state, map, camera, smoothing);
+        
+        if (phase !== 'route') return camera;
+        
+        // === PHASE: ROUTE ===
+        const { currentSegment, segmentProgress } = segInfo;
+        
+        // Icon handling - fade out approaching a stop where the icon will change, and fade the new one in
+        const currentIconType = routeSegments[currentSegment].icon;
+        const nextIconType = currentSegment + 1 < routeSegments.length ? routeSegments[currentSegment + 1].icon : null;
+        const previousIconType = currentSegment > 0 ? routeSegments[currentSegment - 1].icon : null;
+        const iconWillChange = nextIconType && nextIconType !== currentIconType;
+        const iconChanged = previousIconType && previousIconType !== currentIconType;
+        const iconOpacity = Math.min(
+            iconWillChange ? (1 - segmentProgress) / ICON_FADE : 1,
+            iconChanged ? segmentProgress / ICON_FADE : 1,
+            1
+        );
+        
+        if (currentIconType !== 'none' && iconOpacity > 0) {
+            const currentIcon = icons[currentIconType] || person;
+            currentIcon.style.opacity = String(iconOpacity);
             
-            // Show end marker
-            if (state.endMarker) {
-                state.endMarker.setStyle({ fillOpacity: 0.9 });
-            }
+            // Position and rotate icon
+            const coordinates = routeSegments[currentSegment].coordinates;
+            const { safeIndex, vehiclePos } = getSegmentPosition(coordinates, segmentProgress);
+            const point = map.latLngToContainerPoint(vehiclePos);
             
-            // Show end label
-            if (state.endLabel && phaseProgress > 0.2) {
-                state.endLabel.setOpacity(1);
-            }
+            // Icon size
+            let iconSize = 40;
+            if (currentIconType === 'bike' || currentIconType === 'car') iconSize = 60;
+            else if (currentIconType === 'backpacker') iconSize = 35;
             
-            // Fade in destination card
-            if (phaseProgress > 0.3) {
-                const fadeProgress = Math.min(1, (phaseProgress - 0.3) / 0.3);
-                destinationCard.style.opacity = String(fadeProgress);
-                const destText = destinationCard.querySelector('.destination-text');
-                if (destText) {
-                    // Calculate total hiking distance
-                    const totalHikingDistance = calculateTotalHikingDistance(routeSegments);
-                    if (totalHikingDistance > 0) {
-                        destText.innerHTML = `${config.finalDestination}<br><span style="font-size: 0.6em;">hiking distance: ${totalHikingDistance.toFixed(2)} km</span>`;
-                    } else {
-                        destText.textContent = config.finalDestination;
-                    }
-                }
-            }
+            const iconOffset = iconSize / 2;
+            currentIcon.style.left = (point.x - iconOffset) + 'px';
+            currentIcon.style.top = (point.y - iconOffset) + 'px';
             
-            return { shouldPause: false };
+            orientIcon(currentIcon, currentIconType, coordinates, safeIndex, map);
         }
         
-        return { shouldPause: false };
+        return camera;
     }
     
     // Export
     window.AnimationCore = {
         createAnimationState,
         createAnimationConfig,
+        createFraming,
+        getCamera,
         renderFrame
     };
     
@@ -0,0 +1,123 @@
+/**
+ * Autosave
+ * Snapshots of the editor's unsaved work in IndexedDB, so a closed tab or a
+ * crashed browser doesn't lose it. While there are unsaved changes the editor
+ * takes a snapshot every few seconds; on the next load it offers to restore it,
+ * and a save (or discarding the work) drops it.
+ *
+ * One snapshot is kept - each replaces the one before:
+ *   { routes, currentRouteIndex, fileName, savedAt }
+ */
+
+const DB_NAME = 'map-editor';
+const STORE_NAME = 'autosave';
+const SESSION_KEY = 'session';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the store, resolving with its result once the transaction is done
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Create an autosave
+ * @param {Object} config
+ * @param {Function} config.getSession - Unsaved work to snapshot: { routes, currentRouteIndex, fileName }, null when there is none
+ * @param {number} config.interval - Time between snapshots in ms (default: 10000)
+ * @param {Object} config.logger - console-like object
+ * @returns {Object} { start, stop, save, load, clear }
+ */
+function createAutosave({ getSession, interval = 10000, logger = console }) {
+    let timer = null;
+    let lastSnapshot = null; // JSON of the stored session, so an unchanged session isn't written again
+    let queue = Promise.resolve(); // one write at a time, so a late snapshot can't undo a clear()
+
+    function enqueue(task) {
+        queue = queue.then(task);
+        return queue;
+    }
+
+    /**
+     * Snapshot the session now (if it changed)
+     * @returns {Promise<boolean>} Whether a snapshot was written. Never rejects.
+     */
+    function save() {
+        return enqueue(writeSnapshot);
+    }
+
+    async function writeSnapshot() {
+        const session = getSession();
+        if (!session) return false;
+
+        const snapshot = JSON.stringify(session);
+        if (snapshot === lastSnapshot) return false;
+
+        try {
+            await withStore('readwrite', store => store.put({ ...session, savedAt: Date.now() }, SESSION_KEY));
+            lastSnapshot = snapshot;
+            return true;
+        } catch (e) {
+            logger.warn(`⚠️ Autosave failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * The stored snapshot
+     * @returns {Promise<Object|null>} { routes, currentRouteIndex, fileName, savedAt }, null if there is none
+     */
+    async function load() {
+        try {
+            return await withStore('readonly', store => store.get(SESSION_KEY)) || null;
+        } catch (e) {
+            logger.warn(`⚠️ Autosave unavailable: ${e.message}`);
+            return null;
+        }
+    }
+
+    // Drop the snapshot - the work was saved or discarded
+    function clear() {
+        return enqueue(async () => {
+            lastSnapshot = null;
+            try {
+                await withStore('readwrite', store => store.delete(SESSION_KEY));
+            } catch (e) {
+                logger.warn(`⚠️ Could not clear autosave: ${e.message}`);
+            }
+        });
+    }
+
+    function start() {
+        if (!timer) timer = setInterval(save, interval);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, save, load, clear };
+}
+
+export {
+    createAutosave
+};
@@ -0,0 +1,84 @@
+/**
+ * Edit History
+ * Undo/redo for the route editor. Every edit is a command:
+ *   { label, key?, undo(), redo() }
+ *
+ * Commands recorded one after another with the same key (typing in one form
+ * field) merge into a single step, so Ctrl+Z undoes the whole word rather than
+ * the last letter.
+ */
+
+/**
+ * Create an edit history
+ * @param {Object} config
+ * @param {number} config.limit - Steps kept (default: 50), the oldest are dropped
+ * @param {Function} config.onChange - Called after every record/undo/redo/clear
+ * @returns {Object} { record, undo, redo, clear, undoLabel, redoLabel }
+ */
+function createHistory({ limit = 50, onChange = () => {} } = {}) {
+    const done = [];
+    const undone = [];
+
+    /**
+     * Add an edit that has already been made
+     * @param {Object} command - { label, key, undo, redo }
+     */
+    function record(command) {
+        const last = done[done.length - 1];
+        if (command.key && undone.length === 0 && last?.key === command.key) {
+            // Same field again - undoing goes back to before the first keystroke
+            done[done.length - 1] = { ...command, undo: last.undo };
+        } else {
+            done.push(command);
+            if (done.length > limit) done.shift();
+        }
+        undone.length = 0;
+        onChange();
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {Object|null} The command undone, null if there was nothing to undo
+     */
+    function undo() {
+        const command = done.pop();
+        if (!command) return null;
+        command.undo();
+        undone.push(command);
+        onChange();
+        return command;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {Object|null} The command redone, null if there was nothing to redo
+     */
+    function redo() {
+        const command = undone.pop();
+        if (!command) return null;
+        command.redo();
+        done.push(command);
+        onChange();
+        return command;
+    }
+
+    // Forget every step (a different file was opened)
+    function clear() {
+        done.length = 0;
+        undone.length = 0;
+        onChange();
+    }
+
+    return {
+        record,
+        undo,
+        redo,
+        clear,
+        undoLabel: () => done[done.length - 1]?.label ?? null,
+        redoLabel: () => undone[undone.length - 1]?.label ?? null
+    };
+}
+
+export {
+    createHistory
+};
@@ -1,13 +1,49 @@
+import { parseGpx, gpxToRoute, applyGpxTrack, splitStopGeometry } from './gpx.js';
+import { geoJSONToRoute, kmlToRoute } from './geo-formats.js';
+import { validateRoute, formatValidationReport } from './route-schema.js';
+import { normalizeRoute, ROUTE_SCHEMA_VERSION, DEFAULT_ANIMATION } from './route-normalize.js';
+import { createRouter, routingConfigFromEnv, getStopRoutingOptions } from './routing.js';
+import { createGeocoder } from './geocoding.js';
+import { createServerResolver, resolveRoute, findFallbackStops, freezeRoute } from './route-resolver.js';
+import { TILE_LAYERS, DEFAULT_TILE_LAYER, fetchTileLayers } from './tile-layers.js';
+import { createHistory } from './edit-history.js';
+import { createAutosave } from './autosave.js';
+import { moveStop, duplicateStop, reverseRoute } from './route-edits.js';
+import { ROUTE_NAME_PATTERN, routeNameFromTitle, fetchRouteList, fetchRouteFile, createRouteFile, saveRouteFile, renameRouteFile, deleteRouteFile, fetchRouteTrack } from './route-library.js';
+
+// Geocoding/routing for "Freeze" - same path as the recorder (server.js cache first)
+const resolver = createServerResolver(
+    createGeocoder({ baseUrl: import.meta.env.VITE_NOMINATIM_URL, userAgent: 'MapEditor/1.0' }),
+    createRouter(routingConfigFromEnv(import.meta.env, 'VITE_'))
+);
+
 // Editor State
 let routes = [];
 let currentRouteIndex = -1;
 let currentStopIndex = -1;
 let hasUnsavedChanges = false;
-let fileHandle = null;
-let currentFileName = 'routes.json';
+let currentFileName = null; // name in the route library (server.js /api/routes) - null until saved
 let map = null;
+let baseLayer = null;
+let baseLayerKey = null;
+let tileLayers = TILE_LAYERS;
 let markers = [];
 let routeLine = null;
+let segmentLines = []; // routed segments on the preview: { line, fromIndex, toIndex, viaPoints }
+let previewGeneration = 0; // bumped on every redraw/drag, so late routes don't draw over newer lines
+const previewRoutes = new Map(); // segment -> Promise of its routed coordinates
+
+// Dashes for a segment that is still straight - being dragged or not routed yet
+const PENDING_DASH = '6 8';
+
+// Undo/redo - each edit keeps the editor state from before and after it
+const editHistory = createHistory({ onChange: updateHistoryButtons });
+let dragStartState = null; // state when a marker drag began, recorded as one edit on drop
+
+// Unsaved work is snapshotted to IndexedDB and offered back on the next load
+const autosave = createAutosave({
+    getSession: () => hasUnsavedChanges ? { routes, currentRouteIndex, fileName: currentFileName } : null
+});
 
 // DOM Elements
 const routeList = document.getElementById('routeList');
@@ -16,17 +52,24 @@ const routeEditor = document.getElementById('routeEditor');
 const stopList = document.getElementById('stopList');
 const mapPreview = document.getElementById('mapPreview');
 const previewInfo = document.getElementById('previewInfo');
+const validationInfo = document.getElementById('validationInfo');
 
 // File controls
 const currentFileDisplay = document.getElementById('currentFileDisplay');
 const currentFileNameEl = document.getElementById('currentFileName');
 const openFileBtn = document.getElementById('openFileBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
 const newFileBtn = document.getElementById('newFileBtn');
 const newRouteBtn = document.getElementById('newRouteBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 
 // Route form elements
 const routeTitle = document.getElementById('routeTitle');
 const routeDate = document.getElementById('routeDate');
+const routeRouting = document.getElementById('routeRouting');
+const routeTile = document.getElementById('routeTile');
 const startAddress = document.getElementById('startAddress');
 const startLabel = document.getElementById('startLabel');
 const startZoom = document.getElementById('startZoom');
@@ -42,8 +85,11 @@ const stopCoords = document.getElementById('stopCoords');
 const stopLabel = document.getElementById('stopLabel');
 const stopTravelMode = document.getElementById('stopTravelMode');
 const stopIcon = document.getElementById('stopIcon');
+const stopRouting = document.getElementById('stopRouting');
+const stopViaPoints = document.getElementById('stopViaPoints');
 const stopZoom = document.getElementById('stopZoom');
 const stopPause = document.getElementById('stopPause');
+const stopDuration = document.getElementById('stopDuration');
 const stopModalSave = document.getElementById('stopModalSave');
 const stopModalCancel = document.getElementById('stopModalCancel');
 
@@ -54,6 +100,20 @@ const confirmModalBody = document.getElementById('confirmModalBody');
 const confirmModalConfirm = document.getElementById('confirmModalConfirm');
 const confirmModalCancel = document.getElementById('confirmModalCancel');
 
+// Route library modal
+const libraryModal = document.getElementById('libraryModal');
+const libraryList = document.getElementById('libraryList');
+const libraryInfo = document.getElementById('libraryInfo');
+const libraryModalClose = document.getElementById('libraryModalClose');
+
+// Prompt modal
+const promptModal = document.getElementById('promptModal');
+const promptModalTitle = document.getElementById('promptModalTitle');
+const promptModalLabel = document.getElementById('promptModalLabel');
+const promptModalInput = document.getElementById('promptModalInput');
+const promptModalOk = document.getElementById('promptModalOk');
+const promptModalCancel = document.getElementById('promptModalCancel');
+
 // Alert modal
 const alertModal = document.getElementById('alertModal');
 const alertModalTitle = document.getElementById('alertModalTitle');
@@ -62,26 +122,33 @@ const alertModalOk = document.getElementById('alertModalOk');
 
 // Buttons
 const addStopBtn = document.getElementById('addStopBtn');
+const reverseRouteBtn = document.getElementById('reverseRouteBtn');
 const saveRouteBtn = document.getElementById('saveRouteBtn');
 const saveAsBtn = document.getElementById('saveAsBtn');
 const exportJsonBtn = document.getElementById('exportJsonBtn');
+const freezeRouteBtn = document.getElementById('freezeRouteBtn');
 
 // Initialize
 async function init() {
     initMap();
-    await loadRoutes();
+    tileLayers = await fetchTileLayers();
+    routeTile.insertAdjacentHTML('beforeend', Object.entries(tileLayers)
+        .map(([key, layer]) => `<option value="${key}">${layer.label}</option>`)
+        .join(''));
+    updateFileDisplay();
+    renderRouteList();
     setupEventListeners();
+    if (!await offerSessionRestore()) {
+        openLibrary();
+    }
+    autosave.start();
     console.log('Route Editor initialized! 🗺️');
 }
 
 // Initialize Leaflet map
 function initMap() {
     map = L.map('mapPreview').setView([57.8, 12.1], 11);
-    
-    L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap',
-        maxZoom: 19
-    }).addTo(map);
+    showBaseLayer(DEFAULT_TILE_LAYER);
     
     // Allow clicking on map to set stop coordinates
     map.on('click', (e) => {
@@ -91,49 +158,27 @@ function initMap() {
     });
 }
 
-// Load routes
-async function loadRoutes() {
-    try {
-        // Try localStorage first (from editor session)
-        const storedData = localStorage.getItem('routes_data');
-        if (storedData) {
-            const data = JSON.parse(storedData);
-            routes = data.routes || [];
-            console.log('Loaded routes from localStorage');
-        } else {
-            // Load default route files
-            routes = [];
-            const defaultFiles = ['destinations.json', 'stannum-ljungslätt.json', 'gulf-campino.json', 'vättlefjäll.json'];
-            
-            for (const file of defaultFiles) {
-                try {
-                    const response = await fetch(file);
-                    if (response.ok) {
-                        const data = await response.json();
-                        data._filename = file;
-                        routes.push(data);
-                    }
-                } catch (err) {
-                    console.warn(`Could not load ${file}:`, err);
-                }
-            }
-            
-            // Sync to localStorage
-            syncToRecorder();
-        }
-        
-        updateFileDisplay();
-        renderRouteList();
-    } catch (error) {
-        console.error('Failed to load routes:', error);
-        routes = [];
-    }
+// Show the map in a route's basemap
+function showBaseLayer(key) {
+    const layerKey = tileLayers[key] ? key : DEFAULT_TILE_LAYER;
+    if (layerKey === baseLayerKey) return;
+    if (baseLayer) baseLayer.remove();
+    baseLayer = L.tileLayer(tileLayers[layerKey].url, tileLayers[layerKey].options).addTo(map);
+    baseLayerKey = layerKey;
 }
 
-// Sync to localStorage for recorder
-function syncToRecorder() {
-    localStorage.setItem('routes_data', JSON.stringify({ routes }));
-    console.log('Synced routes to localStorage');
+// Upgrade older route formats in place (see route-normalize.js)
+// Returns one note per upgraded route, listing what changed
+function upgradeRoutes() {
+    const notes = [];
+    routes = routes.map((route, index) => {
+        const { route: normalized, changes } = normalizeRoute(route);
+        if (changes.length) {
+            notes.push(`${route.title || `Route ${index + 1}`}:\n${changes.map(c => `🔧 ${c}`).join('\n')}`);
+        }
+        return normalized;
+    });
+    return notes;
 }
 
 // Render route list
@@ -145,7 +190,7 @@ function renderRouteList() {
     
     routeList.innerHTML = routes.map((route, index) => `
         <li class="route-item ${index === currentRouteIndex ? 'active' : ''}" data-index="${index}">
-            <span>${route.title || `Route ${index + 1}`}</span>
+            <span>${validateRoute(route).valid ? '' : '⚠️ '}${route.title || `Route ${index + 1}`}</span>
             <span class="route-item-delete" data-index="${index}">🗑️</span>
         </li>
     `).join('');
@@ -179,11 +224,14 @@ function loadRoute(index) {
     // Populate form
     routeTitle.value = route.title || '';
     routeDate.value = route.date || '';
+    routeRouting.value = route.routing?.provider || '';
+    routeTile.value = tileLayers[route.tile] ? route.tile : '';
+    showBaseLayer(route.tile);
     startAddress.value = route.start?.address || '';
     startLabel.value = route.start?.label || '';
     startZoom.value = route.start?.zoomLevel || 13;
-    startPause.value = route.start?.pause || 1;
-    animDuration.value = route.animation?.totalDuration || 25000;
+    startPause.value = route.start?.pause ?? 1;
+    animDuration.value = route.animation?.duration || DEFAULT_ANIMATION.duration;
     animLineColor.value = route.animation?.lineColor || '#8B4513';
     animLineWidth.value = route.animation?.lineWidth || 4;
     
@@ -206,15 +254,19 @@ function renderStopList() {
     }
     
     stopList.innerHTML = route.stops.map((stop, index) => {
-        const coords = stop.coordinates ? `${stop.coordinates[0]}, ${stop.coordinates[1]}` : stop.address || '';
+        let coords = stop.coordinates ? `${stop.coordinates[0]}, ${stop.coordinates[1]}` : stop.address || '';
+        if (stop.geometry) coords += ` • 🥾 ${stop.geometry.length} pts`;
+        else if (stop.viaPoints?.length) coords += ` • ↝ ${stop.viaPoints.length} via`;
         return `
             <li class="stop-item" data-index="${index}">
+                <span class="stop-drag-handle" title="Drag to reorder">⠿</span>
                 <div class="stop-item-info">
                     <div class="stop-item-label">${stop.label || `Stop ${index + 1}`}</div>
                     <div class="stop-item-details">${coords} • ${stop.travelMode || 'driving'} • ${stop.icon || 'car'}</div>
                 </div>
                 <div class="stop-item-actions">
                     <button class="stop-item-btn edit-stop" data-index="${index}">✏️</button>
+                    <button class="stop-item-btn duplicate-stop" data-index="${index}" title="Duplicate">⧉</button>
                     <button class="stop-item-btn danger delete-stop" data-index="${index}">🗑️</button>
                 </div>
             </li>
@@ -226,13 +278,98 @@ function renderStopList() {
         btn.addEventListener('click', () => editStop(parseInt(btn.dataset.index)));
     });
     
+    document.querySelectorAll('.duplicate-stop').forEach(btn => {
+        btn.addEventListener('click', () => duplicateStopAt(parseInt(btn.dataset.index)));
+    });
+    
     document.querySelectorAll('.delete-stop').forEach(btn => {
         btn.addEventListener('click', () => deleteStop(parseInt(btn.dataset.index)));
     });
+    
+    // Reorder by dragging a stop by its handle (only the handle starts a drag)
+    let dragFrom = -1;
+    document.querySelectorAll('.stop-item').forEach(item => {
+        const handle = item.querySelector('.stop-drag-handle');
+        handle.addEventListener('mousedown', () => { item.draggable = true; });
+        handle.addEventListener('mouseup', () => { item.draggable = false; });
+        
+        const dropAfter = (e) => {
+            const rect = item.getBoundingClientRect();
+            return e.clientY > rect.top + rect.height / 2;
+        };
+        
+        item.addEventListener('dragstart', (e) => {
+            dragFrom = parseInt(item.dataset.index);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => {
+            dragFrom = -1;
+            item.draggable = false;
+            item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', (e) => {
+            if (dragFrom < 0) return;
+            e.preventDefault();
+            const after = dropAfter(e);
+            item.classList.toggle('drop-before', !after);
+            item.classList.toggle('drop-after', after);
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-before', 'drop-after'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-before', 'drop-after');
+            if (dragFrom < 0) return;
+            
+            const index = parseInt(item.dataset.index);
+            let to = dropAfter(e) ? index + 1 : index;
+            if (dragFrom < to) to--;
+            if (to !== dragFrom) reorderStop(dragFrom, to);
+        });
+    });
 }
 
-// Update map preview
-function updateMapPreview() {
+// Move a stop to another place in the list
+function reorderStop(from, to) {
+    const before = captureState();
+    const route = routes[currentRouteIndex];
+    const dropped = moveStop(route, from, to);
+    stopsEdited('Move stop', before);
+    
+    if (dropped.length) {
+        const names = dropped.map(index => route.stops[index].label || `Stop ${index + 1}`);
+        showAlert('Tracks Removed', `The recorded track to ${names.join(', ')} started at the stop before it, so it was removed - the way there is routed now. Undo (Ctrl+Z) to get it back.`);
+    }
+}
+
+function duplicateStopAt(index) {
+    const before = captureState();
+    duplicateStop(routes[currentRouteIndex], index);
+    stopsEdited('Duplicate stop', before);
+}
+
+// Drive the route the other way - each segment keeps its travel mode
+function reverseCurrentRoute() {
+    const route = routes[currentRouteIndex];
+    if (!route?.stops?.length) return;
+    
+    let reversed;
+    try {
+        reversed = reverseRoute(route);
+    } catch (err) {
+        showAlert('Cannot Reverse', err.message);
+        return;
+    }
+    
+    const before = captureState();
+    routes[currentRouteIndex] = reversed;
+    recordEdit('Reverse route', before);
+    markUnsaved();
+    loadRoute(currentRouteIndex);
+}
+
+// Update map preview - fit: zoom to the whole route (off while editing on the map)
+function updateMapPreview({ fit = true } = {}) {
     // Clear existing markers and lines
     markers.forEach(m => map.removeLayer(m));
     markers = [];
@@ -240,43 +377,164 @@ function updateMapPreview() {
         map.removeLayer(routeLine);
         routeLine = null;
     }
+    segmentLines = [];
+    previewGeneration++;
     
     const route = routes[currentRouteIndex];
     if (!route) return;
     
     const allPoints = [];
     
-    // Add start marker
+    // Start marker - drag to move
     if (route.start?.coordinates) {
-        const marker = L.marker(route.start.coordinates).addTo(map);
+        const marker = L.marker(route.start.coordinates, { draggable: true }).addTo(map);
         marker.bindPopup(`<b>${route.start.label || 'START'}</b>`);
+        marker.on('dragstart', () => { dragStartState = captureState(); });
+        marker.on('drag', () => dragPoint(-1, marker.getLatLng()));
+        marker.on('dragend', () => stopsEdited('Move start', dragStartState));
         markers.push(marker);
         allPoints.push(route.start.coordinates);
     }
     
-    // Add stop markers
+    // Stop markers - drag to move, right-click to delete. A stop at the end of a
+    // recorded track stays put (moving it would throw the track away)
     if (route.stops) {
         route.stops.forEach((stop, index) => {
             if (stop.coordinates) {
-                const marker = L.marker(stop.coordinates).addTo(map);
+                const marker = L.marker(stop.coordinates, { draggable: !stop.geometry }).addTo(map);
                 marker.bindPopup(`<b>${stop.label || `Stop ${index + 1}`}</b>`);
+                marker.on('dragstart', () => { dragStartState = captureState(); });
+                marker.on('drag', () => dragPoint(index, marker.getLatLng()));
+                marker.on('dragend', () => stopsEdited('Move stop', dragStartState));
+                marker.on('contextmenu', () => deleteStop(index));
                 markers.push(marker);
                 allPoints.push(stop.coordinates);
             }
         });
     }
     
-    // Draw line
+    // Draw line - recorded tracks as-is, everything else routed like the recorder
+    // does (dashed and straight until the route is in)
     if (allPoints.length > 1) {
         const color = route.animation?.lineColor || '#8B4513';
         const weight = route.animation?.lineWidth || 4;
-        routeLine = L.polyline(allPoints, { color, weight }).addTo(map);
-        map.fitBounds(routeLine.getBounds(), { padding: [50, 50] });
-    } else if (allPoints.length === 1) {
+        const generation = previewGeneration;
+        routeLine = L.featureGroup().addTo(map);
+        
+        let prevPoint = route.start?.coordinates;
+        let prevIndex = -1;
+        route.stops.forEach((stop, index) => {
+            if (stop.geometry?.length > 1) {
+                const track = L.polyline(stop.geometry, { color, weight }).addTo(routeLine);
+                track.bindTooltip('Click to split the track here');
+                track.on('click', (e) => {
+                    L.DomEvent.stopPropagation(e);
+                    splitTrackAt(index, e.latlng);
+                });
+            } else if (prevPoint && stop.coordinates) {
+                const from = prevPoint;
+                const viaPoints = stop.viaPoints || [];
+                const line = L.polyline([from, ...viaPoints, stop.coordinates], { color, weight, dashArray: PENDING_DASH }).addTo(routeLine);
+                line.bindTooltip('Click to insert a stop, Shift+click to add a via point');
+                line.on('click', (e) => {
+                    L.DomEvent.stopPropagation(e);
+                    if (e.originalEvent.shiftKey) {
+                        addViaPoint(index, from, e.latlng);
+                    } else {
+                        insertStopAt(index, from, e.latlng);
+                    }
+                });
+                segmentLines.push({ line, fromIndex: prevIndex, toIndex: index, viaPoints });
+                
+                previewRoute(from, stop.coordinates, getStopRoutingOptions(route, { ...stop, travelMode: stop.travelMode || 'walk' }))
+                    .then(coordinates => {
+                        if (generation === previewGeneration) {
+                            line.setLatLngs(coordinates).setStyle({ dashArray: null });
+                        }
+                    });
+                
+                // Via points as handles: drag to move, right-click to remove
+                viaPoints.forEach((point, viaIndex) => {
+                    const handle = L.marker(point, {
+                        draggable: true,
+                        icon: L.divIcon({ className: 'via-handle', iconSize: [14, 14] })
+                    }).addTo(map);
+                    handle.bindTooltip(`Via ${viaIndex + 1} - drag to move, right-click to remove`);
+                    handle.on('drag', () => {
+                        const moved = [...viaPoints];
+                        moved[viaIndex] = handle.getLatLng();
+                        previewGeneration++;
+                        line.setLatLngs([from, ...moved, stop.coordinates]).setStyle({ dashArray: PENDING_DASH });
+                    });
+                    handle.on('dragend', () => moveViaPoint(index, viaIndex, handle.getLatLng()));
+                    handle.on('contextmenu', () => removeViaPoint(index, viaIndex));
+                    markers.push(handle);
+                });
+            }
+            if (stop.coordinates) {
+                prevPoint = stop.coordinates;
+                prevIndex = index;
+            }
+        });
+        
+        if (fit) map.fitBounds(routeLine.getBounds(), { padding: [50, 50] });
+    } else if (allPoints.length === 1 && fit) {
         map.setView(allPoints[0], 13);
     }
     
     previewInfo.textContent = `${allPoints.length} point(s) • ${route.stops?.length || 0} stop(s)`;
+    renderValidation();
+}
+
+// Routed geometry for a preview segment - through server.js (and its cache) like
+// the recorder, remembered so redrawing the preview doesn't route again
+function previewRoute(from, to, routing) {
+    const key = JSON.stringify([from, to, routing]);
+    if (!previewRoutes.has(key)) {
+        previewRoutes.set(key, resolver.route(from, to, routing).then(result => result.coordinates));
+    }
+    return previewRoutes.get(key);
+}
+
+// Move the start (index -1) or a stop while its marker is dragged - the lines
+// on either side follow as straight lines until it's dropped and routed again
+function dragPoint(index, latlng) {
+    const route = routes[currentRouteIndex];
+    const point = index < 0 ? route.start : route.stops[index];
+    point.coordinates = toPoint(latlng);
+    previewGeneration++;
+    
+    segmentLines
+        .filter(segment => segment.fromIndex === index || segment.toIndex === index)
+        .forEach(({ line, fromIndex, toIndex, viaPoints }) => {
+            const from = fromIndex < 0 ? route.start.coordinates : route.stops[fromIndex].coordinates;
+            line.setLatLngs([from, ...viaPoints, route.stops[toIndex].coordinates]).setStyle({ dashArray: PENDING_DASH });
+        });
+    
+    if (index >= 0) renderStopList();
+}
+
+// Show schema errors/warnings for the current route under the map preview
+function renderValidation() {
+    const route = routes[currentRouteIndex];
+    const result = route ? validateRoute(route) : { valid: true, errors: [], warnings: [] };
+    const report = formatValidationReport(result);
+    
+    validationInfo.style.display = report ? 'block' : 'none';
+    validationInfo.classList.toggle('invalid', !result.valid);
+    validationInfo.textContent = report;
+}
+
+// Collect validation problems for all routes in the file, prefixed by route title
+function validateAllRoutes() {
+    const problems = [];
+    routes.forEach((route, index) => {
+        const result = validateRoute(route);
+        if (!result.valid) {
+            problems.push(`${route.title || `Route ${index + 1}`}:\n${formatValidationReport({ errors: result.errors, warnings: [] })}`);
+        }
+    });
+    return problems;
 }
 
 // Update route from form
@@ -287,6 +545,21 @@ function updateRouteFromForm() {
     route.title = routeTitle.value;
     route.date = routeDate.value;
     
+    // Routing provider for the whole route (stops can override)
+    if (routeRouting.value) {
+        route.routing = { ...route.routing, provider: routeRouting.value };
+    } else {
+        delete route.routing;
+    }
+    
+    // Basemap - the recorder and the CLI use it unless told otherwise
+    if (routeTile.value) {
+        route.tile = routeTile.value;
+    } else {
+        delete route.tile;
+    }
+    showBaseLayer(route.tile);
+    
     // Update start
     if (!route.start) route.start = {};
     route.start.address = startAddress.value;
@@ -296,40 +569,71 @@ function updateRouteFromForm() {
     
     // Update animation
     if (!route.animation) route.animation = {};
-    route.animation.totalDuration = parseInt(animDuration.value);
+    route.animation.duration = parseInt(animDuration.value);
     route.animation.lineColor = animLineColor.value;
     route.animation.lineWidth = parseInt(animLineWidth.value);
     
     markUnsaved();
-    syncToRecorder();
+    renderValidation();
 }
 
 // Event listeners
 function setupEventListeners() {
     // File management
-    openFileBtn.addEventListener('click', openFile);
+    openFileBtn.addEventListener('click', openLibrary);
+    libraryModalClose.addEventListener('click', closeLibrary);
+    importBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', importFile);
     newFileBtn.addEventListener('click', createNewFile);
     newRouteBtn.addEventListener('click', createNewRoute);
     
     // Stop management
     addStopBtn.addEventListener('click', () => openStopModal());
+    reverseRouteBtn.addEventListener('click', reverseCurrentRoute);
     stopModalSave.addEventListener('click', saveStop);
     stopModalCancel.addEventListener('click', closeStopModal);
     
     // Route actions
     saveRouteBtn.addEventListener('click', saveRoute);
-    saveAsBtn.addEventListener('click', saveAsRoute);
+    saveAsBtn.addEventListener('click', () => saveAsRoute());
     exportJsonBtn.addEventListener('click', exportJson);
+    freezeRouteBtn.addEventListener('click', freezeCurrentRoute);
     
     // Track changes
-    [routeTitle, routeDate, startAddress, startLabel, startZoom, startPause, 
+    [routeTitle, routeDate, routeRouting, routeTile, startAddress, startLabel, startZoom, startPause, 
      animDuration, animLineColor, animLineWidth].forEach(input => {
         input.addEventListener('input', () => {
+            // Typing in one field is one undo step
+            const before = captureState();
             updateRouteFromForm();
+            recordEdit('Edit route details', before, `${currentRouteIndex}:${input.id}`);
             updateMapPreview();
         });
     });
     
+    // Undo/redo
+    undoBtn.addEventListener('click', undoEdit);
+    redoBtn.addEventListener('click', redoEdit);
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        // Let the stop modal's fields undo their own typing
+        if (document.querySelector('.modal-overlay.active')) return;
+        
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            redoEdit();
+        } else {
+            undoEdit();
+        }
+    });
+    
+    // Snapshot right away when the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') autosave.save();
+    });
+    
     // Confirm modal
     confirmModalCancel.addEventListener('click', closeConfirmModal);
     
@@ -340,11 +644,14 @@ function setupEventListeners() {
     confirmModal.addEventListener('click', (e) => {
         if (e.target === confirmModal) closeConfirmModal();
     });
+    libraryModal.addEventListener('click', (e) => {
+        if (e.target === libraryModal) closeLibrary();
+    });
 }
 
 // File management
 function updateFileDisplay() {
-    currentFileNameEl.textContent = currentFileName;
+    currentFileNameEl.textContent = currentFileName ? `${currentFileName}.json` : 'Untitled';
     if (hasUnsavedChanges) {
         currentFileDisplay.classList.add('unsaved');
     } else {
@@ -360,51 +667,399 @@ function markUnsaved() {
 function markSaved() {
     hasUnsavedChanges = false;
     updateFileDisplay();
+    autosave.clear();
 }
 
-async function openFile() {
-    if ('showOpenFilePicker' in window) {
-        try {
-            const [handle] = await window.showOpenFilePicker({
-                types: [{
-                    description: 'JSON Files',
-                    accept: { 'application/json': ['.json'] }
-                }]
-            });
-            
-            fileHandle = handle;
-            currentFileName = handle.name;
-            
-            const file = await handle.getFile();
-            const contents = await file.text();
-            const data = JSON.parse(contents);
-            
-            // Single route file or multi-route file
-            if (data.routes) {
-                routes = data.routes;
-            } else {
-                routes = [data];
-            }
-            
-            currentRouteIndex = -1;
-            hasUnsavedChanges = false;
-            
-            updateFileDisplay();
-            renderRouteList();
+// Undo/redo
+function captureState() {
+    return { routes: JSON.stringify(routes), routeIndex: currentRouteIndex };
+}
+
+// Record the edit made since `before` was captured - key: edits with the same key in a row merge
+function recordEdit(label, before, key) {
+    const after = captureState();
+    if (after.routes === before.routes) return;
+    editHistory.record({
+        label,
+        key,
+        undo: () => restoreState(before),
+        redo: () => restoreState(after)
+    });
+}
+
+function restoreState(state) {
+    routes = JSON.parse(state.routes);
+    markUnsaved();
+    
+    if (routes[state.routeIndex]) {
+        loadRoute(state.routeIndex);
+    } else {
+        currentRouteIndex = -1;
+        emptyState.style.display = 'block';
+        routeEditor.style.display = 'none';
+        updateMapPreview();
+        renderRouteList();
+    }
+}
+
+function undoEdit() {
+    const command = editHistory.undo();
+    if (command) console.log(`↶ Undo: ${command.label}`);
+}
+
+function redoEdit() {
+    const command = editHistory.redo();
+    if (command) console.log(`↷ Redo: ${command.label}`);
+}
+
+function updateHistoryButtons() {
+    const undoLabel = editHistory.undoLabel();
+    const redoLabel = editHistory.redoLabel();
+    undoBtn.disabled = !undoLabel;
+    redoBtn.disabled = !redoLabel;
+    undoBtn.title = undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = redoLabel ? `Redo ${redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Offer back the work a closed tab left unsaved (see autosave.js)
+// Returns whether it was restored
+async function offerSessionRestore() {
+    const session = await autosave.load();
+    if (!session) return false;
+    
+    const file = session.fileName ? `${session.fileName}.json` : 'a new file';
+    const restore = await showConfirm(
+        'Restore Unsaved Session?',
+        `There are unsaved changes to ${file} from ${new Date(session.savedAt).toLocaleString()}.\n\nRestore them? Cancel discards them.`
+    );
+    if (!restore) {
+        autosave.clear();
+        return false;
+    }
+    
+    routes = session.routes;
+    currentFileName = session.fileName;
+    editHistory.clear();
+    markUnsaved();
+    renderRouteList();
+    if (routes[session.currentRouteIndex]) loadRoute(session.currentRouteIndex);
+    return true;
+}
+
+// Route library - the route files on the server, shared with the recorder
+async function openLibrary() {
+    libraryList.innerHTML = '<li style="padding: 20px; text-align: center; color: #888;">Loading...</li>';
+    libraryInfo.textContent = '';
+    libraryModal.classList.add('active');
+    
+    let entries;
+    try {
+        entries = await fetchRouteList();
+    } catch (err) {
+        libraryList.innerHTML = '';
+        libraryInfo.textContent = err.message;
+        return;
+    }
+    
+    if (entries.length === 0) {
+        libraryList.innerHTML = '<li style="padding: 20px; text-align: center; color: #888;">No route files yet - create a route and save it</li>';
+        return;
+    }
+    
+    libraryList.innerHTML = entries.map((entry, index) => `
+        <li class="stop-item" data-index="${index}">
+            <div class="stop-item-info">
+                <div class="stop-item-label">${entry.valid ? '' : '⚠️ '}${entry.titles.join(', ')}</div>
+                <div class="stop-item-details">${entry.file} • ${entry.stops} stop(s) • ${new Date(entry.updatedAt).toLocaleString()}</div>
+            </div>
+            <div class="stop-item-actions">
+                <button class="stop-item-btn open-file" data-index="${index}">Open</button>
+                <button class="stop-item-btn rename-file" data-index="${index}" title="Rename">✏️</button>
+                <button class="stop-item-btn danger delete-file" data-index="${index}" title="Delete">🗑️</button>
+            </div>
+        </li>
+    `).join('');
+    
+    libraryList.querySelectorAll('.open-file').forEach(btn => {
+        btn.addEventListener('click', () => openFile(entries[parseInt(btn.dataset.index)].name));
+    });
+    libraryList.querySelectorAll('.rename-file').forEach(btn => {
+        btn.addEventListener('click', () => renameFile(entries[parseInt(btn.dataset.index)].name));
+    });
+    libraryList.querySelectorAll('.delete-file').forEach(btn => {
+        btn.addEventListener('click', () => deleteFile(entries[parseInt(btn.dataset.index)].name));
+    });
+}
+
+function closeLibrary() {
+    libraryModal.classList.remove('active');
+}
+
+async function openFile(name) {
+    if (hasUnsavedChanges) {
+        const proceed = await showConfirm('Unsaved Changes', `You have unsaved changes. Open ${name}.json anyway?`);
+        if (!proceed) return;
+    }
+    
+    try {
+        const { data } = await fetchRouteFile(name);
+        
+        // Single route file or multi-route file
+        routes = data.routes || [data];
+        currentFileName = name;
+        currentRouteIndex = -1;
+        editHistory.clear();
+        
+        const upgrades = upgradeRoutes();
+        if (upgrades.length) {
+            markUnsaved();
+        } else {
+            markSaved();
+        }
+        
+        closeLibrary();
+        renderRouteList();
+        if (routes.length > 0) {
+            loadRoute(0);
+        } else {
             emptyState.style.display = 'block';
             routeEditor.style.display = 'none';
-            
-            syncToRecorder();
-            
-        } catch (err) {
-            if (err.name !== 'AbortError') {
-                console.error('Open failed:', err);
-                showAlert('Error', 'Failed to open file. Make sure it\'s a valid JSON file.');
+        }
+        
+        const problems = validateAllRoutes();
+        if (problems.length) {
+            showAlert('Route File Problems', [...upgrades, ...problems].join('\n\n'));
+        } else if (upgrades.length) {
+            showAlert('Route File Upgraded', `${upgrades.join('\n\n')}\n\nSave to keep these changes.`);
+        }
+    } catch (err) {
+        console.error('Open failed:', err);
+        showAlert('Error', `Failed to open ${name}.json: ${err.message}`);
+    }
+}
+
+async function renameFile(name) {
+    const newName = await promptRouteName('Rename Route File', name);
+    if (!newName || newName === name) return;
+    
+    try {
+        await renameRouteFile(name, newName);
+        if (currentFileName === name) {
+            currentFileName = newName;
+            updateFileDisplay();
+        }
+        openLibrary();
+    } catch (err) {
+        showAlert('Error', `Failed to rename ${name}.json: ${err.message}`);
+    }
+}
+
+async function deleteFile(name) {
+    const confirmed = await showConfirm('Delete Route File', `Are you sure you want to delete ${name}.json? Everyone using this server loses it.`);
+    if (!confirmed) return;
+    
+    try {
+        await deleteRouteFile(name);
+        // Still open here - saving puts it back under a new name
+        if (currentFileName === name) {
+            currentFileName = null;
+            markUnsaved();
+        }
+        openLibrary();
+    } catch (err) {
+        showAlert('Error', `Failed to delete ${name}.json: ${err.message}`);
+    }
+}
+
+// Ask for a route library name until it is one the server accepts (null: cancelled)
+async function promptRouteName(title, value) {
+    let name = value;
+    for (;;) {
+        name = await showPrompt(title, 'Name (saved as <name>.json)', name);
+        if (name === null) return null;
+        name = name.trim().replace(/\.json$/i, '');
+        if (ROUTE_NAME_PATTERN.test(name)) return name;
+        await showAlert('Invalid Name', 'Names start with a letter or digit and use only letters, digits, space, _ . and -');
+    }
+}
+
+// Import a GPX track, or GeoJSON/KML exported by the recorder, as a new route
+// (the recorded/routed line becomes the stop geometry - no routing needed).
+// A route file from elsewhere (.json that isn't GeoJSON) adds its routes as they are.
+async function importFile() {
+    const [file] = importFileInput.files;
+    importFileInput.value = '';
+    if (!file) return;
+    
+    try {
+        const contents = await file.text();
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        let route, summary;
+        
+        if (/\.gpx$/i.test(file.name)) {
+            const gpx = parseGpx(contents);
+            route = gpxToRoute(gpx, { title: gpx.name || baseName });
+            const trackPoints = route.stops.reduce((sum, stop) => sum + (stop.geometry?.length || 0), 0);
+            summary = `${route.stops.length} segment(s), ${trackPoints} track points, ${gpx.waypoints.length} waypoint(s). Click the track on the map to split it into more segments.`;
+        } else if (/\.kml$/i.test(file.name)) {
+            route = kmlToRoute(contents);
+            summary = `${route.stops.length} segment(s) imported from KML.`;
+        } else {
+            const data = JSON.parse(contents);
+            if (data.type !== 'FeatureCollection') {
+                return importRouteFile(file.name, data);
             }
+            route = geoJSONToRoute(data);
+            summary = `${route.stops.length} segment(s) imported from GeoJSON.`;
+        }
+        
+        const before = captureState();
+        routes.push(normalizeRoute(route).route);
+        recordEdit(`Import ${file.name}`, before);
+        markUnsaved();
+        renderRouteList();
+        loadRoute(routes.length - 1);
+        
+        const validation = validateRoute(routes[routes.length - 1]);
+        if (!validation.valid) {
+            summary += `\n\n${formatValidationReport(validation)}`;
         }
+        showAlert('Route Imported', summary);
+    } catch (err) {
+        console.error('Import failed:', err);
+        showAlert('Error', `Failed to import ${file.name}: ${err.message}`);
+    }
+}
+
+// Add the routes of a route file (a route, or { routes }) to the open file
+function importRouteFile(fileName, data) {
+    const imported = data.routes || [data];
+    if (!imported.every(route => route && typeof route === 'object' && Array.isArray(route.stops))) {
+        throw new Error('Not a route file or GeoJSON FeatureCollection');
+    }
+    
+    const before = captureState();
+    const firstIndex = routes.length;
+    routes.push(...imported.map(route => normalizeRoute(route).route));
+    recordEdit(`Import ${fileName}`, before);
+    markUnsaved();
+    renderRouteList();
+    loadRoute(firstIndex);
+    
+    const problems = validateAllRoutes();
+    showAlert('Route Imported', [`${imported.length} route(s) imported from ${fileName}.`, ...problems].join('\n\n'));
+}
+
+// [lat, lng] rounded like coordinates typed into the stop modal
+function toPoint(latlng) {
+    return [parseFloat(latlng.lat.toFixed(6)), parseFloat(latlng.lng.toFixed(6))];
+}
+
+// Stops or via points were edited on the map or in the stop list - keep the view where the user is working
+function stopsEdited(label, before) {
+    recordEdit(label, before);
+    markUnsaved();
+    renderStopList();
+    updateMapPreview({ fit: false });
+}
+
+// Which leg of [from, ...viaPoints, to] a clicked point lies on (0: before the first via point)
+function nearestLeg(points, latlng) {
+    const layerPoints = points.map(p => map.latLngToLayerPoint(p));
+    const clicked = map.latLngToLayerPoint(latlng);
+    
+    let leg = 0;
+    let nearest = Infinity;
+    for (let i = 0; i < layerPoints.length - 1; i++) {
+        const distance = L.LineUtil.pointToSegmentDistance(clicked, layerPoints[i], layerPoints[i + 1]);
+        if (distance < nearest) {
+            nearest = distance;
+            leg = i;
+        }
+    }
+    return leg;
+}
+
+// Add a via point where a segment was clicked, in the leg of the line it lies on
+function addViaPoint(stopIndex, from, latlng) {
+    if (stopModal.classList.contains('active')) return;
+    
+    const before = captureState();
+    const stop = routes[currentRouteIndex].stops[stopIndex];
+    const viaPoints = stop.viaPoints || [];
+    const leg = nearestLeg([from, ...viaPoints, stop.coordinates], latlng);
+    
+    stop.viaPoints = [...viaPoints.slice(0, leg), toPoint(latlng), ...viaPoints.slice(leg)];
+    stopsEdited('Add via point', before);
+}
+
+// Insert a stop where a routed segment was clicked - via points before it now lead to the new stop
+function insertStopAt(stopIndex, from, latlng) {
+    if (stopModal.classList.contains('active')) return;
+    
+    const before = captureState();
+    const stop = routes[currentRouteIndex].stops[stopIndex];
+    const viaPoints = stop.viaPoints || [];
+    const leg = nearestLeg([from, ...viaPoints, stop.coordinates], latlng);
+    
+    const newStop = { coordinates: toPoint(latlng), label: '', travelMode: stop.travelMode, icon: stop.icon };
+    if (stop.routing) newStop.routing = { ...stop.routing };
+    if (leg > 0) newStop.viaPoints = viaPoints.slice(0, leg);
+    if (leg < viaPoints.length) {
+        stop.viaPoints = viaPoints.slice(leg);
     } else {
-        showAlert('Not Supported', 'File System Access API not supported. Use a modern browser like Chrome.');
+        delete stop.viaPoints;
     }
+    
+    routes[currentRouteIndex].stops.splice(stopIndex, 0, newStop);
+    stopsEdited('Insert stop', before);
+    
+    // Let the user name the new stop and pick its travel mode/icon
+    openStopModal(stopIndex);
+}
+
+function moveViaPoint(stopIndex, viaIndex, latlng) {
+    if (stopModal.classList.contains('active')) return updateMapPreview({ fit: false });
+    
+    const before = captureState();
+    const stop = routes[currentRouteIndex].stops[stopIndex];
+    stop.viaPoints = stop.viaPoints.map((point, i) => i === viaIndex ? toPoint(latlng) : point);
+    stopsEdited('Move via point', before);
+}
+
+function removeViaPoint(stopIndex, viaIndex) {
+    if (stopModal.classList.contains('active')) return;
+    
+    const before = captureState();
+    const stop = routes[currentRouteIndex].stops[stopIndex];
+    stop.viaPoints = stop.viaPoints.filter((point, i) => i !== viaIndex);
+    if (stop.viaPoints.length === 0) delete stop.viaPoints;
+    stopsEdited('Remove via point', before);
+}
+
+// Via points typed into the stop modal, one "lat, lng" per line
+function parseViaPoints(text) {
+    return text.split('\n')
+        .map(line => line.split(',').map(s => parseFloat(s.trim())))
+        .filter(point => point.length === 2 && point.every(n => !isNaN(n)));
+}
+
+// Split a recorded track into two stops at the clicked point
+function splitTrackAt(stopIndex, latlng) {
+    if (stopModal.classList.contains('active')) return;
+    
+    const before = captureState();
+    const route = routes[currentRouteIndex];
+    const newIndex = splitStopGeometry(route, stopIndex, [latlng.lat, latlng.lng]);
+    if (newIndex < 0) return;
+    
+    recordEdit('Split track', before);
+    markUnsaved();
+    renderStopList();
+    updateMapPreview();
+    
+    // Let the user name the new stop and pick its travel mode/icon
+    openStopModal(newIndex);
 }
 
 async function createNewFile() {
@@ -415,11 +1070,10 @@ async function createNewFile() {
     
     routes = [];
     currentRouteIndex = -1;
-    fileHandle = null;
-    currentFileName = 'Untitled.json';
-    hasUnsavedChanges = false;
+    currentFileName = null;
+    editHistory.clear();
+    markSaved();
     
-    updateFileDisplay();
     renderRouteList();
     emptyState.style.display = 'block';
     routeEditor.style.display = 'none';
@@ -427,6 +1081,7 @@ async function createNewFile() {
 
 function createNewRoute() {
     const newRoute = {
+        schemaVersion: ROUTE_SCHEMA_VERSION,
         title: 'New Route',
         date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
         start: {
@@ -436,71 +1091,70 @@ function createNewRoute() {
             pause: 1
         },
         stops: [],
-        animation: {
-            totalDuration: 25000,
-            lineColor: '#8B4513',
-            lineWidth: 4
-        }
+        animation: { ...DEFAULT_ANIMATION }
     };
     
+    const before = captureState();
     routes.push(newRoute);
+    recordEdit('New route', before);
     markUnsaved();
-    syncToRecorder();
     renderRouteList();
     loadRoute(routes.length - 1);
 }
 
+// Ask before writing a file the renderers would reject
+async function confirmSaveWithProblems() {
+    const problems = validateAllRoutes();
+    if (problems.length === 0) return true;
+    return showConfirm('Save Invalid Route?', `${problems.join('\n\n')}\n\nThe renderers will refuse this file. Save anyway?`);
+}
+
+// What a route file holds: the route itself, or { routes } for several
+function routeFileData() {
+    return routes.length === 1 ? routes[0] : { routes };
+}
+
 async function saveRoute() {
-    if (fileHandle) {
-        // Save to existing file
-        try {
-            const writable = await fileHandle.createWritable();
-            const data = routes.length === 1 ? routes[0] : { routes };
-            await writable.write(JSON.stringify(data, null, 2));
-            await writable.close();
-            
-            markSaved();
-            showAlert('Success', 'Route saved successfully! ✅');
-        } catch (err) {
-            console.error('Save failed:', err);
-            showAlert('Error', 'Failed to save file: ' + err.message);
-        }
-    } else {
-        // No file handle, trigger Save As
-        saveAsRoute();
+    if (!await confirmSaveWithProblems()) return;
+    
+    if (!currentFileName) {
+        // Not in the library yet, ask for a name
+        return saveAsRoute({ validated: true });
+    }
+    
+    try {
+        await saveRouteFile(currentFileName, routeFileData());
+        markSaved();
+        showAlert('Success', 'Route saved successfully! ✅');
+    } catch (err) {
+        console.error('Save failed:', err);
+        showAlert('Error', 'Failed to save file: ' + err.message);
     }
 }
 
-async function saveAsRoute() {
-    if ('showSaveFilePicker' in window) {
+async function saveAsRoute({ validated = false } = {}) {
+    if (!validated && !await confirmSaveWithProblems()) return;
+    
+    const name = await promptRouteName('Save As', currentFileName || routeNameFromTitle(routes[0]?.title) || 'routes');
+    if (!name) return;
+    
+    try {
         try {
-            const handle = await window.showSaveFilePicker({
-                suggestedName: currentFileName,
-                types: [{
-                    description: 'JSON Files',
-                    accept: { 'application/json': ['.json'] }
-                }]
-            });
-            
-            fileHandle = handle;
-            currentFileName = handle.name;
-            
-            const writable = await handle.createWritable();
-            const data = routes.length === 1 ? routes[0] : { routes };
-            await writable.write(JSON.stringify(data, null, 2));
-            await writable.close();
-            
-            markSaved();
-            updateFileDisplay();
-            showAlert('Success', 'Route saved successfully! ✅');
+            await createRouteFile(name, routeFileData());
         } catch (err) {
-            if (err.name !== 'AbortError') {
-                console.error('Save As failed:', err);
-                showAlert('Error', 'Failed to save file: ' + err.message);
-            }
+            if (err.status !== 409) throw err;
+            const overwrite = await showConfirm('Replace Route File?', `${name}.json already exists. Replace it?`);
+            if (!overwrite) return;
+            await saveRouteFile(name, routeFileData());
         }
-    } else {
-        showAlert('Not Supported', 'File System Access API not supported. Use a modern browser like Chrome.');
+        
+        currentFileName = name;
+        markSaved();
+        updateFileDisplay();
+        showAlert('Success', 'Route saved successfully! ✅');
+    } catch (err) {
+        console.error('Save As failed:', err);
+        showAlert('Error', 'Failed to save file: ' + err.message);
     }
 }
 
@@ -517,6 +1171,61 @@ function exportJson() {
     });
 }
 
+// Resolve the current route (geocoding + routing, as the recorder does) and bake
+// the result into its stops as `geometry` - renders no longer call any routing API
+async function freezeCurrentRoute() {
+    const route = routes[currentRouteIndex];
+    if (!route) {
+        showAlert('No Route', 'Select a route to freeze first.');
+        return;
+    }
+    
+    const validation = validateRoute(route);
+    if (!validation.valid) {
+        showAlert('Invalid Route', formatValidationReport(validation));
+        return;
+    }
+    
+    freezeRouteBtn.disabled = true;
+    freezeRouteBtn.textContent = '❄️ Freezing...';
+    
+    try {
+        let data = route;
+        if (data.gpx) {
+            data = applyGpxTrack(data, await fetchRouteTrack(data.gpx));
+        }
+        
+        const resolved = await resolveRoute(data, resolver);
+        
+        // Fallback geometry would be frozen for good - only on request
+        const fallbackStops = findFallbackStops(data, resolved);
+        if (fallbackStops.length) {
+            const list = fallbackStops.map(({ label, provider }) => `${label}: ${provider === 'straight' ? 'straight line' : provider}`);
+            const allow = await showConfirm(
+                'Routing Failed',
+                `These segments could not be routed as configured:\n${list.join('\n')}\n\nFreeze them anyway? They won't be routed again - Cancel and try later if the routing service is down.`
+            );
+            if (!allow) return;
+        }
+        
+        const { route: frozen, changes } = freezeRoute(data, resolved, { allowFallback: fallbackStops.length > 0 });
+        const before = captureState();
+        routes[currentRouteIndex] = frozen;
+        recordEdit('Freeze route', before);
+        markUnsaved();
+        loadRoute(currentRouteIndex);
+        
+        const summary = changes.length ? changes.join('\n') : 'Every stop already had geometry - nothing changed.';
+        showAlert('Route Frozen', `${summary}\n\nSave to keep the geometry in the file.`);
+    } catch (err) {
+        console.error('Freeze failed:', err);
+        showAlert('Error', `Failed to freeze route: ${err.message}`);
+    } finally {
+        freezeRouteBtn.disabled = false;
+        freezeRouteBtn.textContent = '❄️ Freeze';
+    }
+}
+
 async function deleteRoute(index) {
     const confirmed = await showConfirm(
         'Delete Route',
@@ -524,6 +1233,7 @@ async function deleteRoute(index) {
     );
     
     if (confirmed) {
+        const before = captureState();
         routes.splice(index, 1);
         
         if (currentRouteIndex === index) {
@@ -534,8 +1244,8 @@ async function deleteRoute(index) {
             currentRouteIndex--;
         }
         
+        recordEdit('Delete route', before);
         markUnsaved();
-        syncToRecorder();
         renderRouteList();
     }
 }
@@ -558,8 +1268,11 @@ function openStopModal(index = -1) {
         stopLabel.value = stop.label || '';
         stopTravelMode.value = stop.travelMode || 'driving';
         stopIcon.value = stop.icon || 'car';
+        stopRouting.value = stop.routing?.provider || '';
+        stopViaPoints.value = (stop.viaPoints || []).map(point => point.join(', ')).join('\n');
         stopZoom.value = stop.zoomLevel || 14;
-        stopPause.value = stop.pause || 1;
+        stopPause.value = stop.pause ?? 1;
+        stopDuration.value = stop.duration ?? '';
     } else {
         // New stop
         stopModalTitle.textContent = 'Add Stop';
@@ -567,8 +1280,11 @@ function openStopModal(index = -1) {
         stopLabel.value = '';
         stopTravelMode.value = 'driving';
         stopIcon.value = 'car';
+        stopRouting.value = '';
+        stopViaPoints.value = '';
         stopZoom.value = 14;
         stopPause.value = 1;
+        stopDuration.value = '';
     }
     
     stopModal.classList.add('active');
@@ -583,8 +1299,14 @@ function saveStop() {
     const route = routes[currentRouteIndex];
     if (!route) return;
     
+    const before = captureState();
     const coordsValue = stopCoords.value.trim();
+    
+    // Keep fields the modal doesn't edit (geometry, showAlternatives, ...)
+    const existing = currentStopIndex >= 0 ? route.stops[currentStopIndex] : {};
+    const { coordinates: oldCoordinates, address: oldAddress, geometry, routing, duration, viaPoints, ...rest } = existing;
     let stop = {
+        ...rest,
         label: stopLabel.value,
         travelMode: stopTravelMode.value,
         icon: stopIcon.value,
@@ -592,6 +1314,21 @@ function saveStop() {
         pause: parseFloat(stopPause.value)
     };
     
+    // Empty duration: timed by distance and travel mode
+    if (stopDuration.value !== '') {
+        stop.duration = parseFloat(stopDuration.value);
+    }
+    
+    if (stopRouting.value) {
+        stop.routing = { ...routing, provider: stopRouting.value };
+    }
+    
+    // Routed through in order on the way to this stop
+    const via = parseViaPoints(stopViaPoints.value);
+    if (via.length > 0) {
+        stop.viaPoints = via;
+    }
+    
     // Parse coordinates
     if (coordsValue.includes(',')) {
         const [lat, lon] = coordsValue.split(',').map(s => parseFloat(s.trim()));
@@ -602,6 +1339,12 @@ function saveStop() {
         stop.address = coordsValue;
     }
     
+    // A recorded track only stays valid while the stop sits at its end
+    const trackEnd = geometry?.[geometry.length - 1];
+    if (trackEnd && stop.coordinates && stop.coordinates[0] === trackEnd[0] && stop.coordinates[1] === trackEnd[1]) {
+        stop.geometry = geometry;
+    }
+    
     if (!route.stops) route.stops = [];
     
     if (currentStopIndex >= 0) {
@@ -612,8 +1355,8 @@ function saveStop() {
         route.stops.push(stop);
     }
     
+    recordEdit(currentStopIndex >= 0 ? 'Edit stop' : 'Add stop', before);
     markUnsaved();
-    syncToRecorder();
     renderStopList();
     updateMapPreview();
     closeStopModal();
@@ -630,11 +1373,12 @@ async function deleteStop(index) {
     );
     
     if (confirmed) {
+        const before = captureState();
         const route = routes[currentRouteIndex];
         route.stops.splice(index, 1);
         
+        recordEdit('Delete stop', before);
         markUnsaved();
-        syncToRecorder();
         renderStopList();
         updateMapPreview();
     }
@@ -690,6 +1434,45 @@ function showAlert(title, message) {
     });
 }
 
+// Prompt modal - resolves with the text entered, null when cancelled
+function showPrompt(title, label, value = '') {
+    return new Promise((resolve) => {
+        promptModalTitle.textContent = title;
+        promptModalLabel.textContent = label;
+        promptModalInput.value = value;
+        
+        const handleOk = () => {
+            cleanup();
+            resolve(promptModalInput.value);
+        };
+        
+        const handleCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+        
+        const handleKey = (e) => {
+            if (e.key === 'Enter') handleOk();
+            if (e.key === 'Escape') handleCancel();
+        };
+        
+        const cleanup = () => {
+            promptModal.classList.remove('active');
+            promptModalOk.removeEventListener('click', handleOk);
+            promptModalCancel.removeEventListener('click', handleCancel);
+            promptModalInput.removeEventListener('keydown', handleKey);
+        };
+        
+        promptModalOk.addEventListener('click', handleOk);
+        promptModalCancel.addEventListener('click', handleCancel);
+        promptModalInput.addEventListener('keydown', handleKey);
+        
+        promptModal.classList.add('active');
+        promptModalInput.focus();
+        promptModalInput.select();
+    });
+}
+
 function closeConfirmModal() {
     confirmModal.classList.remove('active');
 }
@@ -0,0 +1,55 @@
+/**
+ * Frame Presets
+ * Output sizes for renders - landscape, 4K and the social formats (Reels/Stories,
+ * square, 4:5 feed posts). Shared by server.js, the CLI renderers and the recorder.
+ *
+ * width/height are the page size in CSS pixels and deviceScaleFactor scales it to
+ * the video size. The short edge is always 720 CSS px, so the overlays (sized for
+ * 1280x720) keep their proportions and a vertical video gets a taller view of the
+ * map instead of a crop of a landscape one. The camera (AnimationCore) and the
+ * overlay layout (map-styles.css, by data-orientation) adapt to the frame.
+ */
+
+const FRAME_PRESETS = {
+    '16x9': { label: '16:9 (2560×1440)', width: 1280, height: 720, deviceScaleFactor: 2 },
+    '16x9-4k': { label: '16:9 4K (3840×2160)', width: 1280, height: 720, deviceScaleFactor: 3 },
+    '9x16': { label: '9:16 Reels/Stories (1080×1920)', width: 720, height: 1280, deviceScaleFactor: 1.5 },
+    '1x1': { label: '1:1 Square (1080×1080)', width: 720, height: 720, deviceScaleFactor: 1.5 },
+    '4x5': { label: '4:5 Portrait (1080×1350)', width: 720, height: 900, deviceScaleFactor: 1.5 }
+};
+
+const DEFAULT_FRAME = '16x9';
+
+/**
+ * Look up a preset
+ * @param {string} key - Key of FRAME_PRESETS (default: 16x9)
+ * @returns {Object} { key, label, width, height, deviceScaleFactor, outputWidth, outputHeight }
+ * @throws {Error} For an unknown key
+ */
+function getFramePreset(key = DEFAULT_FRAME) {
+    const preset = FRAME_PRESETS[key];
+    if (!preset) {
+        throw new Error(`Unknown frame: ${key}. Available: ${Object.keys(FRAME_PRESETS).join(', ')}`);
+    }
+    return {
+        key,
+        ...preset,
+        outputWidth: Math.round(preset.width * preset.deviceScaleFactor),
+        outputHeight: Math.round(preset.height * preset.deviceScaleFactor)
+    };
+}
+
+/**
+ * Puppeteer defaultViewport for a preset
+ */
+function frameViewport(key) {
+    const { width, height, deviceScaleFactor } = getFramePreset(key);
+    return { width, height, deviceScaleFactor };
+}
+
+export {
+    FRAME_PRESETS,
+    DEFAULT_FRAME,
+    getFramePreset,
+    frameViewport
+};
@@ -0,0 +1,231 @@
+/**
+ * GeoJSON and KML conversion
+ * Exports fully resolved route segments (after geocoding and routing) so a trip
+ * can be opened in QGIS/Google Earth, and imports them back as a route whose
+ * stops carry explicit `geometry` - no routing API calls needed.
+ *
+ * Shared by the recorder/editor (browser) and the CLI renderers (Node).
+ */
+
+// Segment fields carried as GeoJSON properties / KML ExtendedData
+const SEGMENT_PROPERTIES = ['fromLabel', 'toLabel', 'travelMode', 'icon', 'pause', 'duration', 'zoomLevel'];
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Convert '#RRGGBB' to KML's 'AABBGGRR'
+ */
+function toKmlColor(hex = '#8B4513', alpha = 'ff') {
+    const clean = hex.replace('#', '');
+    if (clean.length !== 6) return alpha + '13458b';
+    return alpha + clean.slice(4, 6) + clean.slice(2, 4) + clean.slice(0, 2);
+}
+
+function fromKmlColor(kml) {
+    if (!kml || kml.length !== 8) return null;
+    return '#' + kml.slice(6, 8) + kml.slice(4, 6) + kml.slice(2, 4);
+}
+
+/**
+ * Export route segments as a GeoJSON FeatureCollection
+ * @param {Array} routeSegments - Segments from processRouteData ({ coordinates: [[lat, lng]], fromLabel, ... })
+ * @param {Object} meta - Route-level data to keep for re-import { title, date, animation }
+ * @returns {Object} FeatureCollection with one LineString per segment ([lng, lat] order, per RFC 7946)
+ */
+function segmentsToGeoJSON(routeSegments, meta = {}) {
+    return {
+        type: 'FeatureCollection',
+        // Foreign member - ignored by GIS tools, used by geoJSONToRoute
+        route: {
+            title: meta.title || '',
+            date: meta.date || '',
+            animation: meta.animation || {}
+        },
+        features: routeSegments.map((segment, index) => {
+            const properties = { segmentIndex: index };
+            SEGMENT_PROPERTIES.forEach(key => {
+                properties[key] = segment[key] ?? null;
+            });
+            return {
+                type: 'Feature',
+                properties,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: segment.coordinates.map(([lat, lng]) => [lng, lat])
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Export route segments as a KML document
+ * @param {Array} routeSegments - Segments from processRouteData
+ * @param {Object} meta - Route-level data { title, date, animation }
+ * @returns {string} KML 2.2 document
+ */
+function segmentsToKML(routeSegments, meta = {}) {
+    const title = meta.title || 'Route';
+    const lineColor = toKmlColor(meta.animation?.lineColor);
+    const lineWidth = meta.animation?.lineWidth || 4;
+
+    const placemarks = routeSegments.map((segment, index) => {
+        const data = SEGMENT_PROPERTIES
+            .filter(key => segment[key] !== undefined && segment[key] !== null)
+            .map(key => `          <Data name="${key}"><value>${escapeXml(segment[key])}</value></Data>`)
+            .join('\n');
+        const coordinates = segment.coordinates.map(([lat, lng]) => `${lng},${lat}`).join(' ');
+        return `    <Placemark>
+      <name>${escapeXml(`${segment.fromLabel || 'START'} → ${segment.toLabel || `Segment ${index + 1}`}`)}</name>
+      <styleUrl>#route</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(title)}</name>
+    <description>${escapeXml(meta.date || '')}</description>
+    <Style id="route">
+      <LineStyle><color>${lineColor}</color><width>${lineWidth}</width></LineStyle>
+    </Style>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Build a route (same format as destinations.json) from exported segments
+ * Every stop gets the segment line as `geometry`, so renderers skip routing.
+ * @param {Array} segments - [{ coordinates: [[lat, lng]], fromLabel, toLabel, travelMode, icon, pause, duration, zoomLevel }]
+ * @param {Object} meta - { title, date, animation }
+ */
+function segmentsToRoute(segments, meta = {}) {
+    if (segments.length === 0) throw new Error('No line segments found');
+
+    const first = segments[0];
+    const route = {
+        title: meta.title || 'Imported Route',
+        date: meta.date || '',
+        start: {
+            coordinates: first.coordinates[0],
+            label: first.fromLabel || 'START'
+        },
+        stops: segments.map(segment => {
+            const stop = {
+                coordinates: segment.coordinates[segment.coordinates.length - 1],
+                label: segment.toLabel || '',
+                travelMode: segment.travelMode || 'direct',
+                icon: segment.icon || 'person'
+            };
+            if (segment.zoomLevel !== null && segment.zoomLevel !== undefined) stop.zoomLevel = Number(segment.zoomLevel);
+            if (segment.pause !== null && segment.pause !== undefined) stop.pause = Number(segment.pause);
+            if (segment.duration !== null && segment.duration !== undefined) stop.duration = Number(segment.duration);
+            stop.geometry = segment.coordinates;
+            return stop;
+        }),
+        animation: meta.animation || {}
+    };
+
+    return route;
+}
+
+/**
+ * Import a GeoJSON FeatureCollection (as written by segmentsToGeoJSON, or any
+ * LineString/MultiLineString collection from a GIS tool) as a route
+ */
+function geoJSONToRoute(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    const segments = [];
+
+    features
+        .filter(f => f?.geometry)
+        .sort((a, b) => (a.properties?.segmentIndex ?? 0) - (b.properties?.segmentIndex ?? 0))
+        .forEach(feature => {
+            const { type, coordinates } = feature.geometry;
+            const lines = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : [];
+            lines.forEach(line => {
+                if (line.length < 2) return;
+                segments.push({
+                    ...feature.properties,
+                    toLabel: feature.properties?.toLabel ?? feature.properties?.name ?? '',
+                    coordinates: line.map(([lng, lat]) => [lat, lng])
+                });
+            });
+        });
+
+    return segmentsToRoute(segments, geojson.route || {});
+}
+
+/**
+ * Import a KML document (as written by segmentsToKML, or any KML with LineStrings) as a route
+ */
+function kmlToRoute(kml) {
+    if (typeof kml !== 'string' || !/<kml\b/.test(kml)) throw new Error('Not a KML file');
+
+    const textOf = (xml, tag) => {
+        const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`));
+        return match ? unescapeXml(match[1]) : null;
+    };
+
+    const segments = [];
+    const placemarks = kml.match(/<Placemark\b[\s\S]*?<\/Placemark>/g) || [];
+    placemarks.forEach(placemark => {
+        const coordText = textOf(placemark.replace(/<Point\b[\s\S]*?<\/Point>/g, ''), 'coordinates');
+        if (!coordText) return;
+        const coordinates = coordText.split(/\s+/)
+            .map(tuple => tuple.split(',').map(Number))
+            .filter(([lng, lat]) => !isNaN(lat) && !isNaN(lng))
+            .map(([lng, lat]) => [lat, lng]);
+        if (coordinates.length < 2) return;
+
+        const segment = { coordinates };
+        const dataPattern = /<Data\s+name="([^"]+)"\s*>\s*<value>([\s\S]*?)<\/value>\s*<\/Data>/g;
+        let match;
+        while ((match = dataPattern.exec(placemark)) !== null) {
+            segment[match[1]] = unescapeXml(match[2]);
+        }
+        if (!segment.toLabel) segment.toLabel = textOf(placemark, 'name') || '';
+        segments.push(segment);
+    });
+
+    const documentHead = kml.split(/<Placemark\b/)[0];
+    const lineColor = fromKmlColor(textOf(kml, 'color'));
+    return segmentsToRoute(segments, {
+        title: textOf(documentHead, 'name') || 'Imported Route',
+        date: textOf(documentHead, 'description') || '',
+        animation: lineColor ? { lineColor } : {}
+    });
+}
+
+export {
+    segmentsToGeoJSON,
+    segmentsToKML,
+    geoJSONToRoute,
+    kmlToRoute
+};
@@ -0,0 +1,54 @@
+/**
+ * Geocoding
+ * Address -> [lat, lng] via Nominatim (or a self-hosted instance).
+ * Shared by the recorder (browser), server.js and the CLI renderers (Node).
+ */
+
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+/**
+ * Create a geocoder
+ * @param {Object} config
+ * @param {string} config.baseUrl - Nominatim base URL (default: public server)
+ * @param {string} config.userAgent - Sent as User-Agent (Nominatim requires one)
+ * @param {Function} config.fetch - fetch implementation (default: global fetch)
+ * @param {Object} config.logger - console-like object
+ * @returns {Object} { geocode(address) }
+ */
+function createGeocoder(config = {}) {
+    const {
+        baseUrl = DEFAULT_NOMINATIM_URL,
+        userAgent = 'MapAnimation/1.0',
+        fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+        logger = console
+    } = config;
+
+    /**
+     * Geocode an address
+     * @param {string} address
+     * @returns {Promise<Object|null>} { coordinates: [lat, lng], displayName } or null when not found
+     */
+    async function geocode(address) {
+        const url = `${baseUrl.replace(/\/$/, '')}/search?q=${encodeURIComponent(address)}&format=json&limit=1`;
+        try {
+            const response = await fetchImpl(url, { headers: { 'User-Agent': userAgent } });
+            const data = await response.json();
+            if (data.length > 0) {
+                return {
+                    coordinates: [parseFloat(data[0].lat), parseFloat(data[0].lon)],
+                    displayName: data[0].display_name
+                };
+            }
+        } catch (error) {
+            logger.error('Geocoding error:', error.message);
+        }
+        return null;
+    }
+
+    return { geocode };
+}
+
+export {
+    DEFAULT_NOMINATIM_URL,
+    createGeocoder
+};
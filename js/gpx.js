@@ -0,0 +1,334 @@
+/**
+ * GPX Import
+ * Turns recorded GPS tracks (GPX 1.0/1.1) into route data
+ *
+ * Shared by the editor (browser) and the CLI renderers (Node), so it only
+ * works on strings - no DOMParser, no fs.
+ *
+ * The recorded track ends up as per-stop `geometry` ([[lat, lng], ...] from the
+ * previous point to the stop), which the renderers use instead of a routed line.
+ */
+
+// Waypoints further than this from the track are not used as split points
+const MAX_WAYPOINT_SNAP_METERS = 250;
+
+/**
+ * Decode the XML entities and CDATA sections GPS devices put in names
+ */
+function decodeText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Get all elements with the given tag name (namespace prefixes are ignored)
+ * @returns {Array} Array of { attrs, body } for each element
+ */
+function findElements(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:\\w+:)?${tag}>)`, 'g');
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        elements.push({ attrs: match[1] || '', body: match[2] || '' });
+    }
+    return elements;
+}
+
+function getAttribute(attrs, name) {
+    const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Get the text of the first direct-ish child element (skips nested points)
+ */
+function getChildText(body, tag) {
+    const withoutPoints = body.replace(/<(?:\w+:)?(trkseg|trkpt|rtept)\b[\s\S]*$/, '');
+    const [element] = findElements(withoutPoints, tag);
+    return element ? decodeText(element.body) : null;
+}
+
+function parsePoints(body, tag) {
+    return findElements(body, tag)
+        .map(({ attrs }) => [parseFloat(getAttribute(attrs, 'lat')), parseFloat(getAttribute(attrs, 'lon'))])
+        .filter(([lat, lng]) => !isNaN(lat) && !isNaN(lng));
+}
+
+/**
+ * Parse a GPX document
+ * @param {string} xml - GPX file contents
+ * @returns {Object} { name, time, tracks: [{ name, points }], routes: [{ name, points }], waypoints: [{ name, coordinates }] }
+ *   All points are [lat, lng]. Track segments are joined into one line per track.
+ */
+function parseGpx(xml) {
+    if (typeof xml !== 'string' || !/<(?:\w+:)?gpx\b/.test(xml)) {
+        throw new Error('Not a GPX file');
+    }
+
+    const [metadata] = findElements(xml, 'metadata');
+    const [firstTime] = findElements(xml, 'time');
+
+    const tracks = findElements(xml, 'trk').map((trk, index) => ({
+        name: getChildText(trk.body, 'name') || `Track ${index + 1}`,
+        points: findElements(trk.body, 'trkseg').flatMap(seg => parsePoints(seg.body, 'trkpt'))
+    })).filter(track => track.points.length > 1);
+
+    const routes = findElements(xml, 'rte').map((rte, index) => ({
+        name: getChildText(rte.body, 'name') || `Route ${index + 1}`,
+        points: parsePoints(rte.body, 'rtept')
+    })).filter(route => route.points.length > 1);
+
+    const waypoints = findElements(xml, 'wpt').map((wpt, index) => ({
+        name: getChildText(wpt.body, 'name') || `Waypoint ${index + 1}`,
+        coordinates: [parseFloat(getAttribute(wpt.attrs, 'lat')), parseFloat(getAttribute(wpt.attrs, 'lon'))]
+    })).filter(wpt => !isNaN(wpt.coordinates[0]) && !isNaN(wpt.coordinates[1]));
+
+    return {
+        name: (metadata && getChildText(metadata.body, 'name')) || tracks[0]?.name || routes[0]?.name || null,
+        time: firstTime ? decodeText(firstTime.body) : null,
+        tracks,
+        routes,
+        waypoints
+    };
+}
+
+/**
+ * Distance between two [lat, lng] points in meters (Haversine)
+ */
+function distanceMeters(a, b) {
+    const R = 6371000;
+    const dLat = (b[0] - a[0]) * Math.PI / 180;
+    const dLon = (b[1] - a[1]) * Math.PI / 180;
+    const h = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(a[0] * Math.PI / 180) * Math.cos(b[0] * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+    return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1-h));
+}
+
+/**
+ * Find the track point closest to a coordinate
+ * @param {Array} points - Track points [[lat, lng], ...]
+ * @param {Array} coordinate - [lat, lng]
+ * @param {number} fromIndex - Only search from this index on (keeps splits in order)
+ * @returns {Object} { index, distance } distance in meters
+ */
+function findNearestPointIndex(points, coordinate, fromIndex = 0) {
+    let best = { index: fromIndex, distance: Infinity };
+    for (let i = fromIndex; i < points.length; i++) {
+        const distance = distanceMeters(points[i], coordinate);
+        if (distance < best.distance) best = { index: i, distance };
+    }
+    return best;
+}
+
+/**
+ * Snap split points to track indices, in travel order
+ * Split points that would produce an empty piece (at the track ends, or behind
+ * the previous split) are dropped.
+ * @returns {Array} Array of { index, splitIndex } - track index and index into splitPoints
+ */
+function findSplitIndices(points, splitPoints) {
+    const indices = [];
+    let startIndex = 0;
+
+    splitPoints.forEach((splitPoint, splitIndex) => {
+        const { index } = findNearestPointIndex(points, splitPoint, startIndex);
+        if (index <= startIndex || index >= points.length - 1) return;
+        indices.push({ index, splitIndex });
+        startIndex = index;
+    });
+
+    return indices;
+}
+
+/**
+ * Split a track into consecutive pieces at the given points
+ * Each split point is snapped to the nearest track point after the previous split.
+ * Neighbouring pieces share their boundary point so the line stays continuous.
+ * @param {Array} points - Track points [[lat, lng], ...]
+ * @param {Array} splitPoints - Coordinates [[lat, lng], ...] in travel order
+ * @returns {Array} Array of point arrays, one per piece (splitPoints.length + 1 at most)
+ */
+function splitTrack(points, splitPoints = []) {
+    const pieces = [];
+    let startIndex = 0;
+
+    for (const { index } of findSplitIndices(points, splitPoints)) {
+        pieces.push(points.slice(startIndex, index + 1));
+        startIndex = index;
+    }
+
+    pieces.push(points.slice(startIndex));
+    return pieces;
+}
+
+function formatGpxDate(time) {
+    const date = time ? new Date(time) : null;
+    if (!date || isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Convert parsed GPX into a route (same format as destinations.json)
+ *
+ * Tracks (or GPX routes when there is no track) are joined into one line and split
+ * into stops. By default the split points are the waypoints that lie on the track,
+ * and each stop takes the waypoint name as its label.
+ *
+ * @param {Object} gpx - Result of parseGpx()
+ * @param {Object} options
+ * @param {string} options.title - Route title (default: GPX name)
+ * @param {string} options.travelMode - travelMode for every stop (default: 'hike')
+ * @param {string} options.icon - icon for every stop (default: 'backpacker')
+ * @param {Array} options.splitPoints - [[lat, lng], ...] or [{ coordinates, label }] to split at instead of waypoints
+ * @returns {Object} Route data with per-stop `geometry`
+ */
+function gpxToRoute(gpx, options = {}) {
+    const {
+        title = gpx.name || 'GPX TRACK',
+        travelMode = 'hike',
+        icon = 'backpacker'
+    } = options;
+
+    const lines = gpx.tracks.length > 0 ? gpx.tracks : gpx.routes;
+    const points = lines.flatMap(line => line.points);
+
+    const route = {
+        title,
+        date: formatGpxDate(gpx.time),
+        start: {},
+        stops: [],
+        animation: {}
+    };
+
+    // Waypoints only: let the routing provider connect them
+    if (points.length < 2) {
+        if (gpx.waypoints.length < 2) {
+            throw new Error('GPX file has no track, route or waypoints to build a route from');
+        }
+        const [first, ...rest] = gpx.waypoints;
+        route.start = { coordinates: first.coordinates, label: first.name };
+        route.stops = rest.map(wpt => ({ coordinates: wpt.coordinates, label: wpt.name, travelMode, icon }));
+        return route;
+    }
+
+    // Split points: explicit ones, or waypoints close to the track
+    let splitPoints;
+    if (options.splitPoints) {
+        splitPoints = options.splitPoints.map(p => Array.isArray(p) ? { coordinates: p, label: '' } : p);
+    } else {
+        splitPoints = gpx.waypoints
+            .map(wpt => ({ ...findNearestPointIndex(points, wpt.coordinates), coordinates: wpt.coordinates, label: wpt.name }))
+            .filter(wpt => wpt.distance <= MAX_WAYPOINT_SNAP_METERS)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    // Waypoints at the very start/end of the track become the start/final labels
+    const labelAt = (coordinate) => {
+        const wpt = gpx.waypoints.find(w => distanceMeters(w.coordinates, coordinate) <= MAX_WAYPOINT_SNAP_METERS);
+        return wpt ? wpt.name : null;
+    };
+
+    const splitCoordinates = splitPoints.map(p => p.coordinates);
+    const pieces = splitTrack(points, splitCoordinates);
+    const innerLabels = findSplitIndices(points, splitCoordinates).map(({ splitIndex }) => splitPoints[splitIndex].label);
+
+    route.start = {
+        coordinates: points[0],
+        label: labelAt(points[0]) || 'START'
+    };
+
+    route.stops = pieces.map((piece, i) => {
+        const isLast = i === pieces.length - 1;
+        return {
+            coordinates: piece[piece.length - 1],
+            label: isLast ? (labelAt(piece[piece.length - 1]) || 'FINISH') : (innerLabels[i] || ''),
+            travelMode,
+            icon,
+            geometry: piece
+        };
+    });
+
+    return route;
+}
+
+/**
+ * Attach a recorded track to an existing route
+ * The route's stops act as split points; every stop that has coordinates but no
+ * geometry gets the matching piece of the track. Useful for route files that
+ * reference a GPX file but set travelMode/icon per stop.
+ * @param {Object} route - Route data (not modified)
+ * @param {Object} gpx - Result of parseGpx()
+ * @returns {Object} New route data
+ */
+function applyGpxTrack(route, gpx) {
+    const lines = gpx.tracks.length > 0 ? gpx.tracks : gpx.routes;
+    const points = lines.flatMap(line => line.points);
+    if (points.length < 2) return route;
+
+    const stops = route.stops || [];
+    const splitPoints = stops.slice(0, -1).map(stop => stop.coordinates).filter(Boolean);
+    const pieces = splitTrack(points, splitPoints);
+
+    // Only safe when every stop maps to exactly one piece
+    if (pieces.length !== stops.length) {
+        console.warn(`GPX track split into ${pieces.length} pieces for ${stops.length} stops - track not applied`);
+        return route;
+    }
+
+    return {
+        ...route,
+        start: { ...route.start, coordinates: route.start?.coordinates || points[0] },
+        stops: stops.map((stop, i) => stop.geometry ? stop : {
+            ...stop,
+            coordinates: stop.coordinates || pieces[i][pieces[i].length - 1],
+            geometry: pieces[i]
+        })
+    };
+}
+
+/**
+ * Split one stop's recorded geometry in two at the track point nearest to a coordinate
+ * A new stop is inserted before the given one, copying its travelMode/icon.
+ * @param {Object} route - Route data (modified in place)
+ * @param {number} stopIndex - Index of the stop whose geometry is split
+ * @param {Array} coordinate - [lat, lng] where to split
+ * @returns {number} Index of the new stop, or -1 if the split point is at an end of the geometry
+ */
+function splitStopGeometry(route, stopIndex, coordinate) {
+    const stop = route.stops?.[stopIndex];
+    if (!stop?.geometry || stop.geometry.length < 3) return -1;
+
+    const { index } = findNearestPointIndex(stop.geometry, coordinate);
+    if (index <= 0 || index >= stop.geometry.length - 1) return -1;
+
+    const newStop = {
+        coordinates: stop.geometry[index],
+        label: '',
+        travelMode: stop.travelMode,
+        icon: stop.icon,
+        geometry: stop.geometry.slice(0, index + 1)
+    };
+    stop.geometry = stop.geometry.slice(index);
+
+    route.stops.splice(stopIndex, 0, newStop);
+    return stopIndex;
+}
+
+export {
+    parseGpx,
+    splitTrack,
+    gpxToRoute,
+    applyGpxTrack,
+    splitStopGeometry,
+    findNearestPointIndex,
+    distanceMeters
+};
@@ -5,6 +5,8 @@
 
 // Global state
 let map = null;
+let tileLayer = null;
+let tileErrors = 0; // Tiles that failed to load since the last waitForTiles()
 let allMarkers = [];
 let allLines = [];
 
@@ -21,8 +23,13 @@ function initMap(routeSegments, options = {}) {
         finalDestination = 'DESTINATION',
         title = 'ADVENTURE',
         date = '',
-        tileLayer = null,
-        startZoomLevel = null
+        tileLayer: tileLayerConfig = null,
+        startZoomLevel = null,
+        timeline = null,
+        framePositions = null,
+        fps = 30,
+        fadeAnimation = true,
+        attribution = null
     } = options;
     
     // Clean up existing map if present
@@ -38,8 +45,12 @@ function initMap(routeSegments, options = {}) {
     // Reset UI elements
     const titleCard = document.getElementById('title-card');
     const destinationCard = document.getElementById('destination-card');
+    const creditsCard = document.getElementById('credits-card');
+    const attributionEl = document.getElementById('attribution');
     if (titleCard) titleCard.style.opacity = '0';
     if (destinationCard) destinationCard.style.opacity = '0';
+    if (creditsCard) creditsCard.style.opacity = '0';
+    if (attributionEl) attributionEl.style.opacity = '0';
     
     // Flatten all coordinates for bounds calculation
     const allCoordinates = routeSegments.flatMap(seg => seg.coordinates);
@@ -53,18 +64,24 @@ function initMap(routeSegments, options = {}) {
         zoomControl: false,
         attributionControl: false,
         zoomAnimation: true,
-        fadeAnimation: true
+        // Off for frame renders - a tile that has loaded is shown in full right away
+        fadeAnimation
     }).setView([centerLat, centerLng], zoom);
     
+    // Overlay layout for the frame's shape (map-styles.css)
+    map.getContainer().parentElement.dataset.orientation = window.AnimationCore.createFraming(map).orientation;
+    
     // Add tile layer
-    if (tileLayer && tileLayer.url) {
-        L.tileLayer(tileLayer.url, tileLayer.options || {}).addTo(map);
+    if (tileLayerConfig && tileLayerConfig.url) {
+        tileLayer = L.tileLayer(tileLayerConfig.url, tileLayerConfig.options || {}).addTo(map);
     } else {
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        tileLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             maxZoom: 18,
             attribution: '© OpenStreetMap contributors'
         }).addTo(map);
     }
+    tileErrors = 0;
+    tileLayer.on('tileerror', () => tileErrors++);
     
     // Start centered on the first coordinate (start position) at overview zoom
     const startCoord = allCoordinates[0];
@@ -83,7 +100,11 @@ function initMap(routeSegments, options = {}) {
         finalDestination,
         title,
         date,
-        startZoomLevel
+        startZoomLevel,
+        timeline,
+        framePositions,
+        fps,
+        attribution
     };
     
     return map;
@@ -143,10 +164,37 @@ function displayAlternativeRoutes(routeSegments) {
     });
 }
 
+/**
+ * Wait until every tile in view has loaded (Leaflet's tile layer 'load' event)
+ * @param {number} timeout - ms to wait at most
+ * @returns {Promise<Object>} { complete, errors } - complete is false when the timeout
+ *   passed first; errors counts tiles that failed since the last call
+ */
+function waitForTiles(timeout = 10000) {
+    return new Promise(resolve => {
+        const finish = complete => {
+            clearTimeout(timer);
+            tileLayer?.off('load', onLoad);
+            const errors = tileErrors;
+            tileErrors = 0;
+            resolve({ complete: complete && errors === 0, errors });
+        };
+        const onLoad = () => finish(true);
+        const timer = setTimeout(() => finish(false), timeout);
+        
+        if (!tileLayer || !tileLayer.isLoading()) {
+            finish(true);
+        } else {
+            tileLayer.on('load', onLoad);
+        }
+    });
+}
+
 // Export for browser
 if (typeof window !== 'undefined') {
     window.initMap = initMap;
     window.getMap = getMap;
+    window.waitForTiles = waitForTiles;
     window.addMarker = addMarker;
     window.addLine = addLine;
 }
@@ -1,28 +1,42 @@
 /**
  * Map Animation Recorder UI
  * Preview animation and trigger Puppeteer recording via server API
- * Outputs WebM, with optional FreeConvert MP4 conversion
+ * Outputs WebM or MP4, converted by the server's ffmpeg on request (MP4, WebM VP9, AV1, GIF, APNG)
  */
 
-// FreeConvert API
-const FREE_CONVERT_API_KEY = import.meta.env.VITE_FREE_CONVERT_API_KEY;
-const FREE_CONVERT_API_URL = 'https://api.freeconvert.com/v1';
-
-// Tile layer configurations (must match server.js)
-const TILE_LAYERS = {
-    osm: { url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', options: { maxZoom: 19, subdomains: 'abc' } },
-    watercolor: { url: 'https://watercolormaps.collection.cooperhewitt.org/tile/watercolor/{z}/{x}/{y}.jpg', options: { maxZoom: 15 } },
-    terrain: { url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png', options: { maxZoom: 17 } },
-    toner: { url: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    dark: { url: 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    voyager: { url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    humanitarian: { url: 'https://a.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', options: { maxZoom: 19 } }
-};
+import { applyGpxTrack } from './gpx.js';
+import { segmentsToGeoJSON, segmentsToKML } from './geo-formats.js';
+import { validateRoute, formatValidationReport } from './route-schema.js';
+import { normalizeRoute, createTimeline, getTimelinePosition, getSegmentTimes, getAttribution, DEFAULT_ATTRIBUTION } from './route-normalize.js';
+import { createRouter, routingConfigFromEnv } from './routing.js';
+import { createGeocoder } from './geocoding.js';
+import { createServerResolver, resolveRoute } from './route-resolver.js';
+import { FRAME_PRESETS, DEFAULT_FRAME } from './frame-presets.js';
+import { TILE_LAYERS, DEFAULT_TILE_LAYER, fetchTileLayers } from './tile-layers.js';
+import { fetchRouteList, fetchRouteFile, fetchRouteTrack } from './route-library.js';
+
+// Geocoding/routing through server.js's cache; the providers are only called directly
+// when the server isn't serving the page, e.g. `npm run dev`
+// (VITE_GRAPHHOPPER_API_KEY, VITE_OSRM_URL, VITE_NOMINATIM_URL, ... - see js/routing.js)
+const resolver = createServerResolver(
+    createGeocoder({ baseUrl: import.meta.env.VITE_NOMINATIM_URL, userAgent: 'MapRecorder/1.0' }),
+    createRouter(routingConfigFromEnv(import.meta.env, 'VITE_'))
+);
+
+// Preview frame rate - frame steps match a rendered video
+const PREVIEW_FPS = 30;
+
+// Camera easing while playing (Leaflet's animate helps) - a jump shows the same
+// frame, straight away
+const PREVIEW_SMOOTHING = { position: 0.08, zoom: 0.04, animate: true, duration: 1.5 };
+const SEEK_SMOOTHING = { ...PREVIEW_SMOOTHING, animate: false };
 
 // DOM Elements
-let routeSelect, tileSelect, reloadBtn, previewBtn, recordBtn, downloadBtn, statusEl;
+let routeSelect, tileSelect, creditsSelect, modeSelect, frameSelect, mapWrapper, reloadBtn, previewBtn, recordBtn, downloadBtn, statusEl;
+let exportGeoJsonBtn, exportKmlBtn;
 let progressContainer, progressBarFill, progressLabel, progressSublabel, progressPercent, progressSpinnerFill;
-let stageLoad, stageEncode, stageFinalize;
+let stageLoad, stageEncode, stageFinalize, cancelJobBtn;
+let tlTrack, tlPlayhead, tlTime, tlPlay, tlStepBack, tlStepForward, tlPrevSegment, tlNextSegment;
 
 // Download modal elements
 let downloadModal, downloadWebmBtn, downloadMp4Btn, mp4Options, mp4Quality, mp4Codec, confirmMp4Btn, closeDownloadModal;
@@ -38,11 +52,14 @@ let elements = {};
 let routes = [];
 let currentRoute = null;
 let currentRouteData = null;
+let tileLayers = TILE_LAYERS; // Replaced by the server's list (user-defined layers, local basemaps) in init()
 let routeSegments = [];
 let map = null;
-let isPreviewRunning = false;
-let pollInterval = null;
-let currentWebmBlob = null; // Store WebM blob for conversion
+let preview = null; // Preview animation: { state, config, timeline, time, playing, rafId } - see preparePreview
+let progressStream = null; // EventSource following a render job
+let followedJob = null; // Job the progress overlay shows (recording or conversion)
+let progressDone = null; // Called with that job once it is done
+let currentJob = null; // Last complete recording job (see /api/jobs)
 let recordingStartTime = null; // Track recording start time for elapsed display
 let isRecordingMode = false; // Track if we're in recording vs converting mode
 
@@ -50,11 +67,17 @@ let isRecordingMode = false; // Track if we're in recording vs converting mode
 document.addEventListener('DOMContentLoaded', () => {
     routeSelect = document.getElementById('routeSelect');
     tileSelect = document.getElementById('tileSelect');
+    creditsSelect = document.getElementById('creditsSelect');
+    modeSelect = document.getElementById('modeSelect');
+    frameSelect = document.getElementById('frameSelect');
+    mapWrapper = document.getElementById('mapWrapper');
     reloadBtn = document.getElementById('reloadBtn');
     previewBtn = document.getElementById('previewBtn');
     recordBtn = document.getElementById('recordBtn');
     downloadBtn = document.getElementById('downloadBtn');
     statusEl = document.getElementById('status');
+    exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn');
+    exportKmlBtn = document.getElementById('exportKmlBtn');
     
     // Progress UI elements
     progressContainer = document.getElementById('progressContainer');
@@ -63,10 +86,21 @@ document.addEventListener('DOMContentLoaded', () => {
     progressSublabel = document.getElementById('progressSublabel');
     progressPercent = document.getElementById('progressPercent');
     progressSpinnerFill = document.getElementById('progressSpinnerFill');
+    cancelJobBtn = document.getElementById('cancelJobBtn');
     stageLoad = document.getElementById('stageLoad');
     stageEncode = document.getElementById('stageEncode');
     stageFinalize = document.getElementById('stageFinalize');
     
+    // Timeline bar elements
+    tlTrack = document.getElementById('tlTrack');
+    tlPlayhead = document.getElementById('tlPlayhead');
+    tlTime = document.getElementById('tlTime');
+    tlPlay = document.getElementById('tlPlay');
+    tlStepBack = document.getElementById('tlStepBack');
+    tlStepForward = document.getElementById('tlStepForward');
+    tlPrevSegment = document.getElementById('tlPrevSegment');
+    tlNextSegment = document.getElementById('tlNextSegment');
+    
     // Download modal elements
     downloadModal = document.getElementById('downloadModal');
     downloadWebmBtn = document.getElementById('downloadWebmBtn');
@@ -91,86 +125,78 @@ document.addEventListener('DOMContentLoaded', () => {
         motorcycle: document.getElementById('motorcycle'),
         person: document.getElementById('person'),
         car: document.getElementById('car'),
-        backpacker: document.getElementById('backpacker')
+        backpacker: document.getElementById('backpacker'),
+        attribution: document.getElementById('attribution'),
+        creditsCard: document.getElementById('credits-card')
     };
     
     init();
 });
 
 async function init() {
+    if (frameSelect) {
+        frameSelect.innerHTML = Object.entries(FRAME_PRESETS)
+            .map(([key, preset]) => `<option value="${key}"${key === DEFAULT_FRAME ? ' selected' : ''}>${preset.label}</option>`)
+            .join('');
+    }
+    tileLayers = await fetchTileLayers();
+    if (tileSelect) {
+        tileSelect.innerHTML = Object.entries(tileLayers)
+            .map(([key, layer]) => `<option value="${key}"${key === DEFAULT_TILE_LAYER ? ' selected' : ''}>${layer.label}</option>`)
+            .join('');
+    }
     await loadRoutes();
     setupEventListeners();
     
-    // Listen for storage changes from editor (cross-tab sync)
-    window.addEventListener('storage', (e) => {
-        if (e.key === 'routes_data') {
-            console.log('Routes updated from editor, reloading...');
-            loadRoutes();
-        }
+    // Pick up routes saved in the editor (here or on another machine) when coming back to this tab
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') loadRoutes({ quiet: true });
     });
     
     updateStatus('Ready - Select a route');
 }
 
-// Load routes - prioritize localStorage (editor data), fallback to JSON files
-async function loadRoutes() {
-    routes = [];
-    
-    // First, try to load from localStorage (synced from editor)
-    const storedData = localStorage.getItem('routes_data');
-    if (storedData) {
-        try {
-            const data = JSON.parse(storedData);
-            const storedRoutes = data.routes || [];
-            
-            if (storedRoutes.length > 0) {
-                for (let i = 0; i < storedRoutes.length; i++) {
-                    const route = storedRoutes[i];
-                    routes.push({
-                        id: `route-${i}`,
-                        file: route._filename || `route-${i}.json`,
-                        name: route.title || `Route ${i + 1}`,
-                        data: route
-                    });
-                }
-                console.log(`Loaded ${routes.length} routes from localStorage`);
-            }
-        } catch (e) {
-            console.warn('Failed to parse localStorage routes:', e);
-        }
-    }
+// Load routes from the server's route library (/api/routes, see route-library.js) -
+// a file with several routes adds one entry per route.
+// quiet: a background refresh - no alert, and the selected route is only loaded again if it changed
+async function loadRoutes({ quiet = false } = {}) {
+    const selected = currentRoute;
+    let loaded = [];
     
-    // If no routes from localStorage, load from JSON files as fallback
-    if (routes.length === 0) {
-        const routeFiles = [
-            { id: 'vattlefjall', file: 'vättlefjäll.json' },
-            { id: 'stannum', file: 'stannum-ljungslätt.json' },
-            { id: 'gulf', file: 'gulf-campino.json' },
-            { id: 'destinations', file: 'destinations.json' }
-        ];
-        
-        for (const route of routeFiles) {
-            try {
-                const response = await fetch(route.file);
-                if (response.ok) {
-                    const data = await response.json();
-                    routes.push({
-                        id: route.id,
-                        file: route.file,
-                        name: data.title || route.file,
-                        data: data
-                    });
-                }
-            } catch (e) {
-                console.warn(`Could not load ${route.file}`);
-            }
+    try {
+        for (const entry of await fetchRouteList()) {
+            const { data } = await fetchRouteFile(entry.name);
+            const fileRoutes = data.routes || [data];
+            fileRoutes.forEach((route, i) => loaded.push({
+                id: fileRoutes.length > 1 ? `${entry.name}#${i}` : entry.name,
+                file: entry.file,
+                name: route.title || entry.name,
+                data: route
+            }));
         }
-        console.log(`Loaded ${routes.length} routes from JSON files`);
+    } catch (e) {
+        console.warn('Could not load the route library:', e);
+        if (quiet) return;
+        loaded = [];
+        showAlert('Route library unavailable', e.message);
     }
     
+    routes = loaded;
+    console.log(`Loaded ${routes.length} routes from the route library`);
+    
     if (routeSelect) {
         routeSelect.innerHTML = routes.map((r, i) => `<option value="${i}">${r.name}</option>`).join('');
-        if (routes.length > 0) await selectRoute(0);
+        
+        if (routes.length === 0) return;
+        const index = Math.max(0, routes.findIndex(r => r.id === selected?.id));
+        routeSelect.value = index;
+        
+        const unchanged = selected && routes[index].id === selected.id && JSON.stringify(routes[index].data) === JSON.stringify(selected.data);
+        if (unchanged) {
+            currentRoute = routes[index];
+        } else {
+            await selectRoute(index);
+        }
     }
 }
 
@@ -178,14 +204,49 @@ async function selectRoute(index) {
     if (index < 0 || index >= routes.length) return;
     
     currentRoute = routes[index];
-    currentRouteData = currentRoute.data;
+    
+    // Upgrade older files so preview and recording use the same timeline as the CLI
+    const normalized = normalizeRoute(currentRoute.data);
+    currentRouteData = normalized.route;
+    if (normalized.changes.length) {
+        console.info(`Route upgraded on load (${currentRoute.name}):\n${normalized.changes.map(c => `🔧 ${c}`).join('\n')}`);
+    }
     
     updateStatus(`Loading: ${currentRoute.name}...`);
     
-    routeSegments = await processRouteData(currentRouteData);
+    // The route's own basemap, when it has one (the menu can still change it)
+    if (currentRouteData.tile && tileSelect) {
+        if (tileLayers[currentRouteData.tile]) {
+            tileSelect.value = currentRouteData.tile;
+        } else {
+            console.warn(`Route ${currentRoute.name} asks for an unknown tile layer: ${currentRouteData.tile}`);
+        }
+    }
+    if (creditsSelect) creditsSelect.value = currentRouteData.attribution?.mode || DEFAULT_ATTRIBUTION.mode;
+    
+    const validation = validateRoute(currentRouteData);
+    if (validation.warnings.length) {
+        console.warn(`Route warnings (${currentRoute.name}):\n${formatValidationReport({ errors: [], warnings: validation.warnings })}`);
+    }
+    if (!validation.valid) {
+        routeSegments = [];
+        updateStatus(`Error: ${currentRoute.name} is not a valid route file`);
+        showAlert('Invalid route file', formatValidationReport(validation));
+        return;
+    }
+    
+    try {
+        routeSegments = await processRouteData(currentRouteData);
+    } catch (e) {
+        routeSegments = [];
+        updateStatus(`Error: ${e.message}`);
+        showAlert('Could not load route', e.message);
+        return;
+    }
     if (routeSegments.length > 0) {
         await initializeMap();
-        updateStatus(`Loaded: ${currentRoute.name} (${routeSegments.length} segments)`);
+        const upgraded = normalized.changes.length ? ` • 🔧 upgraded: ${normalized.changes.join('; ')}` : '';
+        updateStatus(`Loaded: ${currentRoute.name} (${routeSegments.length} segments)${upgraded}`);
     } else {
         updateStatus('Error: Could not process route');
     }
@@ -193,109 +254,20 @@ async function selectRoute(index) {
 
 // Process route data
 async function processRouteData(data) {
-    const segments = [];
-    
-    let startCoords = data.start?.coordinates;
-    if (!startCoords && data.start?.address) {
-        startCoords = await geocodeAddress(data.start.address);
-    }
-    if (!startCoords) return [];
-    
-    let prevCoords = startCoords;
-    let prevLabel = data.start?.label || 'START';
-    
-    for (const stop of (data.stops || [])) {
-        let stopCoords = stop.coordinates;
-        if (!stopCoords && stop.address) {
-            stopCoords = await geocodeAddress(stop.address);
-        }
-        if (!stopCoords) continue;
-        
-        let routeCoords = [prevCoords, stopCoords];
-        const travelMode = stop.travelMode || 'walk';
-        
-        // Determine routing profile based on travel mode
-        let profile = null;
-        if (travelMode === 'hike' || travelMode === 'walk' || travelMode === 'foot') {
-            profile = 'foot';
-        } else if (travelMode === 'driving' || travelMode === 'car') {
-            profile = 'car';
-        } else if (travelMode === 'cycling' || travelMode === 'bike') {
-            profile = 'bike';
-        }
-        
-        // Fetch actual route if we have a profile
-        if (profile) {
-            const fetched = await getRoute(prevCoords, stopCoords, profile);
-            if (fetched?.length > 2) {
-                routeCoords = fetched;
-                console.log(`Route fetched for ${stop.label}: ${fetched.length} points`);
-            } else {
-                console.warn(`Could not fetch route for ${stop.label}, using straight line`);
-            }
-        }
-        
-        segments.push({
-            coordinates: routeCoords,
-            fromLabel: prevLabel,
-            toLabel: stop.label || '',
-            travelMode: travelMode,
-            icon: stop.icon || 'person',
-            zoomLevel: stop.zoomLevel || null,
-            pause: stop.pause ?? 0.5
-        });
-        
-        prevCoords = stopCoords;
-        prevLabel = stop.label || '';
+    // Route file referencing a recorded track - cut it at the stops.
+    // Without the track its stops would be missing, so that's an error
+    if (data.gpx) {
+        data = applyGpxTrack(data, await fetchRouteTrack(data.gpx));
     }
     
+    const { segments } = await resolveRoute(data, resolver);
     return segments;
 }
 
-async function geocodeAddress(address) {
-    try {
-        const response = await fetch(`https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(address)}&format=json&limit=1`, {
-            headers: { 'User-Agent': 'MapRecorder/1.0' }
-        });
-        const data = await response.json();
-        if (data.length > 0) return [parseFloat(data[0].lat), parseFloat(data[0].lon)];
-    } catch (e) {}
-    return null;
-}
-
-async function getRoute(start, end, profile = 'foot') {
-    const apiKey = import.meta.env.VITE_GRAPHHOPPER_API_KEY || '';
-    if (!apiKey) {
-        console.warn('No GraphHopper API key - using straight line');
-        return null;
-    }
-    
-    try {
-        const url = `https://graphhopper.com/api/1/route?point=${start[0]},${start[1]}&point=${end[0]},${end[1]}&profile=${profile}&points_encoded=false&key=${apiKey}`;
-        console.log(`Fetching route: ${profile} from [${start}] to [${end}]`);
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data.message) {
-            console.warn('GraphHopper API error:', data.message);
-            return null;
-        }
-        
-        if (data.paths?.[0]?.points?.coordinates) {
-            const coords = data.paths[0].points.coordinates.map(c => [c[1], c[0]]);
-            console.log(`Route received: ${coords.length} points`);
-            return coords;
-        }
-        
-        console.warn('No route path in response:', data);
-    } catch (e) {
-        console.warn('Route fetch error:', e);
-    }
-    return null;
-}
-
 // Initialize map
 async function initializeMap() {
+    pausePreview();
+    preview = null;
     resetAnimationUI();
     
     if (map) { map.remove(); map = null; }
@@ -310,17 +282,23 @@ async function initializeMap() {
         fadeAnimation: true
     });
     
-    const tileKey = tileSelect?.value || 'osm';
-    const tileConfig = TILE_LAYERS[tileKey] || TILE_LAYERS.osm;
+    const tileConfig = tileLayers[tileSelect?.value] || tileLayers[DEFAULT_TILE_LAYER];
     L.tileLayer(tileConfig.url, tileConfig.options).addTo(map);
     
-    map.fitBounds(bounds, { padding: [50, 50], animate: false });
+    // Credits as chosen in the menu - an end card lengthens the timeline
+    const creditedRoute = { ...currentRouteData, attribution: routeAttribution() };
+    
+    const framing = window.AnimationCore.createFraming(map);
+    mapWrapper.dataset.orientation = framing.orientation;
+    map.fitBounds(bounds, { padding: framing.fitPadding, animate: false });
     
     window.mapData = {
         routeSegments,
-        lineColor: currentRouteData.animation?.lineColor || '#8B4513',
-        lineWidth: currentRouteData.animation?.lineWidth || 4,
-        animationDuration: currentRouteData.animation?.duration || 15000,
+        lineColor: currentRouteData.animation.lineColor,
+        lineWidth: currentRouteData.animation.lineWidth,
+        animationDuration: currentRouteData.animation.duration,
+        timeline: createTimeline(creditedRoute, routeSegments),
+        attribution: getAttribution(creditedRoute, tileConfig),
         finalDestination: routeSegments[routeSegments.length - 1]?.toLabel || 'DESTINATION',
         title: currentRouteData.title || 'ADVENTURE',
         date: currentRouteData.date || '',
@@ -331,6 +309,21 @@ async function initializeMap() {
     window.getMap = () => map;
     
     drawRoutePreview();
+    buildTimelineBar();
+}
+
+// The route's attribution settings, in the mode picked in the Credits menu
+function routeAttribution() {
+    return { ...currentRouteData.attribution, mode: creditsSelect?.value || DEFAULT_ATTRIBUTION.mode };
+}
+
+// Shape the preview like the chosen frame - 16:9 fills the window as before
+function applyFrame() {
+    const { width, height } = FRAME_PRESETS[frameSelect?.value] || FRAME_PRESETS[DEFAULT_FRAME];
+    const framed = width / height !== 16 / 9;
+    mapWrapper.classList.toggle('framed', framed);
+    mapWrapper.style.aspectRatio = framed ? `${width} / ${height}` : '';
+    if (routeSegments.length) initializeMap();
 }
 
 function resetAnimationUI() {
@@ -350,10 +343,16 @@ function drawRoutePreview() {
 function setupEventListeners() {
     routeSelect?.addEventListener('change', e => selectRoute(parseInt(e.target.value)));
     tileSelect?.addEventListener('change', () => initializeMap());
+    creditsSelect?.addEventListener('change', () => initializeMap());
+    frameSelect?.addEventListener('change', applyFrame);
     reloadBtn?.addEventListener('click', async () => { reloadBtn.disabled = true; await loadRoutes(); reloadBtn.disabled = false; });
     previewBtn?.addEventListener('click', runPreview);
     recordBtn?.addEventListener('click', startRecording);
     downloadBtn?.addEventListener('click', showDownloadDialog);
+    exportGeoJsonBtn?.addEventListener('click', () => exportRoute('geojson'));
+    exportKmlBtn?.addEventListener('click', () => exportRoute('kml'));
+    cancelJobBtn?.addEventListener('click', cancelJob);
+    setupTimelineBar();
     
     // Download modal event listeners
     setupDownloadModalListeners();
@@ -366,26 +365,26 @@ function setupDownloadModalListeners() {
         if (e.target === downloadModal) hideDownloadDialog();
     });
     
-    // WebM download - direct download
+    // Original download - the recording as-is (WebM, or MP4 when frame-accurate)
     downloadWebmBtn?.addEventListener('click', () => {
         downloadWebmBtn.classList.add('selected');
         downloadMp4Btn.classList.remove('selected');
         mp4Options.style.display = 'none';
         hideDownloadDialog();
-        window.location.href = '/api/download';
+        window.location.href = currentJob.downloadUrl;
     });
     
-    // MP4 download - show quality options
+    // Convert - show format/quality options
     downloadMp4Btn?.addEventListener('click', () => {
         downloadMp4Btn.classList.add('selected');
         downloadWebmBtn.classList.remove('selected');
         mp4Options.style.display = 'block';
     });
     
-    // Confirm MP4 conversion
+    // Confirm conversion
     confirmMp4Btn?.addEventListener('click', () => {
         hideDownloadDialog();
-        downloadAsMP4();
+        convertVideo();
     });
 }
 
@@ -402,270 +401,311 @@ function hideDownloadDialog() {
     downloadModal?.classList.remove('active');
 }
 
+// Export the resolved segments (geocoded + routed) so they can be reused without the APIs
+function exportRoute(format) {
+    if (!routeSegments.length) {
+        updateStatus('Please select a route first');
+        return;
+    }
+    
+    const meta = {
+        title: currentRouteData.title,
+        date: currentRouteData.date,
+        animation: currentRouteData.animation
+    };
+    const baseName = (currentRoute.file || 'route').replace(/\.[^.]+$/, '');
+    
+    let content, type, extension;
+    if (format === 'kml') {
+        content = segmentsToKML(routeSegments, meta);
+        type = 'application/vnd.google-earth.kml+xml';
+        extension = 'kml';
+    } else {
+        content = JSON.stringify(segmentsToGeoJSON(routeSegments, meta), null, 2);
+        type = 'application/geo+json';
+        extension = 'geojson';
+    }
+    
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${baseName}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    updateStatus(`Exported ${routeSegments.length} segments as ${extension.toUpperCase()}`);
+}
+
 function updateStatus(msg) {
     if (statusEl) statusEl.textContent = msg;
 }
 
-// Download as MP4 via FreeConvert
-async function downloadAsMP4() {
-    if (!FREE_CONVERT_API_KEY) {
-        updateStatus('Error: FreeConvert API key not configured');
-        await showAlert('API Key Missing', 'FreeConvert API key not found. Add VITE_FREE_CONVERT_API_KEY to your .env file.');
-        return;
-    }
-    
-    // Get quality settings from dialog
-    const videoCrf = parseInt(mp4Quality?.value || '23');
-    const videoCodec = mp4Codec?.value || 'h264';
+// Convert the recording with the server's ffmpeg (a job of its own), then download it
+async function convertVideo() {
+    const crf = parseInt(mp4Quality?.value || '23');
+    const format = mp4Codec?.value || 'h264';
+    const formatName = mp4Codec?.selectedOptions[0]?.textContent || format;
     
     downloadBtn.disabled = true;
-    showProgress('Converting to MP4...', 'Fetching WebM file');
+    recordBtn.disabled = true;
+    showProgress('Converting...', formatName);
     setProgressStage('load');
     
     try {
-        // Step 1: Fetch the WebM blob from server
-        updateProgress(5, 'Fetching video...', 'Downloading WebM from server');
-        const webmResponse = await fetch('/api/video-blob');
-        if (!webmResponse.ok) throw new Error('Failed to fetch video');
-        const webmBlob = await webmResponse.blob();
-        
-        updateProgress(10, 'Creating conversion job...', 'Connecting to FreeConvert API');
-        
-        // Step 2: Create FreeConvert job with minimal options for QuickTime compatibility
-        // Use simple format - FreeConvert handles codec details automatically
-        const conversionOptions = {};
-        
-        // Only add CRF quality if not default
-        if (videoCrf && videoCrf !== 23) {
-            conversionOptions.crf = videoCrf;
-        }
-        
-        const jobResponse = await fetch(`${FREE_CONVERT_API_URL}/process/jobs`, {
+        const response = await fetch(`/api/jobs/${currentJob.id}/transcode`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${FREE_CONVERT_API_KEY}`
-            },
-            body: JSON.stringify({
-                tag: 'map-animation',
-                tasks: {
-                    'upload-video': { operation: 'import/upload' },
-                    'convert-to-mp4': {
-                        operation: 'convert',
-                        input: 'upload-video',
-                        input_format: 'webm',
-                        output_format: 'mp4',
-                        ...(Object.keys(conversionOptions).length > 0 ? { options: conversionOptions } : {})
-                    },
-                    'export-result': {
-                        operation: 'export/url',
-                        input: 'convert-to-mp4'
-                    }
-                }
-            })
-        });
-        
-        if (!jobResponse.ok) {
-            const errorText = await jobResponse.text();
-            throw new Error(`Failed to create job: ${jobResponse.status} - ${errorText}`);
-        }
-        
-        const job = await jobResponse.json();
-        const uploadTask = job.tasks.find(t => t.operation === 'import/upload');
-        if (!uploadTask?.result?.form) throw new Error('Upload task not found');
-        
-        setProgressStage('encode');
-        updateProgress(20, 'Uploading video...', 'Sending to FreeConvert');
-        
-        // Step 3: Upload WebM
-        const formData = new FormData();
-        Object.entries(uploadTask.result.form.parameters).forEach(([key, value]) => {
-            formData.append(key, value);
-        });
-        formData.append('file', webmBlob, 'video.webm');
-        
-        const uploadResponse = await fetch(uploadTask.result.form.url, {
-            method: 'POST',
-            body: formData
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format, crf })
         });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Conversion failed');
         
-        if (!uploadResponse.ok) throw new Error(`Upload failed: ${uploadResponse.status}`);
-        
-        updateProgress(40, 'Converting video...', `Processing (${videoCodec.toUpperCase()}, CRF ${videoCrf})`);
-        
-        // Step 4: Poll for completion
-        let downloadUrl = null;
-        let attempts = 0;
-        const maxAttempts = 120; // 2 minutes max
-        
-        while (!downloadUrl && attempts < maxAttempts) {
-            await new Promise(r => setTimeout(r, 1000));
-            attempts++;
-            
-            const statusResponse = await fetch(`${FREE_CONVERT_API_URL}/process/jobs/${job.id}`, {
-                headers: { 'Authorization': `Bearer ${FREE_CONVERT_API_KEY}` }
-            });
-            const jobStatus = await statusResponse.json();
-            
-            if (jobStatus.status === 'completed') {
-                const exportTask = jobStatus.tasks?.find(t => t.operation === 'export/url');
-                downloadUrl = exportTask?.result?.url;
-                break;
-            } else if (jobStatus.status === 'failed') {
-                throw new Error('Conversion failed on FreeConvert');
-            }
-            
-            // Update progress based on job status
-            const percent = Math.min(40 + attempts, 85);
-            updateProgress(percent, 'Converting video...', `Processing... (${attempts}s)`);
-        }
-        
-        if (!downloadUrl) throw new Error('Conversion timeout');
-        
+        subscribeProgress(result.job, finishConversion);
+    } catch (err) {
+        finishConversion({ status: 'error', error: err.message });
+    }
+}
+
+function finishConversion(job) {
+    recordBtn.disabled = false;
+    downloadBtn.disabled = false;
+    
+    if (job.status === 'complete') {
         setProgressStage('finalize');
-        updateProgress(90, 'Downloading MP4...', 'Fetching converted file');
-        
-        // Step 5: Download MP4
-        const mp4Response = await fetch(downloadUrl);
-        if (!mp4Response.ok) throw new Error('Failed to download MP4');
-        const mp4Blob = await mp4Response.blob();
-        
-        updateProgress(100, 'Complete!', 'Video ready');
-        
-        // Trigger download
-        const url = URL.createObjectURL(mp4Blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `map-animation-${Date.now()}.mp4`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
+        updateProgress(100, 'Conversion complete!', `${job.output.format.toUpperCase()} - ${(job.output.size / 1024 / 1024).toFixed(1)} MB`);
+        window.location.href = job.downloadUrl;
         setTimeout(() => {
             hideProgress();
-            updateStatus('MP4 downloaded! 🎉');
-            downloadBtn.disabled = false;
+            updateStatus('Converted video downloaded! 🎉');
         }, 1000);
-        
-    } catch (err) {
-        console.error('MP4 conversion error:', err);
-        hideProgress();
-        updateStatus('Conversion failed: ' + err.message);
-        downloadBtn.disabled = false;
-        
-        // Offer WebM as fallback
-        const fallback = await showConfirm('Conversion Failed', 'MP4 conversion failed. Download as WebM instead?', 'Download WebM', 'Cancel');
-        if (fallback) {
-            window.location.href = '/api/download';
-        }
+        return;
     }
+    
+    hideProgress();
+    if (job.status === 'cancelled') {
+        updateStatus('Conversion cancelled');
+        return;
+    }
+    console.error('Conversion error:', job.error);
+    updateStatus('Conversion failed: ' + job.error);
+    
+    // Offer the original recording instead
+    showConfirm('Conversion Failed', `${job.error}\n\nDownload the original ${currentJob.output.format.toUpperCase()} instead?`, 'Download', 'Cancel')
+        .then(fallback => {
+            if (fallback) window.location.href = currentJob.downloadUrl;
+        });
 }
+
+// Preview - plays in real time, or jumps to any frame from the timeline bar.
+// Frames come from getTimelinePosition(), like the server's renders.
 async function runPreview() {
-    if (isPreviewRunning || !routeSegments.length) return;
+    if (!routeSegments.length) return;
     
-    isPreviewRunning = true;
-    previewBtn.disabled = true;
-    recordBtn.disabled = true;
     updateStatus('▶️ Running preview...');
     
-    // Re-init map
+    // Fresh map, and a moment for the tiles
     await initializeMap();
     await new Promise(r => setTimeout(r, 1000));
     
-    // Clear preview markers
+    preparePreview();
+    playPreview();
+}
+
+function preparePreview() {
+    if (preview || !map || !routeSegments.length) return preview;
+    
+    // Clear route preview markers
     map.eachLayer(layer => {
         if (layer instanceof L.Polyline || layer instanceof L.Marker || layer instanceof L.CircleMarker) {
             map.removeLayer(layer);
         }
     });
     
-    // Re-add tiles
-    const tileKey = tileSelect?.value || 'osm';
-    const tileConfig = TILE_LAYERS[tileKey] || TILE_LAYERS.osm;
-    L.tileLayer(tileConfig.url, tileConfig.options).addTo(map);
-    
-    await new Promise(r => setTimeout(r, 500));
-    
-    // Run animation using AnimationCore
-    const { lineColor, lineWidth, animationDuration, finalDestination, title, date, startZoomLevel } = window.mapData;
+    const { lineColor, lineWidth, finalDestination, title, date, startZoomLevel, timeline, attribution } = window.mapData;
     
     const state = window.AnimationCore.createAnimationState();
     const config = window.AnimationCore.createAnimationConfig(map, routeSegments, {
-        startZoomLevel, lineColor, lineWidth, title, date, finalDestination
+        startZoomLevel, lineColor, lineWidth, title, date, finalDestination, timeline, attribution
     });
     
-    const smoothing = { position: 0.08, zoom: 0.04, animate: true, duration: 1.5 };
-    
-    const TITLE_DURATION = 3000;
-    const PAN_DURATION = 4000;
-    const ROUTE_DURATION = animationDuration;
-    const END_DURATION = 3000;
-    
-    const totalPauseTime = config.segmentPauses.reduce((sum, p) => sum + p * 1000, 0);
-    const phases = [
-        { name: 'title', duration: TITLE_DURATION },
-        { name: 'pan', duration: PAN_DURATION },
-        { name: 'route', duration: ROUTE_DURATION + totalPauseTime },
-        { name: 'end', duration: END_DURATION }
-    ];
-    
-    let startTime = null;
-    let pausedTime = 0;
-    let isPaused = false;
-    let pauseStartTime = 0;
-    let currentPauseDuration = 0;
-    
-    await new Promise(resolve => {
-        function animate(currentTime) {
-            if (!startTime) startTime = currentTime;
-            
-            if (isPaused) {
-                const pauseElapsed = currentTime - pauseStartTime;
-                if (pauseElapsed >= currentPauseDuration) {
-                    isPaused = false;
-                    pausedTime += currentPauseDuration;
-                } else {
-                    requestAnimationFrame(animate);
-                    return;
-                }
-            }
-            
-            const elapsed = currentTime - startTime - pausedTime;
-            let phaseStart = 0, currentPhase = null, phaseProgress = 0;
-            
-            for (const phase of phases) {
-                if (elapsed < phaseStart + phase.duration) {
-                    currentPhase = phase.name;
-                    phaseProgress = (elapsed - phaseStart) / phase.duration;
-                    break;
-                }
-                phaseStart += phase.duration;
-            }
-            
-            if (!currentPhase) { resolve(); return; }
-            
-            const result = window.AnimationCore.renderFrame({
-                phase: currentPhase,
-                phaseProgress: Math.min(1, Math.max(0, phaseProgress)),
-                state, config, map, routeSegments, elements, smoothing
-            });
-            
-            if (result.shouldPause && result.pauseDuration > 0) {
-                isPaused = true;
-                pauseStartTime = currentTime;
-                currentPauseDuration = result.pauseDuration * 1000;
-            }
-            
-            requestAnimationFrame(animate);
-        }
-        requestAnimationFrame(animate);
+    preview = { state, config, timeline, time: 0, playing: false, rafId: null };
+    return preview;
+}
+
+/**
+ * Render the preview at a time
+ * @param {number} time - ms since the start of the video
+ * @param {Object} options - { seek: true when jumping - no Leaflet animation }
+ */
+function renderPreviewAt(time, { seek = false } = {}) {
+    const { state, config, timeline } = preview;
+    preview.time = Math.min(timeline.total, Math.max(0, time));
+    const position = getTimelinePosition(timeline, preview.time);
+    
+    window.AnimationCore.renderFrame({
+        phase: position.phase,
+        phaseProgress: position.phaseProgress,
+        state, config, map, routeSegments, elements,
+        smoothing: seek ? SEEK_SMOOTHING : PREVIEW_SMOOTHING
     });
     
-    isPreviewRunning = false;
+    updateTimelineBar(position);
+}
+
+function playPreview() {
+    if (!preparePreview() || preview.playing) return;
+    if (preview.time >= preview.timeline.total) renderPreviewAt(0, { seek: true });
+    
+    preview.playing = true;
+    previewBtn.disabled = true;
+    recordBtn.disabled = true;
+    tlPlay.textContent = '⏸';
+    
+    let lastTime = null;
+    const tick = now => {
+        if (!preview?.playing) return;
+        if (lastTime !== null) renderPreviewAt(preview.time + now - lastTime);
+        lastTime = now;
+        
+        if (preview.time >= preview.timeline.total) {
+            pausePreview();
+            updateStatus('Preview complete');
+            return;
+        }
+        preview.rafId = requestAnimationFrame(tick);
+    };
+    preview.rafId = requestAnimationFrame(tick);
+}
+
+function pausePreview() {
+    if (!preview?.playing) return;
+    cancelAnimationFrame(preview.rafId);
+    preview.playing = false;
     previewBtn.disabled = false;
     recordBtn.disabled = false;
-    updateStatus('Preview complete');
+    tlPlay.textContent = '▶️';
+}
+
+function togglePreview() {
+    if (preview?.playing) pausePreview();
+    else playPreview();
+}
+
+// Jump to a time, paused
+function seekPreview(time) {
+    if (!preparePreview()) return;
+    pausePreview();
+    renderPreviewAt(time, { seek: true });
+}
+
+function stepFrame(direction) {
+    if (!preparePreview()) return;
+    const frame = Math.round(preview.time / 1000 * PREVIEW_FPS) + direction;
+    seekPreview(frame * 1000 / PREVIEW_FPS);
+}
+
+// Jump to the start of the previous/next segment
+function jumpToSegment(direction) {
+    if (!preparePreview()) return;
+    const starts = getSegmentTimes(preview.timeline).map(times => times.start);
+    const target = direction > 0
+        ? starts.find(start => start > preview.time + 1)
+        : starts.filter(start => start < preview.time - 1).pop();
+    seekPreview(target ?? (direction > 0 ? preview.timeline.total : 0));
+}
+
+function formatTime(ms) {
+    const seconds = ms / 1000;
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Phases and segment starts of the current route on the timeline bar
+function buildTimelineBar() {
+    if (!tlTrack) return;
+    tlTrack.querySelectorAll('.timeline-phase, .timeline-pause, .timeline-stop').forEach(el => el.remove());
+    if (!routeSegments.length) return;
+    
+    const { timeline } = window.mapData;
+    const percent = ms => `${ms / timeline.total * 100}%`;
+    
+    timeline.phases.forEach(phase => {
+        const el = document.createElement('div');
+        el.className = `timeline-phase ${phase.name}`;
+        el.style.left = percent(phase.start);
+        el.style.width = percent(phase.duration);
+        el.textContent = ANIMATION_PHASE_LABELS[phase.name];
+        tlTrack.appendChild(el);
+    });
+    
+    getSegmentTimes(timeline).forEach((times, i) => {
+        const segment = routeSegments[i];
+        
+        const pause = document.createElement('div');
+        pause.className = 'timeline-pause';
+        pause.style.left = percent(times.end);
+        pause.style.width = percent(times.pauseEnd - times.end);
+        tlTrack.appendChild(pause);
+        
+        const stop = document.createElement('div');
+        stop.className = 'timeline-stop';
+        stop.style.left = percent(times.start);
+        stop.dataset.time = times.start;
+        stop.title = `Segment ${i + 1}: ${segment.fromLabel || 'Start'} → ${segment.toLabel || 'waypoint'} (${formatTime(times.start)})`;
+        tlTrack.appendChild(stop);
+    });
+    
+    updateTimelineBar(getTimelinePosition(timeline, 0), 0);
+}
+
+function updateTimelineBar(position, time = preview.time) {
+    const { timeline } = window.mapData;
+    tlPlayhead.style.left = `${time / timeline.total * 100}%`;
+    
+    const frame = Math.round(time / 1000 * PREVIEW_FPS);
+    const totalFrames = Math.ceil(timeline.total / 1000 * PREVIEW_FPS);
+    const where = position.segmentIndex !== null
+        ? `Segment ${position.segmentIndex + 1}/${routeSegments.length}${position.paused ? ' (pause)' : ''}`
+        : ANIMATION_PHASE_LABELS[position.phase];
+    tlTime.textContent = `${formatTime(time)} / ${formatTime(timeline.total)} · Frame ${frame}/${totalFrames} · ${where}`;
+}
+
+// Click or drag on the track to scrub; a stop tick jumps to its segment
+function setupTimelineBar() {
+    tlPlay?.addEventListener('click', togglePreview);
+    tlStepBack?.addEventListener('click', () => stepFrame(-1));
+    tlStepForward?.addEventListener('click', () => stepFrame(1));
+    tlPrevSegment?.addEventListener('click', () => jumpToSegment(-1));
+    tlNextSegment?.addEventListener('click', () => jumpToSegment(1));
+    
+    let pendingTime = null;
+    const scrubTo = e => {
+        const rect = tlTrack.getBoundingClientRect();
+        const time = e.target.classList.contains('timeline-stop')
+            ? Number(e.target.dataset.time)
+            : (e.clientX - rect.left) / rect.width * window.mapData.timeline.total;
+        
+        // One render per animation frame however fast the pointer moves
+        if (pendingTime === null) requestAnimationFrame(() => { seekPreview(pendingTime); pendingTime = null; });
+        pendingTime = time;
+    };
+    
+    tlTrack?.addEventListener('pointerdown', e => {
+        if (!routeSegments.length) return;
+        tlTrack.setPointerCapture(e.pointerId);
+        scrubTo(e);
+    });
+    tlTrack?.addEventListener('pointermove', e => {
+        if (tlTrack.hasPointerCapture(e.pointerId)) scrubTo(e);
+    });
+    
+    document.addEventListener('keydown', e => {
+        if (!routeSegments.length || ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName)) return;
+        if (e.key === ' ') { e.preventDefault(); togglePreview(); }
+        else if (e.key === 'ArrowLeft') stepFrame(-1);
+        else if (e.key === 'ArrowRight') stepFrame(1);
+    });
 }
 
 // Start recording via server API
@@ -687,6 +727,7 @@ async function startRecording() {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 routeSegments,
+                route: currentRouteData,
                 options: {
                     lineColor: window.mapData.lineColor,
                     lineWidth: window.mapData.lineWidth,
@@ -694,9 +735,12 @@ async function startRecording() {
                     date: window.mapData.date,
                     finalDestination: window.mapData.finalDestination,
                     startZoomLevel: window.mapData.startZoomLevel,
-                    animationDuration: window.mapData.animationDuration
+                    animationDuration: window.mapData.animationDuration,
+                    attribution: routeAttribution()
                 },
-                tile: tileSelect?.value || 'osm'
+                tile: tileSelect?.value || DEFAULT_TILE_LAYER,
+                mode: modeSelect?.value || 'realtime',
+                frame: frameSelect?.value || DEFAULT_FRAME
             })
         });
         
@@ -705,8 +749,7 @@ async function startRecording() {
             throw new Error(err.error || 'Recording failed');
         }
         
-        // Poll for status
-        pollInterval = setInterval(pollStatus, 1000);
+        subscribeProgress((await response.json()).job, finishRecording);
         
     } catch (err) {
         console.error('Recording error:', err);
@@ -717,45 +760,104 @@ async function startRecording() {
     }
 }
 
-async function pollStatus() {
-    try {
-        const response = await fetch('/api/status');
-        const { isRecording, progress } = await response.json();
-        
-        if (progress.status === 'recording') {
-            // Update stage based on phase
-            if (progress.phase === 'launching' || progress.phase === 'loading' || progress.phase === 'tiles') {
-                setProgressStage('load');
-            } else if (progress.phase === 'capturing') {
-                setProgressStage('encode');
-            } else if (progress.phase === 'encoding') {
-                setProgressStage('finalize');
-            }
-            
-            const sublabel = progress.frame ? `Frame ${progress.frame}/${progress.totalFrames}` : progress.phase;
-            updateProgress(progress.percent, `${progress.phase}: ${progress.percent}%`, sublabel);
-        } else if (progress.status === 'complete') {
-            clearInterval(pollInterval);
+// Render job progress as shown in the progress overlay
+const ANIMATION_PHASE_LABELS = { title: 'Title card', pan: 'Zooming in', route: 'Route', end: 'Destination', credits: 'Credits' };
+
+function formatEta(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function showJobProgress(job) {
+    const { progress } = job;
+    
+    if (job.status === 'queued') {
+        updateProgress(0, 'Queued', `Waiting for other jobs (position ${job.queuePosition})`);
+    } else if (job.status === 'running') {
+        // Update stage based on phase
+        if (progress.phase === 'launching' || progress.phase === 'loading' || progress.phase === 'tiles') {
+            setProgressStage('load');
+        } else if (progress.phase === 'capturing' || progress.phase === 'recording' || progress.phase === 'transcoding') {
+            setProgressStage('encode');
+        } else if (progress.phase === 'encoding') {
             setProgressStage('finalize');
-            updateProgress(100, 'Recording complete!', 'WebM ready for download');
-            
-            setTimeout(() => {
-                hideProgress();
-                updateStatus('Recording complete! Click Download 🎉');
-                recordBtn.disabled = false;
-                previewBtn.disabled = false;
-                downloadBtn.disabled = false;
-            }, 1500);
-        } else if (progress.status === 'error') {
-            clearInterval(pollInterval);
+        }
+        
+        const details = [];
+        if (progress.segmentIndex != null && progress.totalSegments) {
+            details.push(`Segment ${progress.segmentIndex + 1}/${progress.totalSegments}`);
+        }
+        if (progress.totalTiles) details.push(`Tiles ${progress.tiles}/${progress.totalTiles}`);
+        if (progress.frame) details.push(`Frame ${progress.frame}/${progress.totalFrames}`);
+        if (progress.eta != null) details.push(`ETA ${formatEta(progress.eta)}`);
+        
+        const label = ANIMATION_PHASE_LABELS[progress.animationPhase] || progress.phase;
+        updateProgress(progress.percent, `${label}: ${progress.percent}%`, details.join(' · ') || progress.phase);
+    } else {
+        const onDone = progressDone;
+        unsubscribeProgress();
+        onDone(job);
+    }
+}
+
+function finishRecording(job) {
+    if (job.status === 'complete') {
+        currentJob = job;
+        setProgressStage('finalize');
+        updateProgress(100, 'Recording complete!', `${job.output.format.toUpperCase()} ready for download`);
+        
+        setTimeout(() => {
             hideProgress();
-            updateStatus('Error: ' + (progress.error || 'Recording failed'));
+            updateStatus('Recording complete! Click Download 🎉');
             recordBtn.disabled = false;
             previewBtn.disabled = false;
+            downloadBtn.disabled = false;
+        }, 1500);
+    } else {
+        hideProgress();
+        updateStatus(job.status === 'cancelled' ? 'Recording cancelled' : 'Error: ' + (job.error || 'Recording failed'));
+        recordBtn.disabled = false;
+        previewBtn.disabled = false;
+    }
+}
+
+// Follow a render job over Server-Sent Events (/api/jobs/:id/events)
+// onDone(job) gets the job once it is complete, failed or cancelled
+function subscribeProgress(job, onDone) {
+    unsubscribeProgress();
+    followedJob = job;
+    progressDone = onDone;
+    if (cancelJobBtn) cancelJobBtn.style.display = '';
+    
+    progressStream = new EventSource(`/api/jobs/${job.id}/events`);
+    progressStream.addEventListener('job', e => showJobProgress(JSON.parse(e.data)));
+    // EventSource reconnects by itself after a dropped connection - only give up once it stops trying
+    progressStream.onerror = () => {
+        if (progressStream?.readyState === EventSource.CLOSED) {
+            unsubscribeProgress();
+            onDone({ ...job, status: 'error', error: 'lost connection to the server' });
         }
+    };
+}
+
+function unsubscribeProgress() {
+    progressStream?.close();
+    progressStream = null;
+    followedJob = null;
+    progressDone = null;
+    if (cancelJobBtn) cancelJobBtn.style.display = 'none';
+}
+
+// Cancel the job being followed (the progress stream reports the cancellation)
+async function cancelJob() {
+    if (!followedJob) return;
+    cancelJobBtn.disabled = true;
+    updateProgress(0, 'Cancelling...', '');
+    try {
+        await fetch(`/api/jobs/${followedJob.id}`, { method: 'DELETE' });
     } catch (e) {
-        console.error('Poll error:', e);
+        console.error('Cancel error:', e);
     }
+    cancelJobBtn.disabled = false;
 }
 
 // Progress UI
@@ -0,0 +1,108 @@
+/**
+ * Route Edits
+ * Stop list operations for the editor: reorder, duplicate and reverse.
+ *
+ * A stop holds two kinds of fields - where it is (coordinates, label, pause, ...)
+ * and how the way to it from the previous point goes (travel mode, via points,
+ * recorded track, ...). These operations keep the second kind with the segment
+ * it describes.
+ */
+
+// Stop fields that describe the way from the previous point to the stop
+const SEGMENT_FIELDS = ['travelMode', 'icon', 'routing', 'duration', 'viaPoints', 'geometry', 'showAlternatives'];
+
+/**
+ * Move a stop to another position (in place)
+ * A recorded track leads from the point before its stop, so stops that end up
+ * after a different point lose theirs - it would draw a jump across the map.
+ * @param {Object} route
+ * @param {number} from - Index of the stop to move
+ * @param {number} to - Index it should have afterwards
+ * @returns {Array} Indexes (after the move) of the stops whose track was dropped
+ */
+function moveStop(route, from, to) {
+    const stops = route.stops;
+    const previousOf = new Map(stops.map((stop, index) => [stop, index > 0 ? stops[index - 1] : route.start]));
+
+    const [moved] = stops.splice(from, 1);
+    stops.splice(to, 0, moved);
+
+    const dropped = [];
+    stops.forEach((stop, index) => {
+        const previous = index > 0 ? stops[index - 1] : route.start;
+        // A stop without coordinates is only located by its track - keep it
+        if (stop.geometry && stop.coordinates && previousOf.get(stop) !== previous) {
+            delete stop.geometry;
+            dropped.push(index);
+        }
+    });
+    return dropped;
+}
+
+/**
+ * Insert a copy of a stop right after it (in place), e.g. for a route that
+ * returns to an earlier stop. The copy leads nowhere yet, so it has no via
+ * points or track.
+ * @param {Object} route
+ * @param {number} index - Stop to copy
+ * @returns {number} Index of the copy
+ */
+function duplicateStop(route, index) {
+    const { viaPoints, geometry, ...copy } = JSON.parse(JSON.stringify(route.stops[index]));
+    if (!copy.coordinates && geometry?.length) {
+        copy.coordinates = geometry[geometry.length - 1];
+    }
+
+    route.stops.splice(index + 1, 0, copy);
+    return index + 1;
+}
+
+/**
+ * The route driven the other way: the last stop becomes the start, the start
+ * the last stop. Each segment keeps its travel mode, icon, routing and timing,
+ * with via points and recorded tracks reversed.
+ * @param {Object} route
+ * @returns {Object} A reversed copy
+ * @throws {Error} For a route that follows a GPX file (freeze it first)
+ */
+function reverseRoute(route) {
+    if (route.gpx) {
+        throw new Error(`This route follows ${route.gpx} - freeze it first, so the track is part of the route and can be reversed`);
+    }
+
+    const reversed = JSON.parse(JSON.stringify(route));
+    const stops = reversed.stops || [];
+    if (stops.length === 0) return reversed;
+
+    // points[i] -> points[i + 1] is segments[i]
+    const points = [reversed.start || {}, ...stops].map(point => Object.fromEntries(
+        Object.entries(point).filter(([key]) => !SEGMENT_FIELDS.includes(key))
+    ));
+    const segments = stops.map(stop => Object.fromEntries(
+        Object.entries(stop).filter(([key]) => SEGMENT_FIELDS.includes(key))
+    ));
+
+    // A point only located by the track leading to it needs its own coordinates,
+    // as that track now leads away from it
+    points.forEach((point, index) => {
+        const track = segments[index - 1]?.geometry;
+        if (!point.coordinates && !point.address && track?.length) {
+            point.coordinates = track[track.length - 1];
+        }
+    });
+
+    segments.forEach(segment => {
+        segment.viaPoints?.reverse();
+        segment.geometry?.reverse();
+    });
+
+    reversed.start = points[points.length - 1];
+    reversed.stops = segments.map((segment, index) => ({ ...points[index], ...segment })).reverse();
+    return reversed;
+}
+
+export {
+    moveStop,
+    duplicateStop,
+    reverseRoute
+};
@@ -0,0 +1,144 @@
+/**
+ * Route Library
+ * The route files server.js keeps in its routes directory (/api/routes), so the
+ * editor and the recorder - in any browser, on any machine that can reach the
+ * server - work on the same routes. The server side is lib/route-library.js.
+ *
+ * A route file is named without its .json extension ("stannum-ljungslätt") and
+ * holds one route, or { "routes": [...] } for several. A route's "gpx" track is
+ * relative to the routes directory, as it is for the CLI - the server serves the
+ * directory at /routes/.
+ */
+
+import { parseGpx } from './gpx.js';
+
+// Names end up as file names - letters (any language), digits, space, _ . and -
+const ROUTE_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.-]{0,99}$/u;
+
+/**
+ * A file name for a route title ("Stannum → Ljungslätt" -> "stannum-ljungslätt")
+ * @param {string} title
+ * @returns {string} Empty when the title has no letters or digits
+ */
+function routeNameFromTitle(title = '') {
+    return title
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 100);
+}
+
+/**
+ * Call /api/routes
+ * @returns {Promise<Object>} The JSON response
+ * @throws {Error} With the server's error message (error.status: the HTTP status)
+ */
+async function callRouteApi(path, init) {
+    let response;
+    try {
+        response = await fetch(`/api/routes${path}`, init);
+    } catch (e) {
+        throw new Error(`Route library unavailable (${e.message}) - is the server running (npm start)?`);
+    }
+
+    const data = response.headers.get('content-type')?.includes('application/json') ? await response.json() : null;
+    if (!data) {
+        throw new Error('Route library unavailable - open the editor and recorder through the server (npm start)');
+    }
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+function sendJson(method, body) {
+    return { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+/**
+ * Every route file in the library
+ * @returns {Promise<Array>} [{ name, file, titles, stops, valid, updatedAt }], sorted by name
+ */
+async function fetchRouteList() {
+    return (await callRouteApi('')).routes;
+}
+
+/**
+ * Read a route file
+ * @param {string} name
+ * @returns {Promise<Object>} { name, file, updatedAt, data } - data as stored: a route or { routes }
+ */
+function fetchRouteFile(name) {
+    return callRouteApi(`/${encodeURIComponent(name)}`);
+}
+
+/**
+ * Add a route file - fails (error.status 409) when the name is taken
+ * @returns {Promise<Object>} The new file's entry, as in fetchRouteList()
+ */
+function createRouteFile(name, data) {
+    return callRouteApi('', sendJson('POST', { name, data }));
+}
+
+/**
+ * Write a route file, creating it if there is none by that name
+ * @returns {Promise<Object>} The file's entry
+ */
+function saveRouteFile(name, data) {
+    return callRouteApi(`/${encodeURIComponent(name)}`, sendJson('PUT', { data }));
+}
+
+/**
+ * Rename a route file - fails (error.status 409) when the new name is taken
+ * @returns {Promise<Object>} The file's entry under its new name
+ */
+function renameRouteFile(name, newName) {
+    return callRouteApi(`/${encodeURIComponent(name)}`, sendJson('PUT', { name: newName }));
+}
+
+function deleteRouteFile(name) {
+    return callRouteApi(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+}
+
+/**
+ * Load the GPX track a route references ("gpx": "hike.gpx") from the routes directory
+ * @param {string} gpx - Path relative to the routes directory, or an http(s) URL
+ * @returns {Promise<Object>} The parsed track (see parseGpx in gpx.js)
+ * @throws {Error} When the track is missing or isn't GPX
+ */
+async function fetchRouteTrack(gpx) {
+    if (/^(\/|[a-z]:[\\/])/i.test(gpx)) {
+        throw new Error(`GPX track ${gpx} is an absolute path - only the CLI can read it. Put the track in the routes directory and reference it relative to it.`);
+    }
+    const url = /^https?:\/\//i.test(gpx) ? gpx : `/routes/${gpx.split('/').map(encodeURIComponent).join('/')}`;
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (e) {
+        throw new Error(`Could not load GPX track ${gpx} (${e.message})`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not load GPX track ${gpx} (HTTP ${response.status}) - it should be in the routes directory`);
+    }
+
+    try {
+        return parseGpx(await response.text());
+    } catch (e) {
+        throw new Error(`GPX track ${gpx}: ${e.message}`);
+    }
+}
+
+export {
+    ROUTE_NAME_PATTERN,
+    routeNameFromTitle,
+    fetchRouteList,
+    fetchRouteFile,
+    createRouteFile,
+    saveRouteFile,
+    renameRouteFile,
+    deleteRouteFile,
+    fetchRouteTrack
+};
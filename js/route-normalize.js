@@ -0,0 +1,351 @@
+/**
+ * Route Normaliser
+ * Upgrades older route files to the current schema version and fills in the
+ * defaults every tool uses, then derives the animation timeline from them.
+ *
+ * The editor, the recorder, server.js and the CLI renderers all load routes
+ * through normalizeRoute() and time them with createTimeline(), so the same
+ * file gives the same video length everywhere.
+ *
+ * Each segment's screen time comes from its real length and travel mode - the
+ * time the trip would take, sped up (a 20 km drive and a 300 m walk no longer
+ * get similar time just because their routes have similar point counts).
+ * `stop.duration` overrides it; the route is clamped to `animation.duration`.
+ */
+
+import { TRAVEL_MODE_PROFILES } from './routing.js';
+
+const ROUTE_SCHEMA_VERSION = 2;
+
+// Defaults for the `animation` block
+const DEFAULT_ANIMATION = {
+    duration: 25000,        // longest time spent drawing the route in ms (pauses, title and end card come on top)
+    lineColor: '#8B4513',
+    lineWidth: 4,
+    useSmoothing: true
+};
+
+// Fixed phases around the route drawing (ms)
+const PHASE_DURATIONS = {
+    title: 3000,
+    pan: 2500,
+    end: 2000,
+    credits: 3000           // only with an end-card attribution (see DEFAULT_ATTRIBUTION)
+};
+
+// Map credits - tile providers' licences (OpenStreetMap, CARTO, ...) ask for them
+// mode: 'overlay' keeps the attribution in a corner of every frame, 'end-card' adds
+// a credits screen after the end phase, 'both' does both, 'off' leaves them out
+const ATTRIBUTION_MODES = ['overlay', 'end-card', 'both', 'off'];
+const ATTRIBUTION_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const ATTRIBUTION_STYLES = ['parchment', 'light', 'dark', 'plain'];
+
+// Defaults for the `attribution` block
+const DEFAULT_ATTRIBUTION = {
+    mode: 'overlay',
+    position: 'bottom-right',
+    style: 'parchment',
+    fade: 1000              // ms the overlay takes to fade in at the start
+};
+
+// Pause at each stop when none is given (seconds, as in route files)
+const DEFAULT_PAUSE = 0.5;
+
+// Travel speed (km/h) and how much faster than real time it is drawn, by
+// routing profile (TRAVEL_MODE_PROFILES) - 1 km takes 1.5s driving, 90s walking
+const TRAVEL_SPEEDS = {
+    car: { speed: 60, compression: 40 },
+    bike: { speed: 18, compression: 20 },
+    foot: { speed: 5, compression: 8 },
+    hike: { speed: 4, compression: 8 },
+    direct: { speed: 60, compression: 40 }
+};
+
+// Shortest time for a segment timed by distance (ms), so short hops stay visible
+const MIN_SEGMENT_DURATION = 1000;
+
+/**
+ * Migrations, applied in order to routes below their `version`.
+ * Each one mutates the (copied) route and pushes a readable note per change.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        migrate(route, changes) {
+            // The editor wrote `totalDuration`, hand-written files and the recorder used `duration`
+            const animation = route.animation;
+            if (animation && animation.totalDuration !== undefined) {
+                if (animation.duration === undefined) {
+                    animation.duration = animation.totalDuration;
+                    changes.push(`animation.totalDuration renamed to animation.duration (${animation.duration}ms)`);
+                } else if (animation.duration !== animation.totalDuration) {
+                    changes.push(`animation.totalDuration (${animation.totalDuration}ms) dropped - keeping animation.duration (${animation.duration}ms)`);
+                } else {
+                    changes.push('animation.totalDuration dropped - same as animation.duration');
+                }
+                delete animation.totalDuration;
+            }
+
+            // The editor offered a 'motorcycle' icon that no renderer knows
+            (route.stops || []).forEach((stop, index) => {
+                if (stop?.icon === 'motorcycle') {
+                    stop.icon = 'bike';
+                    changes.push(`stops[${index}].icon 'motorcycle' changed to 'bike'`);
+                }
+            });
+        }
+    }
+];
+
+/**
+ * Upgrade a route to ROUTE_SCHEMA_VERSION
+ * Files without `schemaVersion` are version 1.
+ * @param {Object} route - Parsed route file (not modified)
+ * @returns {Object} { route, fromVersion, changes: [string] }
+ */
+function migrateRoute(route) {
+    const migrated = JSON.parse(JSON.stringify(route));
+    const fromVersion = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 1;
+    const changes = [];
+
+    // Newer files are left alone - validation reports them
+    if (fromVersion > ROUTE_SCHEMA_VERSION) {
+        return { route: migrated, fromVersion, changes };
+    }
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => migration.migrate(migrated, changes));
+
+    // Keep schemaVersion first so it's visible at the top of saved files
+    const { schemaVersion, ...rest } = migrated;
+    return {
+        route: { schemaVersion: ROUTE_SCHEMA_VERSION, ...rest },
+        fromVersion,
+        changes
+    };
+}
+
+/**
+ * Migrate a route and fill in animation defaults
+ * Filling in defaults isn't a change - a file that leaves them out is up to date.
+ * @param {Object} route - Parsed route file (not modified)
+ * @returns {Object} { route, changes: [string] } - changes is empty for an up-to-date file
+ */
+function normalizeRoute(route) {
+    const { route: normalized, changes } = migrateRoute(route);
+
+    if (!normalized.animation || typeof normalized.animation !== 'object') {
+        normalized.animation = {};
+    }
+    normalized.animation = { ...DEFAULT_ANIMATION, ...normalized.animation };
+
+    return { route: normalized, changes };
+}
+
+/**
+ * Map credits for a route
+ * @param {Object} route - Route with an optional `attribution` block
+ * @param {Object} tileLayer - The layer it is drawn on (js/tile-layers.js) - its attribution is the default text
+ * @returns {Object} { mode, position, style, fade, text } - text may be '' (nothing to show)
+ */
+function getAttribution(route, tileLayer) {
+    const attribution = { ...DEFAULT_ATTRIBUTION, ...route?.attribution };
+    return { ...attribution, text: attribution.text ?? tileLayer?.options?.attribution ?? '' };
+}
+
+/**
+ * Pause after each segment in seconds - DEFAULT_PAUSE when it isn't set, as in
+ * route-resolver.js (0 is no pause)
+ * @param {Array} routeSegments - [{ pause }]
+ * @returns {Array<number>}
+ */
+function getSegmentPauses(routeSegments) {
+    return routeSegments.map(seg => seg.pause ?? DEFAULT_PAUSE);
+}
+
+/**
+ * Length of a line in km (haversine)
+ * @param {Array} coordinates - [[lat, lng], ...]
+ * @returns {number}
+ */
+function getLineDistance(coordinates) {
+    const toRad = deg => deg * Math.PI / 180;
+    let distance = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        const [lat1, lng1] = coordinates[i - 1];
+        const [lat2, lng2] = coordinates[i];
+        const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+        distance += 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+    return distance;
+}
+
+/**
+ * Time spent drawing each segment in ms (pauses not included)
+ * A segment's `duration` (seconds, from its stop) is used as given; the others
+ * are timed by distance and TRAVEL_SPEEDS. When the total is over maxDuration
+ * the distance-timed segments are shortened; if the given durations alone are
+ * too long, every segment is.
+ * @param {Array} routeSegments - [{ coordinates, travelMode, duration }]
+ * @param {number} maxDuration - Longest route drawing time in ms
+ * @returns {Array<number>}
+ */
+function getSegmentDurations(routeSegments, maxDuration = DEFAULT_ANIMATION.duration) {
+    const fixed = routeSegments.map(seg => seg.duration > 0 ? seg.duration * 1000 : null);
+    const timed = routeSegments.map((seg, i) => {
+        if (fixed[i] !== null) return 0;
+        const { speed, compression } = TRAVEL_SPEEDS[TRAVEL_MODE_PROFILES[seg.travelMode]] || TRAVEL_SPEEDS.direct;
+        const realMs = getLineDistance(seg.coordinates || []) / speed * 3600 * 1000;
+        return Math.max(MIN_SEGMENT_DURATION, realMs / compression);
+    });
+
+    const fixedTotal = fixed.reduce((sum, d) => sum + (d || 0), 0);
+    const timedTotal = timed.reduce((sum, d) => sum + d, 0);
+
+    let fixedScale = 1, timedScale = 1;
+    if (fixedTotal + timedTotal > maxDuration) {
+        if (fixedTotal < maxDuration) {
+            timedScale = (maxDuration - fixedTotal) / timedTotal;
+        } else {
+            fixedScale = timedScale = maxDuration / (fixedTotal + timedTotal);
+        }
+    }
+
+    return routeSegments.map((seg, i) => Math.round(fixed[i] !== null ? fixed[i] * fixedScale : timed[i] * timedScale));
+}
+
+/**
+ * Build the animation timeline for a normalised route
+ * @param {Object} route - Normalised route (only `animation.duration` and `attribution.mode` are read)
+ * @param {Array} routeSegments - Processed segments (for distances, travel modes, durations and pauses)
+ * @returns {Object} Durations in ms: { title, pan, route, pauses, end, credits, total, segments, segmentPauses, phases: [{ name, start, duration }] }
+ *   The 'route' phase includes the pauses - each segment is drawn, then its pause is held
+ *   (segments/segmentPauses per segment). A 'credits' phase follows 'end' when the
+ *   attribution mode has an end card; credits is 0 otherwise.
+ */
+function createTimeline(route, routeSegments) {
+    const segments = getSegmentDurations(routeSegments, route?.animation?.duration || DEFAULT_ANIMATION.duration);
+    const routeDuration = segments.reduce((sum, d) => sum + d, 0);
+    const segmentPauses = getSegmentPauses(routeSegments).map(p => p * 1000);
+    const pauses = segmentPauses.reduce((sum, p) => sum + p, 0);
+    const { mode } = getAttribution(route);
+    const credits = mode === 'end-card' || mode === 'both' ? PHASE_DURATIONS.credits : 0;
+
+    const phaseDurations = [
+        ['title', PHASE_DURATIONS.title],
+        ['pan', PHASE_DURATIONS.pan],
+        ['route', routeDuration + pauses],
+        ['end', PHASE_DURATIONS.end]
+    ];
+    if (credits) phaseDurations.push(['credits', credits]);
+
+    const phases = [];
+    let start = 0;
+    phaseDurations.forEach(([name, duration]) => {
+        phases.push({ name, start, duration });
+        start += duration;
+    });
+
+    return {
+        title: PHASE_DURATIONS.title,
+        pan: PHASE_DURATIONS.pan,
+        route: routeDuration,
+        pauses,
+        end: PHASE_DURATIONS.end,
+        credits,
+        total: start,
+        segments,
+        segmentPauses,
+        phases
+    };
+}
+
+/**
+ * Where the animation is at a point in time - the same for every frame rate
+ * and however the frames before it were rendered
+ * @param {Object} timeline - From createTimeline()
+ * @param {number} ms - Time since the start of the video
+ * @returns {Object} { phase, phaseProgress, segmentIndex, paused }
+ *   phaseProgress is 0-1 within the phase; in the route phase it is the drawing
+ *   progress without pauses (what AnimationCore.renderFrame takes) and holds
+ *   still while paused after segmentIndex. segmentIndex is null outside the route phase.
+ */
+function getTimelinePosition(timeline, ms) {
+    const { phases } = timeline;
+    const phase = phases.find(p => ms < p.start + p.duration) || phases[phases.length - 1];
+    const t = Math.min(phase.duration, Math.max(0, ms - phase.start));
+
+    if (phase.name !== 'route') {
+        return { phase: phase.name, phaseProgress: phase.duration > 0 ? t / phase.duration : 1, segmentIndex: null, paused: false };
+    }
+
+    // Segment i is drawn, then paused after
+    const progressAt = drawn => timeline.route > 0 ? drawn / timeline.route : 1;
+    let elapsed = 0, drawn = 0;
+    for (let i = 0; i < timeline.segments.length; i++) {
+        const duration = timeline.segments[i];
+        if (t < elapsed + duration) {
+            return { phase: 'route', phaseProgress: progressAt(drawn + t - elapsed), segmentIndex: i, paused: false };
+        }
+        elapsed += duration;
+        drawn += duration;
+
+        const pause = timeline.segmentPauses[i];
+        if (t < elapsed + pause) {
+            return { phase: 'route', phaseProgress: progressAt(drawn), segmentIndex: i, paused: true };
+        }
+        elapsed += pause;
+    }
+    return { phase: 'route', phaseProgress: 1, segmentIndex: timeline.segments.length - 1, paused: true };
+}
+
+/**
+ * Timeline position of every frame of a video
+ * @param {Object} timeline - From createTimeline()
+ * @param {number} fps
+ * @returns {Array} getTimelinePosition() at each frame's time - ceil(total × fps) frames
+ */
+function getFramePositions(timeline, fps) {
+    const totalFrames = Math.ceil(timeline.total / 1000 * fps);
+    return Array.from({ length: totalFrames }, (_, frame) => getTimelinePosition(timeline, frame * 1000 / fps));
+}
+
+/**
+ * When each segment starts and ends being drawn, and when its pause ends (ms since the start of the video)
+ * @param {Object} timeline - From createTimeline()
+ * @returns {Array} [{ start, end, pauseEnd }]
+ */
+function getSegmentTimes(timeline) {
+    let time = timeline.phases.find(p => p.name === 'route').start;
+    return timeline.segments.map((duration, i) => {
+        const start = time;
+        time += duration;
+        const end = time;
+        time += timeline.segmentPauses[i];
+        return { start, end, pauseEnd: time };
+    });
+}
+
+export {
+    ROUTE_SCHEMA_VERSION,
+    DEFAULT_ANIMATION,
+    PHASE_DURATIONS,
+    ATTRIBUTION_MODES,
+    ATTRIBUTION_POSITIONS,
+    ATTRIBUTION_STYLES,
+    DEFAULT_ATTRIBUTION,
+    DEFAULT_PAUSE,
+    TRAVEL_SPEEDS,
+    migrateRoute,
+    normalizeRoute,
+    getAttribution,
+    getSegmentPauses,
+    getLineDistance,
+    getSegmentDurations,
+    createTimeline,
+    getTimelinePosition,
+    getFramePositions,
+    getSegmentTimes
+};
@@ -0,0 +1,207 @@
+/**
+ * Route Resolver
+ * Turns a route file into animation segments: geocodes addresses, routes each
+ * stop (or uses its baked `geometry`), and can write the result back into the
+ * route as explicit per-stop geometry ("freeze"), so it renders the same years
+ * later without calling any API.
+ *
+ * The geocode/route functions are injected: the browser goes through server.js
+ * (createServerResolver), the CLI through the disk cache (lib/geo-cache.js).
+ */
+
+import { getStopRoutingOptions } from './routing.js';
+
+/**
+ * Call a server.js API
+ * @returns {Promise<Object|undefined>} { ok, data }, or undefined when the page isn't served by server.js
+ */
+async function callServerApi(url, init) {
+    try {
+        const response = await fetch(url, init);
+        if (!response.headers.get('content-type')?.includes('application/json')) return undefined;
+        return { ok: response.ok, data: await response.json() };
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Browser resolver: server.js's cached /api/geocode and /api/route, falling back
+ * to the providers directly when the server isn't there (e.g. `npm run dev`)
+ * @param {Object} geocoder - From createGeocoder() (geocoding.js)
+ * @param {Object} router - From createRouter() (routing.js)
+ * @returns {Object} { geocode(address), route(start, end, options) }
+ */
+function createServerResolver(geocoder, router) {
+    async function geocode(address) {
+        const api = await callServerApi(`/api/geocode?q=${encodeURIComponent(address)}`);
+        if (api) return api.ok ? api.data : null;
+        return geocoder.geocode(address);
+    }
+
+    async function route(start, end, options) {
+        const api = await callServerApi('/api/route', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ start, end, ...options })
+        });
+        if (api?.ok) return api.data;
+        return router.route(start, end, options);
+    }
+
+    return { geocode, route };
+}
+
+/**
+ * Resolve a route into segments
+ * @param {Object} data - Route file data (GPX reference already applied)
+ * @param {Object} resolver - { geocode(address) -> { coordinates } | null, route(start, end, options) -> { coordinates, provider } }
+ * @param {Object} logger - console-like object
+ * @returns {Promise<Object>} { segments, start: [lat, lng] | null, stops: [{ coordinates, geometry, provider, fallback } | null] }
+ *   `stops` is parallel to data.stops - null for a stop that couldn't be geocoded (it gets no segment).
+ *   provider is null for baked geometry; fallback is true when the routed geometry didn't come from the first choice.
+ */
+async function resolveRoute(data, resolver, logger = console) {
+    const segments = [];
+    const stops = [];
+
+    let startCoords = data.start?.coordinates || data.stops?.[0]?.geometry?.[0];
+    if (!startCoords && data.start?.address) {
+        startCoords = (await resolver.geocode(data.start.address))?.coordinates;
+    }
+    if (!startCoords) return { segments, start: null, stops };
+
+    let prevCoords = startCoords;
+    let prevLabel = data.start?.label || 'START';
+
+    for (const stop of (data.stops || [])) {
+        let stopCoords = stop.coordinates || stop.geometry?.[stop.geometry.length - 1];
+        if (!stopCoords && stop.address) {
+            stopCoords = (await resolver.geocode(stop.address))?.coordinates;
+        }
+        if (!stopCoords) {
+            logger.warn(`Could not locate stop "${stop.label || stop.address}" - skipped`);
+            stops.push(null);
+            continue;
+        }
+
+        let routeCoords;
+        let provider = null;
+        let fallback = false;
+        const travelMode = stop.travelMode || 'walk';
+
+        // Baked/recorded geometry - use as-is, no routing
+        if (stop.geometry?.length > 1) {
+            routeCoords = stop.geometry;
+        } else {
+            const routing = getStopRoutingOptions(data, { ...stop, travelMode });
+            const result = await resolver.route(prevCoords, stopCoords, routing);
+            routeCoords = result.coordinates;
+            provider = result.provider;
+            fallback = Boolean(result.fallback);
+            const via = routing.viaPoints.length > 0 ? ` via ${routing.viaPoints.length} point${routing.viaPoints.length === 1 ? '' : 's'}` : '';
+            logger.log(`Route for ${stop.label}${via} (${result.provider}${result.cached ? ', cached' : ''}${result.fallback ? ', fallback' : ''}): ${routeCoords.length} points`);
+        }
+
+        segments.push({
+            coordinates: routeCoords,
+            fromLabel: prevLabel,
+            toLabel: stop.label || '',
+            travelMode: travelMode,
+            icon: stop.icon || 'person',
+            zoomLevel: stop.zoomLevel || null,
+            pause: stop.pause ?? 0.5,
+            duration: stop.duration ?? null
+        });
+        stops.push({ coordinates: stopCoords, geometry: routeCoords, provider, fallback });
+
+        prevCoords = stopCoords;
+        prevLabel = stop.label || '';
+    }
+
+    return { segments, start: startCoords, stops };
+}
+
+/**
+ * Stops whose geometry came from a fallback provider - an outage while resolving,
+ * not the way the stop should be routed. A `direct` stop's straight line is meant.
+ * @param {Object} data - Route file data
+ * @param {Object} resolved - From resolveRoute()
+ * @returns {Array} [{ index, label, provider }]
+ */
+function findFallbackStops(data, resolved) {
+    return (data.stops || [])
+        .map((stop, index) => ({ stop, index, resolvedStop: resolved.stops[index] }))
+        .filter(({ stop, resolvedStop }) => resolvedStop?.fallback && stop.travelMode !== 'direct')
+        .map(({ stop, index, resolvedStop }) => ({ index, label: stop.label || stop.address || '', provider: resolvedStop.provider }));
+}
+
+function describeFallback(provider) {
+    return provider === 'straight' ? 'a straight line (every routing provider failed)' : `fallback provider ${provider}`;
+}
+
+/**
+ * Bake a resolved route into the route data
+ * Addresses are kept for reference; coordinates and geometry become explicit.
+ * Frozen geometry is never routed again, so fallback geometry (findFallbackStops)
+ * is refused unless allowFallback is set.
+ * @param {Object} data - Route file data (not modified)
+ * @param {Object} resolved - From resolveRoute()
+ * @param {Object} options - { allowFallback: bake fallback geometry too (default: false) }
+ * @returns {Object} { route, changes: [string] }
+ * @throws {Error} When the start or any stop couldn't be resolved, or was routed by a fallback
+ */
+function freezeRoute(data, resolved, { allowFallback = false } = {}) {
+    const unresolved = (data.stops || [])
+        .map((stop, index) => resolved.stops[index] ? null : `stops[${index}] "${stop.label || stop.address || ''}"`)
+        .filter(Boolean);
+    if (!resolved.start) unresolved.unshift('start');
+    if (unresolved.length) {
+        throw new Error(`Could not resolve ${unresolved.join(', ')}`);
+    }
+
+    const fallbackStops = findFallbackStops(data, resolved);
+    if (fallbackStops.length && !allowFallback) {
+        const list = fallbackStops.map(({ index, label, provider }) => `stops[${index}] "${label}": ${describeFallback(provider)}`);
+        throw new Error(`Routing failed for ${list.join(', ')} - try again later, or freeze with --allow-fallback`);
+    }
+    const fallbackIndexes = new Map(fallbackStops.map(({ index, provider }) => [index, provider]));
+
+    const route = JSON.parse(JSON.stringify(data));
+    const changes = [];
+
+    if (!route.start.coordinates) {
+        route.start.coordinates = resolved.start;
+        changes.push(`start: geocoded "${route.start.address}"`);
+    }
+
+    route.stops.forEach((stop, index) => {
+        const { coordinates, geometry } = resolved.stops[index];
+        if (!stop.coordinates) {
+            changes.push(`stops[${index}]: geocoded "${stop.address}"`);
+        }
+        if (fallbackIndexes.has(index)) {
+            changes.push(`stops[${index}]: baked ${geometry.length} points from ${describeFallback(fallbackIndexes.get(index))} - it won't be routed again`);
+        } else if (!(stop.geometry?.length > 1)) {
+            changes.push(`stops[${index}]: baked ${geometry.length} points`);
+        }
+        stop.coordinates = coordinates;
+        stop.geometry = geometry;
+    });
+
+    // The track is baked into the stops now - re-applying it would overwrite hand edits
+    if (route.gpx) {
+        changes.push(`gpx: "${route.gpx}" no longer needed - removed`);
+        delete route.gpx;
+    }
+
+    return { route, changes };
+}
+
+export {
+    callServerApi,
+    createServerResolver,
+    resolveRoute,
+    findFallbackStops,
+    freezeRoute
+};
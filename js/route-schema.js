@@ -0,0 +1,329 @@
+/**
+ * Route File Schema
+ * JSON Schema for route files (destinations.json etc.) plus a small validator
+ * that turns problems into readable, path-specific messages:
+ *
+ *   stops[2].coordinates latitude out of range (190)
+ *   stops[0].icon 'bicycle' is not one of bike/car/person/backpacker/none
+ *
+ * Shared by server.js (/api/record), animate.js, animate-frames.js, the editor
+ * and the recorder. Only the schema keywords used below are supported.
+ *
+ * Describes the current schema version - run routes through normalizeRoute()
+ * (route-normalize.js) first so older files are upgraded before validation.
+ */
+
+import { ROUTE_SCHEMA_VERSION, ATTRIBUTION_MODES, ATTRIBUTION_POSITIONS, ATTRIBUTION_STYLES } from './route-normalize.js';
+
+const TRAVEL_MODES = ['driving', 'car', 'cycling', 'bike', 'walking', 'walk', 'foot', 'feet', 'hike', 'direct'];
+const ICONS = ['bike', 'car', 'person', 'backpacker', 'none'];
+const ROUTING_PROVIDERS = ['graphhopper', 'osrm', 'valhalla', 'straight'];
+
+// [lat, lng] pair - range checks are done by the 'latlng' format below
+const COORDINATE = {
+    type: 'array',
+    format: 'latlng',
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2
+};
+
+const LINE = {
+    type: 'array',
+    items: COORDINATE,
+    minItems: 2
+};
+
+const ZOOM_LEVEL = { type: 'number', minimum: 1, maximum: 20 };
+const PAUSE = { type: 'number', minimum: 0, maximum: 60 };
+const DURATION = { type: 'number', minimum: 0.1, maximum: 600 };
+const LABEL = { type: ['string', 'null'] };
+const ROUTING = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        provider: { type: 'string', enum: ROUTING_PROVIDERS }
+    }
+};
+
+const ROUTE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'map-animation/route.schema.json',
+    title: 'Map animation route',
+    type: 'object',
+    required: ['start', 'stops'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        schemaVersion: { type: 'integer', minimum: 1 },
+        _filename: { type: 'string' },
+        title: { type: 'string' },
+        date: { type: 'string' },
+        gpx: { type: 'string' },
+        tile: { type: 'string', pattern: '^[a-zA-Z0-9][a-zA-Z0-9_-]*$' },
+        routing: ROUTING,
+        start: {
+            type: 'object',
+            additionalProperties: false,
+            anyOf: [{ required: ['coordinates'] }, { required: ['address'] }],
+            errorMessage: 'needs either coordinates or address',
+            properties: {
+                address: { type: 'string' },
+                coordinates: COORDINATE,
+                label: LABEL,
+                zoomLevel: ZOOM_LEVEL,
+                pause: PAUSE
+            }
+        },
+        stops: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                anyOf: [{ required: ['coordinates'] }, { required: ['address'] }, { required: ['geometry'] }],
+                errorMessage: 'needs coordinates, address or geometry',
+                properties: {
+                    address: { type: 'string' },
+                    coordinates: COORDINATE,
+                    geometry: LINE,
+                    viaPoints: { type: 'array', items: COORDINATE },
+                    label: LABEL,
+                    travelMode: { type: 'string', enum: TRAVEL_MODES },
+                    icon: { type: 'string', enum: ICONS },
+                    zoomLevel: ZOOM_LEVEL,
+                    pause: PAUSE,
+                    duration: DURATION,
+                    showAlternatives: { type: 'boolean' },
+                    routing: ROUTING
+                }
+            }
+        },
+        animation: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                duration: { type: 'integer', minimum: 1000, maximum: 600000 },
+                lineColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+                lineWidth: { type: 'number', minimum: 1, maximum: 20 },
+                useSmoothing: { type: 'boolean' }
+            }
+        },
+        attribution: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                mode: { type: 'string', enum: ATTRIBUTION_MODES },
+                text: { type: 'string' },
+                position: { type: 'string', enum: ATTRIBUTION_POSITIONS },
+                style: { type: 'string', enum: ATTRIBUTION_STYLES },
+                fade: { type: 'number', minimum: 0, maximum: 10000 }
+            }
+        }
+    }
+};
+
+// Segments as posted to /api/record (output of processRouteData)
+const SEGMENTS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['coordinates'],
+        properties: {
+            coordinates: LINE,
+            fromLabel: LABEL,
+            toLabel: LABEL,
+            travelMode: { type: 'string', enum: TRAVEL_MODES },
+            icon: { type: 'string', enum: ICONS },
+            zoomLevel: { type: ['number', 'null'], minimum: 1, maximum: 20 },
+            pause: PAUSE,
+            duration: { ...DURATION, type: ['number', 'null'] }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a [lat, lng] pair, including the common [lng, lat] mix-up
+ */
+function checkLatLng(value, path, report) {
+    const [lat, lng] = value;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return;
+
+    const latOk = lat >= -90 && lat <= 90;
+    const lngOk = lng >= -180 && lng <= 180;
+    const looksSwapped = !latOk && lngOk && Math.abs(lng) <= 90;
+
+    if (!latOk) {
+        report.error(path, `latitude out of range (${lat})${looksSwapped ? ' - looks like [lng, lat], expected [lat, lng]' : ''}`);
+    }
+    if (!lngOk) {
+        report.error(path, `longitude out of range (${lng})`);
+    }
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors and warnings
+ */
+function validateNode(value, schema, path, report) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            report.error(path, `should be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report.error(path, `'${value}' is not one of ${schema.enum.join('/')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report.error(path, `should be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report.error(path, `should be at most ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report.error(path, `'${value}' does not match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report.error(path, `should have at least ${schema.minItems} item(s), got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            report.error(path, `should have at most ${schema.maxItems} item(s), got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), report));
+        }
+        if (schema.format === 'latlng' && value.length === 2) {
+            checkLatLng(value, path, report);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) report.error(joinPath(path, key), 'is required');
+        });
+
+        if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(key => value[key] !== undefined))) {
+            report.error(path || 'route', schema.errorMessage || 'does not match any allowed shape');
+        }
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                validateNode(value[key], propertySchema, joinPath(path, key), report);
+            } else if (schema.additionalProperties === false) {
+                report.warning(joinPath(path, key), 'is not a known property and will be ignored');
+            }
+        });
+    }
+}
+
+function createReport() {
+    const errors = [];
+    const warnings = [];
+    const entry = (path, message) => ({ path, message, toString: () => `${path} ${message}` });
+    return {
+        errors,
+        warnings,
+        error: (path, message) => errors.push(entry(path, message)),
+        warning: (path, message) => warnings.push(entry(path, message))
+    };
+}
+
+/**
+ * Semantic checks that JSON Schema can't express
+ */
+function checkRouteSemantics(route, report) {
+    (route.stops || []).forEach((stop, index) => {
+        const path = `stops[${index}]`;
+        if (stop && typeof stop === 'object') {
+            if (!stop.travelMode && !stop.geometry) {
+                report.warning(`${path}.travelMode`, 'is missing - renderers fall back to different defaults');
+            }
+            if (stop.zoomLevel !== undefined && (stop.zoomLevel < 10 || stop.zoomLevel > 18)) {
+                report.warning(`${path}.zoomLevel`, `${stop.zoomLevel} is outside the usual 10-18 range`);
+            }
+        }
+    });
+
+    if (route.schemaVersion > ROUTE_SCHEMA_VERSION) {
+        report.error('schemaVersion', `${route.schemaVersion} was written by a newer version of the tools (this one reads up to ${ROUTE_SCHEMA_VERSION})`);
+    }
+}
+
+/**
+ * Validate route data (the contents of a route JSON file)
+ * @param {Object} route - Parsed route file
+ * @returns {Object} { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ *   Entries stringify to "<path> <message>"
+ */
+function validateRoute(route) {
+    const report = createReport();
+
+    if (typeOf(route) !== 'object') {
+        report.error('route', `should be an object, got ${typeOf(route)}`);
+    } else {
+        validateNode(route, ROUTE_SCHEMA, '', report);
+        checkRouteSemantics(route, report);
+    }
+
+    return { valid: report.errors.length === 0, errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Validate processed route segments (as sent to /api/record)
+ * @param {Array} routeSegments
+ * @returns {Object} { valid, errors, warnings }
+ */
+function validateRouteSegments(routeSegments) {
+    const report = createReport();
+    validateNode(routeSegments, SEGMENTS_SCHEMA, 'routeSegments', report);
+    return { valid: report.errors.length === 0, errors: report.errors, warnings: report.warnings };
+}
+
+/**
+ * Format a validation result as text, one problem per line
+ * @param {Object} result - From validateRoute / validateRouteSegments
+ * @returns {string} Empty string when there is nothing to report
+ */
+function formatValidationReport(result) {
+    return [
+        ...result.errors.map(e => `✗ ${e}`),
+        ...result.warnings.map(w => `⚠ ${w}`)
+    ].join('\n');
+}
+
+export {
+    ROUTE_SCHEMA,
+    TRAVEL_MODES,
+    ICONS,
+    ROUTING_PROVIDERS,
+    validateRoute,
+    validateRouteSegments,
+    formatValidationReport
+};
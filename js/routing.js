@@ -0,0 +1,294 @@
+/**
+ * Routing Providers
+ * One routing layer for the recorder (browser) and the CLI renderers (Node).
+ * Each provider turns [start, ...viaPoints, end] into a [[lat, lng], ...] line:
+ *
+ *   graphhopper - GraphHopper Directions API (needs an API key on graphhopper.com)
+ *   osrm        - OSRM (public demo server, or self-hosted e.g. in Docker)
+ *   valhalla    - Valhalla (public FOSSGIS server, or self-hosted)
+ *   straight    - Straight line, no network
+ *
+ * The provider is picked per stop (`stop.routing.provider`), per route
+ * (`route.routing.provider`) or by travel mode. Failed providers fall back to
+ * OSRM and finally a straight line. Base URLs come from routingConfigFromEnv().
+ */
+
+const DEFAULT_BASE_URLS = {
+    graphhopper: 'https://graphhopper.com/api/1',
+    osrm: 'https://router.project-osrm.org',
+    valhalla: 'https://valhalla1.openstreetmap.de'
+};
+
+// Points in a straight-line segment (enough for a smooth animation)
+const STRAIGHT_LINE_POINTS = 50;
+
+// travelMode -> profile category
+const TRAVEL_MODE_PROFILES = {
+    driving: 'car',
+    car: 'car',
+    cycling: 'bike',
+    bike: 'bike',
+    walking: 'foot',
+    walk: 'foot',
+    foot: 'foot',
+    feet: 'foot',
+    hike: 'hike'
+};
+
+/**
+ * Decode an encoded polyline (Valhalla uses precision 6)
+ * @param {string} encoded
+ * @param {number} precision
+ * @returns {Array} [[lat, lng], ...]
+ */
+function decodePolyline(encoded, precision = 6) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0, lat = 0, lng = 0;
+
+    while (index < encoded.length) {
+        const deltas = [];
+        for (let i = 0; i < 2; i++) {
+            let result = 0, shift = 0, byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+        }
+        lat += deltas[0];
+        lng += deltas[1];
+        coordinates.push([lat / factor, lng / factor]);
+    }
+
+    return coordinates;
+}
+
+/**
+ * Interpolated straight line through all points
+ * @param {Array} points - [[lat, lng], ...]
+ * @returns {Array} [[lat, lng], ...]
+ */
+function straightLine(points) {
+    const legs = points.length - 1;
+    const perLeg = Math.max(1, Math.round(STRAIGHT_LINE_POINTS / legs));
+    const coords = [points[0]];
+    for (let leg = 0; leg < legs; leg++) {
+        const [from, to] = [points[leg], points[leg + 1]];
+        for (let j = 1; j <= perLeg; j++) {
+            const t = j / perLeg;
+            coords.push([from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]);
+        }
+    }
+    return coords;
+}
+
+// Providers
+// route(points, profile, context) resolves to { coordinates, distance (m), duration (s) } or throws
+
+const PROVIDERS = {
+    graphhopper: {
+        // 'foot' is the free-tier profile that prefers paths/trails
+        profiles: { car: 'car', bike: 'bike', foot: 'foot', hike: 'foot' },
+        isAvailable: ({ baseUrl, apiKey }) => Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URLS.graphhopper,
+        async route(points, profile, { baseUrl, apiKey, fetch }) {
+            const pointsParam = points.map(p => `point=${p[0]},${p[1]}`).join('&');
+            const keyParam = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+            const response = await fetch(`${baseUrl}/route?${pointsParam}&profile=${profile}&points_encoded=false${keyParam}`);
+            const data = await response.json();
+            if (!data.paths?.length) throw new Error(data.message || 'No route found');
+            const path = data.paths[0];
+            return {
+                coordinates: path.points.coordinates.map(c => [c[1], c[0]]),
+                distance: path.distance,
+                duration: path.time / 1000
+            };
+        }
+    },
+
+    osrm: {
+        profiles: { car: 'driving', bike: 'cycling', foot: 'foot', hike: 'foot' },
+        async route(points, profile, { baseUrl, fetch }) {
+            const coordsString = points.map(p => `${p[1]},${p[0]}`).join(';');
+            const response = await fetch(`${baseUrl}/route/v1/${profile}/${coordsString}?overview=full&geometries=geojson`);
+            const data = await response.json();
+            if (!data.routes?.length) throw new Error(data.message || data.code || 'No route found');
+            const route = data.routes[0];
+            return {
+                coordinates: route.geometry.coordinates.map(c => [c[1], c[0]]),
+                distance: route.distance,
+                duration: route.duration
+            };
+        }
+    },
+
+    valhalla: {
+        profiles: { car: 'auto', bike: 'bicycle', foot: 'pedestrian', hike: 'pedestrian' },
+        async route(points, profile, { baseUrl, fetch }) {
+            const request = {
+                locations: points.map(([lat, lon]) => ({ lat, lon })),
+                costing: profile,
+                units: 'kilometers'
+            };
+            const response = await fetch(`${baseUrl}/route?json=${encodeURIComponent(JSON.stringify(request))}`);
+            const data = await response.json();
+            if (!data.trip?.legs?.length) throw new Error(data.error || 'No route found');
+            const coordinates = data.trip.legs.flatMap((leg, i) => {
+                const shape = decodePolyline(leg.shape, 6);
+                return i === 0 ? shape : shape.slice(1);
+            });
+            return {
+                coordinates,
+                distance: data.trip.summary.length * 1000,
+                duration: data.trip.summary.time
+            };
+        }
+    },
+
+    straight: {
+        profiles: {},
+        async route(points) {
+            return { coordinates: straightLine(points) };
+        }
+    }
+};
+
+/**
+ * Register (or replace) a provider
+ * @param {string} name
+ * @param {Object} provider - { profiles: { car, bike, foot, hike }, route(points, profile, context), isAvailable?(context) }
+ */
+function registerProvider(name, provider) {
+    PROVIDERS[name] = provider;
+}
+
+/**
+ * Default provider for a travel mode when neither the stop nor the route picks one
+ */
+function defaultProviderFor(travelMode) {
+    if (travelMode === 'direct') return 'straight';
+    if (travelMode === 'hike') return 'graphhopper';
+    return 'osrm';
+}
+
+/**
+ * Read routing settings from environment variables
+ * Node: routingConfigFromEnv(process.env)
+ * Browser (Vite): routingConfigFromEnv(import.meta.env, 'VITE_')
+ * @param {Object} env
+ * @param {string} prefix - Prepended to every variable name
+ * @returns {Object} Config for createRouter()
+ */
+function routingConfigFromEnv(env = {}, prefix = '') {
+    const read = name => env[prefix + name] || undefined;
+    return {
+        provider: read('ROUTING_PROVIDER'),
+        apiKeys: { graphhopper: read('GRAPHHOPPER_API_KEY') },
+        baseUrls: {
+            graphhopper: read('GRAPHHOPPER_URL'),
+            osrm: read('OSRM_URL'),
+            valhalla: read('VALHALLA_URL')
+        }
+    };
+}
+
+/**
+ * Routing options for one stop - the stop's provider wins over the route's
+ * @param {Object} route - Route file data
+ * @param {Object} stop - One of route.stops
+ * @returns {Object} { travelMode, viaPoints, provider }
+ */
+function getStopRoutingOptions(route, stop) {
+    return {
+        travelMode: stop.travelMode,
+        viaPoints: stop.viaPoints || [],
+        provider: stop.routing?.provider || (stop.travelMode === 'direct' ? null : route?.routing?.provider) || null
+    };
+}
+
+/**
+ * Create a router
+ * @param {Object} config
+ * @param {string} config.provider - Default provider for every travel mode (optional)
+ * @param {Object} config.baseUrls - { graphhopper, osrm, valhalla } overrides
+ * @param {Object} config.apiKeys - { graphhopper }
+ * @param {Array<string>} config.fallback - Providers to try after the chosen one fails (default ['osrm'])
+ * @param {Function} config.fetch - fetch implementation (default: global fetch)
+ * @param {Object} config.logger - console-like object
+ * @returns {Object} { route(start, end, options) }
+ */
+function createRouter(config = {}) {
+    const {
+        provider: defaultProvider,
+        baseUrls = {},
+        apiKeys = {},
+        fallback = ['osrm'],
+        fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+        logger = console
+    } = config;
+
+    const contextFor = name => ({
+        baseUrl: (baseUrls[name] || DEFAULT_BASE_URLS[name] || '').replace(/\/$/, ''),
+        apiKey: apiKeys[name],
+        fetch: fetchImpl
+    });
+
+    /**
+     * Route from start to end
+     * @param {Array} start - [lat, lng]
+     * @param {Array} end - [lat, lng]
+     * @param {Object} options - { travelMode, viaPoints, provider }
+     * @returns {Promise<Object>} { coordinates, provider, distance, duration, fallback }
+     *   fallback is true when the first choice failed. Never rejects - the last resort is a straight line.
+     */
+    async function route(start, end, options = {}) {
+        const { travelMode = 'walking', viaPoints = [] } = options;
+        const points = [start, ...viaPoints, end];
+        const category = TRAVEL_MODE_PROFILES[travelMode] || 'foot';
+
+        const first = options.provider || (travelMode !== 'direct' && defaultProvider) || defaultProviderFor(travelMode);
+        const chain = [...new Set([first, ...(first === 'straight' ? [] : fallback), 'straight'])];
+
+        for (const name of chain) {
+            const provider = PROVIDERS[name];
+            if (!provider) {
+                logger.warn(`  ✗ Unknown routing provider "${name}"`);
+                continue;
+            }
+
+            const context = contextFor(name);
+            if (provider.isAvailable && !provider.isAvailable(context)) {
+                logger.warn(`  ✗ ${name}: not configured (no API key) - skipping`);
+                continue;
+            }
+
+            try {
+                const profile = provider.profiles[category] || category;
+                const result = await provider.route(points, profile, context);
+                if (result.coordinates?.length > 1) {
+                    return { ...result, provider: name, fallback: name !== first };
+                }
+                throw new Error('Empty route');
+            } catch (error) {
+                logger.warn(`  ✗ ${name} routing failed: ${error.message}`);
+            }
+        }
+
+        return { coordinates: straightLine(points), provider: 'straight', fallback: true };
+    }
+
+    return { route };
+}
+
+export {
+    DEFAULT_BASE_URLS,
+    TRAVEL_MODE_PROFILES,
+    createRouter,
+    registerProvider,
+    routingConfigFromEnv,
+    getStopRoutingOptions,
+    defaultProviderFor,
+    decodePolyline,
+    straightLine
+};
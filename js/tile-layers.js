@@ -0,0 +1,186 @@
+/**
+ * Tile Layers
+ * The map styles every tool can draw on - one registry for server.js, the CLI
+ * renderers, the recorder and the editor, so a layer works the same everywhere.
+ *
+ * A layer is what L.tileLayer() takes, plus a label for menus:
+ *   { label, url, options: { minZoom, maxZoom, subdomains, attribution } }
+ *
+ * User-defined layers (tile-layers.json, read by lib/load-tile-layers.js) go
+ * through defineTileLayer(), which also turns a WMTS service into a URL template.
+ * In the browser, fetchTileLayers() gets the full list from server.js.
+ */
+
+const OSM = '© OpenStreetMap contributors';
+const CARTO = `© CARTO ${OSM}`;
+
+const TILE_LAYERS = {
+    osm: {
+        label: 'OpenStreetMap',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: { maxZoom: 19, attribution: OSM }
+    },
+    watercolor: {
+        // Stamen Watercolor hosted by Smithsonian
+        label: 'Watercolor',
+        url: 'https://watercolormaps.collection.cooperhewitt.org/tile/watercolor/{z}/{x}/{y}.jpg',
+        options: { minZoom: 1, maxZoom: 15, attribution: `© Stamen Design ${OSM}` }
+    },
+    terrain: {
+        label: 'Terrain',
+        url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png',
+        options: { maxZoom: 17, attribution: `© OpenTopoMap (CC-BY-SA) ${OSM}` }
+    },
+    toner: {
+        label: 'Light',
+        url: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    'toner-nolabels': {
+        label: 'Light (no labels)',
+        url: 'https://a.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    dark: {
+        label: 'Dark',
+        url: 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    'dark-nolabels': {
+        label: 'Dark (no labels)',
+        url: 'https://a.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    voyager: {
+        label: 'Voyager',
+        url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    'voyager-nolabels': {
+        label: 'Voyager (no labels)',
+        url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager_nolabels/{z}/{x}/{y}.png',
+        options: { maxZoom: 20, attribution: CARTO }
+    },
+    humanitarian: {
+        label: 'Humanitarian',
+        url: 'https://a.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png',
+        options: { maxZoom: 19, attribution: `© Humanitarian OpenStreetMap Team ${OSM}` }
+    }
+};
+
+const DEFAULT_TILE_LAYER = 'osm';
+
+// Layer names end up in URLs (/tiles/<name>/...) and cache directory names
+const TILE_LAYER_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const TILE_LAYER_TYPES = ['xyz', 'wmts'];
+
+/**
+ * WMTS GetTile URL as an XYZ template. Only web mercator tile matrix sets
+ * (GoogleMapsCompatible, EPSG:3857) line up with the map.
+ * A RESTful template ({TileMatrix}/{TileRow}/{TileCol}) is filled in; anything
+ * else is taken as the KVP endpoint.
+ */
+function wmtsTemplate({ url, layer, tileMatrixSet, style = 'default', format = 'image/png' }) {
+    if (url.includes('{TileMatrix}')) {
+        return url
+            .replace('{TileMatrix}', '{z}')
+            .replace('{TileRow}', '{y}')
+            .replace('{TileCol}', '{x}')
+            .replace('{Layer}', layer)
+            .replace('{Style}', style)
+            .replace('{TileMatrixSet}', tileMatrixSet);
+    }
+
+    const params = [
+        'SERVICE=WMTS', 'REQUEST=GetTile', 'VERSION=1.0.0',
+        `LAYER=${encodeURIComponent(layer)}`,
+        `STYLE=${encodeURIComponent(style)}`,
+        `TILEMATRIXSET=${encodeURIComponent(tileMatrixSet)}`,
+        `FORMAT=${encodeURIComponent(format)}`,
+        'TILEMATRIX={z}', 'TILEROW={y}', 'TILECOL={x}'
+    ];
+    return `${url}${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+/**
+ * Turn a user-defined layer into a registry entry
+ * @param {string} name - Layer name (letters, digits, - and _)
+ * @param {Object} definition - { type: 'xyz' | 'wmts', url, label, attribution, minZoom, maxZoom, subdomains },
+ *   WMTS layers also { layer, tileMatrixSet, style, format }
+ * @returns {Object} { label, url, options }
+ * @throws {Error} Naming the first problem with the definition
+ */
+function defineTileLayer(name, definition) {
+    if (!TILE_LAYER_NAME.test(name)) {
+        throw new Error(`${name}: layer names may only use letters, digits, - and _`);
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`${name}: must be an object`);
+    }
+
+    const { type = 'xyz', url, label = name, attribution = '', minZoom = 0, maxZoom = 19, subdomains } = definition;
+    if (!TILE_LAYER_TYPES.includes(type)) {
+        throw new Error(`${name}.type '${type}' is not one of ${TILE_LAYER_TYPES.join('/')}`);
+    }
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+        throw new Error(`${name}.url must be an http(s) URL`);
+    }
+    if (type === 'xyz' && !['{z}', '{x}', '{y}'].every(placeholder => url.includes(placeholder))) {
+        throw new Error(`${name}.url needs {z}, {x} and {y}`);
+    }
+    if (type === 'wmts') {
+        // A KVP request names both; a RESTful template only what it has a placeholder for
+        const restful = url.includes('{TileMatrix}');
+        for (const [key, placeholder] of [['layer', '{Layer}'], ['tileMatrixSet', '{TileMatrixSet}']]) {
+            if ((!restful || url.includes(placeholder)) && (typeof definition[key] !== 'string' || !definition[key])) {
+                throw new Error(`${name}.${key} is required for this WMTS layer`);
+            }
+        }
+    }
+    for (const [key, value] of [['minZoom', minZoom], ['maxZoom', maxZoom]]) {
+        if (!Number.isInteger(value) || value < 0 || value > 24) {
+            throw new Error(`${name}.${key} must be a whole number from 0 to 24`);
+        }
+    }
+    if (minZoom > maxZoom) {
+        throw new Error(`${name}.minZoom (${minZoom}) is above maxZoom (${maxZoom})`);
+    }
+    if (url.includes('{s}') && !subdomains) {
+        throw new Error(`${name}.url has {s} - list the subdomains (e.g. "abc")`);
+    }
+
+    const options = { minZoom, maxZoom, attribution: String(attribution) };
+    if (subdomains) options.subdomains = subdomains;
+    return {
+        label: String(label),
+        url: type === 'wmts' ? wmtsTemplate(definition) : url,
+        options
+    };
+}
+
+/**
+ * Every layer server.js knows, for the recorder and the editor (GET /api/tile-layers)
+ * Tiles come through the server's tile cache, so local basemaps and user-defined
+ * layers work too. Without the server (npm run dev) the built-in layers are used.
+ * @returns {Promise<Object>} Tile layers by name
+ */
+async function fetchTileLayers() {
+    try {
+        const response = await fetch('/api/tile-layers');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return (await response.json()).layers;
+    } catch (e) {
+        console.warn(`Tile layers from the server unavailable (${e.message}) - using the built-in ones`);
+        return TILE_LAYERS;
+    }
+}
+
+export {
+    TILE_LAYERS,
+    DEFAULT_TILE_LAYER,
+    TILE_LAYER_NAME,
+    TILE_LAYER_TYPES,
+    defineTileLayer,
+    fetchTileLayers
+};
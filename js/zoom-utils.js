@@ -120,12 +120,16 @@ function getCinematicCurve(progress) {
 }
 
 /**
- * Calculate segment progress thresholds based on coordinate counts
+ * Calculate segment progress thresholds
  * @param {Array} routeSegments - Array of route segments
+ * @param {Array} segmentDurations - Drawing time per segment (timeline.segments from createTimeline);
+ *   without it the thresholds follow coordinate counts
  * @returns {Array} Array of cumulative progress thresholds (0-1)
  */
-function calculateSegmentProgressThresholds(routeSegments) {
-    const segmentLengths = routeSegments.map(seg => seg.coordinates.length);
+function calculateSegmentProgressThresholds(routeSegments, segmentDurations = null) {
+    const segmentLengths = segmentDurations && segmentDurations.length === routeSegments.length
+        ? segmentDurations
+        : routeSegments.map(seg => seg.coordinates.length);
     const totalLength = segmentLengths.reduce((a, b) => a + b, 0);
     
     const thresholds = [];
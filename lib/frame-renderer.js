@@ -0,0 +1,311 @@
+/**
+ * Frame-Stepped Rendering
+ * Deterministic capture for animate-frames.js and server.js (mode 'frames'):
+ * every frame is rendered from its number alone - pauses included - and
+ * screenshotted, then ffmpeg encodes the PNGs. A video always has exactly
+ * timeline.total × fps frames, identical from run to run however loaded the
+ * machine is (unlike a real-time screencast).
+ *
+ * The page must have map.html initialised (initMap) and zoom-utils.js /
+ * animation-core.js injected before installFrameRenderer().
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+import { getFramePositions } from '../js/route-normalize.js';
+
+const DEFAULT_FPS = 30;
+
+// How long a frame waits for its tiles before it is captured anyway (ms)
+const DEFAULT_TILE_TIMEOUT = 5000;
+
+/**
+ * Frame numbers for each phase of a timeline, and where every frame is in it
+ * @param {Object} timeline - From createTimeline() (route-normalize.js)
+ * @param {number} fps
+ * @returns {Object} { fps, totalFrames, titleEndFrame, panEndFrame, routeEndFrame, timeline, positions }
+ *   positions[frame] is the frame's getTimelinePosition()
+ */
+function createFramePlan(timeline, fps = DEFAULT_FPS) {
+    const phaseEndFrame = name => {
+        const phase = timeline.phases.find(p => p.name === name);
+        return Math.floor((phase.start + phase.duration) / 1000 * fps);
+    };
+
+    const positions = getFramePositions(timeline, fps);
+    return {
+        fps,
+        totalFrames: positions.length,
+        titleEndFrame: phaseEndFrame('title'),
+        panEndFrame: phaseEndFrame('pan'),
+        routeEndFrame: phaseEndFrame('route'),
+        timeline,
+        positions
+    };
+}
+
+/**
+ * Install window.renderCinematicFrame(frameNumber) in the page
+ * A frame only depends on its number (see AnimationCore.renderFrame), so
+ * frames can be rendered in any order - pauses included. Each call returns
+ * where the animation is: { phase: 'title' | 'pan' | 'route' | 'end' | 'credits', segmentIndex, paused } -
+ * segmentIndex is the segment being drawn or paused after (route phase only, else null).
+ * @param {Object} page - Puppeteer page
+ * @param {Object} plan - From createFramePlan()
+ */
+async function installFrameRenderer(page, plan) {
+    await page.evaluate(({ timeline, positions }) => {
+        const map = window.getMap();
+        const { routeSegments, lineColor, lineWidth, finalDestination, title, date, startZoomLevel, attribution } = window.mapData;
+
+        window.animState = window.AnimationCore.createAnimationState();
+        window.animConfig = window.AnimationCore.createAnimationConfig(map, routeSegments, {
+            startZoomLevel, lineColor, lineWidth, title, date, finalDestination, timeline, attribution
+        });
+
+        window.animElements = {
+            titleCard: document.getElementById('title-card'),
+            dateStamp: document.getElementById('date-stamp'),
+            destinationCard: document.getElementById('destination-card'),
+            motorcycle: document.getElementById('motorcycle'),
+            person: document.getElementById('person'),
+            car: document.getElementById('car'),
+            backpacker: document.getElementById('backpacker'),
+            attribution: document.getElementById('attribution'),
+            creditsCard: document.getElementById('credits-card')
+        };
+
+        // Fades are rendered per frame - a CSS transition would carry over from the frame before
+        Object.values(window.animElements).forEach(el => { el.style.transition = 'none'; });
+
+        // Smoothing for frame-by-frame (no Leaflet animation)
+        window.animSmoothing = { position: 0.12, zoom: 0.06, animate: false };
+
+        window.renderCinematicFrame = function(frameNumber) {
+            const { phase, phaseProgress, segmentIndex, paused } = positions[Math.min(Math.max(0, frameNumber), positions.length - 1)];
+
+            window.AnimationCore.renderFrame({
+                phase,
+                phaseProgress,
+                state: window.animState,
+                config: window.animConfig,
+                map,
+                routeSegments,
+                elements: window.animElements,
+                smoothing: window.animSmoothing
+            });
+
+            return { phase, segmentIndex, paused };
+        };
+    }, plan);
+}
+
+/**
+ * Every map tile the render will show
+ * The camera of each frame (see AnimationCore.getCamera) and the title card's
+ * overview, at the tile zoom Leaflet would load for it - for prefetching.
+ * @param {Object} page - Puppeteer page with installFrameRenderer() done
+ * @param {Object} plan - From createFramePlan()
+ * @param {Object} options - { maxZoom: the tile layer's maxZoom }
+ * @returns {Promise<Array>} [{ z, x, y }]
+ */
+async function listFrameTiles(page, plan, { maxZoom = 19 } = {}) {
+    return page.evaluate(({ positions, maxZoom }) => {
+        const map = window.getMap();
+        const config = window.animConfig;
+        const { routeSegments } = window.mapData;
+        const size = map.getSize();
+        const tiles = new Map();
+
+        const addView = (center, zoom) => {
+            const tileZoom = Math.max(0, Math.min(maxZoom, Math.round(zoom)));
+            const scale = Math.pow(2, tileZoom - zoom);
+            const middle = map.project(center, tileZoom);
+            const count = Math.pow(2, tileZoom);
+            const [minX, maxX] = [middle.x - size.x / 2 * scale, middle.x + size.x / 2 * scale].map(px => Math.floor(px / 256));
+            const [minY, maxY] = [middle.y - size.y / 2 * scale, middle.y + size.y / 2 * scale].map(px => Math.floor(px / 256));
+
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = Math.max(0, minY); y <= Math.min(count - 1, maxY); y++) {
+                    const wrappedX = ((x % count) + count) % count;
+                    tiles.set(`${tileZoom}/${wrappedX}/${y}`, { z: tileZoom, x: wrappedX, y });
+                }
+            }
+        };
+
+        addView(config.bounds.getCenter(), config.overviewZoom);
+
+        // The camera only moves with the drawing progress - one view per distinct position
+        const seen = new Set();
+        for (const { phase, phaseProgress } of positions) {
+            if (phase === 'title') continue;
+            const cameraTime = phase === 'pan'
+                ? phaseProgress * config.panDuration
+                : config.panDuration + (phase === 'end' ? 1 : phaseProgress) * config.routeDuration;
+            if (seen.has(cameraTime)) continue;
+            seen.add(cameraTime);
+
+            const camera = window.AnimationCore.getCamera(config, routeSegments, cameraTime, window.animSmoothing);
+            addView([camera.lat, camera.lng], camera.zoom);
+        }
+
+        return [...tiles.values()];
+    }, { positions: plan.positions, maxZoom });
+}
+
+/**
+ * File name of a captured frame (matches FRAME_PATTERN for ffmpeg)
+ */
+function framePath(frameDir, frame) {
+    return join(frameDir, `frame_${String(frame).padStart(5, '0')}.png`);
+}
+
+const FRAME_PATTERN = 'frame_%05d.png';
+
+/**
+ * Split frame numbers into contiguous runs for parallel workers
+ * @param {Array<number>} frames
+ * @param {number} parts
+ * @returns {Array<Array<number>>} Up to parts runs, sizes differing by at most one (no empty runs)
+ */
+function splitFrames(frames, parts) {
+    const count = Math.max(1, Math.min(parts, frames.length));
+    const slices = [];
+    let start = 0;
+    for (let i = 0; i < count; i++) {
+        const end = start + Math.floor(frames.length / count) + (i < frames.length % count ? 1 : 0);
+        slices.push(frames.slice(start, end));
+        start = end;
+    }
+    return slices.filter(slice => slice.length);
+}
+
+/**
+ * Render and screenshot frames
+ * Each frame is held until the tiles in view have loaded (window.waitForTiles
+ * from map-init.js) or tileTimeout passes - frames captured with tiles missing
+ * are listed in the result. Each PNG is written under a temporary name and
+ * renamed when complete, so an interrupted render never leaves a half-written
+ * frame for resume to keep.
+ * @param {Object} page - Puppeteer page with installFrameRenderer() done
+ * @param {Object} options
+ * @param {number} options.totalFrames
+ * @param {Array<number>} options.frames - Frame numbers to capture, in order (default: all of 0..totalFrames-1)
+ * @param {string} options.frameDir - Must exist
+ * @param {boolean} options.resume - Keep frames already on disk (they are skipped, not rendered)
+ * @param {number} options.tileTimeout - ms a frame waits for its tiles (default: DEFAULT_TILE_TIMEOUT)
+ * @param {Function} options.onProgress - ({ frame, totalFrames, frameNumber, captured, skipped, eta, phase, segmentIndex }) after
+ *   each frame; frame/totalFrames count this call's frames, frameNumber is the frame just done,
+ *   eta in seconds, phase/segmentIndex as returned by renderCinematicFrame
+ * @param {AbortSignal} options.signal - Stops capturing (rejects with the abort reason)
+ * @param {Object} options.logger - console-like object
+ * @returns {Promise<Object>} { captured, skipped, failed, missingTiles } - a frame that throws is reported and not
+ *   captured; missingTiles lists the frames captured before all their tiles loaded
+ */
+async function captureFrames(page, { totalFrames, frames, frameDir, resume = false, tileTimeout = DEFAULT_TILE_TIMEOUT, onProgress = () => {}, signal, logger = console }) {
+    const frameNumbers = frames || Array.from({ length: totalFrames }, (_, frame) => frame);
+    const startTime = Date.now();
+    const missingTiles = [];
+    let captured = 0, skipped = 0, failed = 0;
+
+    for (let i = 0; i < frameNumbers.length; i++) {
+        signal?.throwIfAborted();
+        const frame = frameNumbers[i];
+        const path = framePath(frameDir, frame);
+        let status = null;
+
+        if (resume && existsSync(path)) {
+            skipped++;
+        } else {
+            try {
+                status = await page.evaluate(f => window.renderCinematicFrame(f), frame);
+                const tiles = await page.evaluate(t => window.waitForTiles(t), tileTimeout);
+                if (!tiles.complete) missingTiles.push(frame);
+                await writeFile(`${path}.part`, await page.screenshot({ type: 'png' }));
+                await rename(`${path}.part`, path);
+                captured++;
+            } catch (e) {
+                logger.error(`\n⚠️ Frame ${frame} error: ${e.message}`);
+                failed++;
+            }
+        }
+
+        const rate = captured > 0 ? (Date.now() - startTime) / 1000 / captured : 1;
+        onProgress({
+            frame: i + 1,
+            totalFrames: frameNumbers.length,
+            frameNumber: frame,
+            captured,
+            skipped,
+            eta: Math.max(0, Math.round(rate * (frameNumbers.length - i - 1))),
+            phase: status?.phase || null,
+            segmentIndex: status?.segmentIndex ?? null
+        });
+    }
+
+    return { captured, skipped, failed, missingTiles };
+}
+
+/**
+ * Frame numbers as ranges, e.g. "frames 12-15, 40"
+ * @param {Array<number>} frames - Sorted frame numbers
+ */
+function formatFrameRanges(frames) {
+    const ranges = [];
+    for (const frame of frames) {
+        const last = ranges[ranges.length - 1];
+        if (last && frame === last[1] + 1) last[1] = frame;
+        else ranges.push([frame, frame]);
+    }
+    return `frame${frames.length === 1 ? '' : 's'} ${ranges.map(([a, b]) => a === b ? a : `${a}-${b}`).join(', ')}`;
+}
+
+/**
+ * Encode captured frames with ffmpeg (H.264 MP4)
+ * @param {string} frameDir
+ * @param {string} outputPath
+ * @param {Object} options - { fps, crf, preset, loglevel, signal } - ffmpeg output goes to this process's stdout/stderr;
+ *   aborting the signal kills ffmpeg
+ * @returns {Promise<string>} outputPath
+ */
+function encodeFrames(frameDir, outputPath, { fps = DEFAULT_FPS, crf = 18, preset = 'slow', loglevel = 'info', signal } = {}) {
+    const args = [
+        '-y',
+        '-loglevel', loglevel,
+        '-framerate', String(fps),
+        '-i', join(frameDir, FRAME_PATTERN),
+        '-c:v', 'libx264',
+        '-pix_fmt', 'yuv420p',
+        '-preset', preset,
+        '-crf', String(crf),
+        '-movflags', '+faststart',
+        outputPath
+    ];
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args, { stdio: 'inherit', signal });
+        ffmpeg.on('error', error => {
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg not found - install it to encode frames') : error);
+        });
+        ffmpeg.on('close', code => {
+            if (code === 0) resolve(outputPath);
+            else reject(new Error(`ffmpeg exited with code ${code}`));
+        });
+    });
+}
+
+export {
+    DEFAULT_FPS,
+    DEFAULT_TILE_TIMEOUT,
+    FRAME_PATTERN,
+    createFramePlan,
+    installFrameRenderer,
+    listFrameTiles,
+    framePath,
+    splitFrames,
+    captureFrames,
+    formatFrameRanges,
+    encodeFrames
+};
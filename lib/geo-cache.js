@@ -0,0 +1,192 @@
+/**
+ * Geocoding & Routing Cache
+ * Disk cache for resolved addresses and routed segments, so previews don't
+ * burn GraphHopper quota or trip Nominatim's rate limit, and renders keep
+ * working offline once a route has been resolved.
+ *
+ * One JSON file per entry in the cache directory (default .cache/geo):
+ *   { key, type: 'geocode' | 'route', request, result, createdAt, lastUsedAt }
+ *
+ * Used by server.js (/api/geocode, /api/route, /api/cache) and the CLI renderers.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CACHE_DIR = fileURLToPath(new URL('../.cache/geo', import.meta.url));
+
+/**
+ * Cache key for an address (case and whitespace insensitive)
+ */
+function geocodeKey(address) {
+    return `geocode:${address.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+}
+
+/**
+ * Cache key for a routed segment
+ * @param {Array} start - [lat, lng]
+ * @param {Array} end - [lat, lng]
+ * @param {Object} options - { travelMode, viaPoints, provider }
+ */
+function routeKey(start, end, { travelMode = 'walking', viaPoints = [], provider = null } = {}) {
+    const points = [start, ...viaPoints, end].map(([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`).join(';');
+    return `route:${provider || 'auto'}:${travelMode}:${points}`;
+}
+
+function fileNameFor(key) {
+    return createHash('sha1').update(key).digest('hex') + '.json';
+}
+
+/**
+ * Create a disk cache
+ * @param {string} dir - Cache directory, created on first write (default: GEO_CACHE_DIR or .cache/geo)
+ * @returns {Object} { dir, get, set, list, remove, clear }
+ */
+function createGeoCache(dir = process.env.GEO_CACHE_DIR || DEFAULT_CACHE_DIR) {
+    async function readEntry(fileName) {
+        try {
+            return JSON.parse(await readFile(join(dir, fileName), 'utf-8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Look up an entry by key
+     * @returns {Promise<Object|null>} The cached result, or null on a miss
+     */
+    async function get(key) {
+        const entry = await readEntry(fileNameFor(key));
+        if (!entry || entry.key !== key) return null;
+
+        entry.lastUsedAt = new Date().toISOString();
+        await writeFile(join(dir, fileNameFor(key)), JSON.stringify(entry, null, 2)).catch(() => {});
+        return entry.result;
+    }
+
+    /**
+     * Store a result
+     * @param {string} key - From geocodeKey() / routeKey()
+     * @param {string} type - 'geocode' or 'route'
+     * @param {Object} request - What was asked (kept for inspection)
+     * @param {Object} result
+     */
+    async function set(key, type, request, result) {
+        await mkdir(dir, { recursive: true });
+        const now = new Date().toISOString();
+        const entry = { key, type, request, result, createdAt: now, lastUsedAt: now };
+        await writeFile(join(dir, fileNameFor(key)), JSON.stringify(entry, null, 2));
+    }
+
+    /**
+     * List entries (without the bulky route coordinates)
+     * @param {Object} filter - { type, q } - q matches anywhere in the key
+     * @returns {Promise<Array>} [{ id, key, type, request, summary, createdAt, lastUsedAt }]
+     */
+    async function list({ type, q } = {}) {
+        let files;
+        try {
+            files = (await readdir(dir)).filter(f => f.endsWith('.json'));
+        } catch (e) {
+            return [];
+        }
+
+        const entries = [];
+        for (const file of files) {
+            const entry = await readEntry(file);
+            if (!entry) continue;
+            if (type && entry.type !== type) continue;
+            if (q && !entry.key.toLowerCase().includes(q.toLowerCase())) continue;
+
+            entries.push({
+                id: file.replace(/\.json$/, ''),
+                key: entry.key,
+                type: entry.type,
+                request: entry.request,
+                summary: entry.type === 'route'
+                    ? { provider: entry.result.provider, points: entry.result.coordinates?.length || 0, distance: entry.result.distance }
+                    : { coordinates: entry.result.coordinates, displayName: entry.result.displayName },
+                createdAt: entry.createdAt,
+                lastUsedAt: entry.lastUsedAt
+            });
+        }
+
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Remove one entry by id (file name without .json, as returned by list)
+     * @returns {Promise<boolean>} false if there was no such entry
+     */
+    async function remove(id) {
+        if (!/^[0-9a-f]{40}$/.test(id)) return false;
+        const entry = await readEntry(`${id}.json`);
+        if (!entry) return false;
+        await rm(join(dir, `${id}.json`), { force: true });
+        return true;
+    }
+
+    /**
+     * Remove all entries matching a filter (all entries without one)
+     * @param {Object} filter - { type, q } as for list()
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async function clear(filter = {}) {
+        const entries = await list(filter);
+        for (const entry of entries) {
+            await rm(join(dir, `${entry.id}.json`), { force: true });
+        }
+        return entries.length;
+    }
+
+    return { dir, get, set, list, remove, clear };
+}
+
+/**
+ * Wrap a geocoder and router so results come from / go to the cache
+ * Straight-line fallbacks are not cached, so a failed lookup is retried next time.
+ * @param {Object} cache - From createGeoCache()
+ * @param {Object} geocoder - From createGeocoder() (js/geocoding.js)
+ * @param {Object} router - From createRouter() (js/routing.js)
+ * @returns {Object} { geocode(address, { refresh }), route(start, end, options, { refresh }) }
+ *   Results carry `cached: true` when they came from disk
+ */
+function createCachedResolver(cache, geocoder, router) {
+    async function geocode(address, { refresh = false } = {}) {
+        const key = geocodeKey(address);
+        if (!refresh) {
+            const cached = await cache.get(key);
+            if (cached) return { ...cached, cached: true };
+        }
+
+        const result = await geocoder.geocode(address);
+        if (result) await cache.set(key, 'geocode', { address }, result);
+        return result && { ...result, cached: false };
+    }
+
+    async function route(start, end, options = {}, { refresh = false } = {}) {
+        const key = routeKey(start, end, options);
+        if (!refresh) {
+            const cached = await cache.get(key);
+            if (cached) return { ...cached, cached: true };
+        }
+
+        const result = await router.route(start, end, options);
+        if (result.provider !== 'straight') {
+            await cache.set(key, 'route', { start, end, ...options }, result);
+        }
+        return { ...result, cached: false };
+    }
+
+    return { geocode, route };
+}
+
+export {
+    DEFAULT_CACHE_DIR,
+    geocodeKey,
+    routeKey,
+    createGeoCache,
+    createCachedResolver
+};
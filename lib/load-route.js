@@ -0,0 +1,103 @@
+/**
+ * Route File Loading (CLI)
+ * Reads a route for animate.js, animate-frames.js and freeze-route.js:
+ * route JSON (optionally referencing a GPX track), GPX, or GeoJSON/KML
+ * exported by the recorder. Then upgrades and validates it.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, join, isAbsolute } from 'path';
+import { parseGpx, gpxToRoute, applyGpxTrack } from '../js/gpx.js';
+import { geoJSONToRoute, kmlToRoute } from '../js/geo-formats.js';
+import { validateRoute, formatValidationReport } from '../js/route-schema.js';
+import { normalizeRoute } from '../js/route-normalize.js';
+
+// File extensions the CLI accepts as a route argument
+const ROUTE_FILE_PATTERN = /\.(json|geojson|gpx|kml)$/i;
+
+/**
+ * Parse --split "lat,lng;lat,lng" (or --split=...) - where to cut a GPX track into stops
+ * @param {Array<string>} argv
+ * @returns {Array|null} [[lat, lng], ...] or null when not given
+ */
+function parseSplitArg(argv) {
+    const splitArg = argv.find(arg => arg.startsWith('--split'));
+    if (!splitArg) return null;
+
+    const splitValue = splitArg.includes('=') ? splitArg.split('=')[1] : argv[argv.indexOf(splitArg) + 1];
+    return (splitValue || '')
+        .split(';')
+        .map(p => p.split(',').map(Number))
+        .filter(p => p.length === 2 && !p.some(isNaN));
+}
+
+/**
+ * Read a route file as route data
+ * @param {string} path - .json, .geojson, .gpx or .kml
+ * @param {Object} options - { splitPoints, logger }
+ *   Without splitPoints a GPX track is split at its waypoints.
+ * @returns {Promise<Object>} Route data (not yet normalised)
+ */
+async function loadRouteFile(path, { splitPoints = null, logger = console } = {}) {
+    if (/\.gpx$/i.test(path)) {
+        const route = gpxToRoute(parseGpx(await readFile(path, 'utf-8')), splitPoints ? { splitPoints } : {});
+        logger.log(`GPX track split into ${route.stops.length} segments`);
+        return route;
+    }
+
+    if (/\.kml$/i.test(path)) {
+        return kmlToRoute(await readFile(path, 'utf-8'));
+    }
+
+    let route = JSON.parse(await readFile(path, 'utf-8'));
+
+    // GeoJSON exported by the recorder - geometry is already resolved
+    if (route.type === 'FeatureCollection') {
+        route = geoJSONToRoute(route);
+    }
+
+    // Route file referencing a recorded track ("gpx": "hike.gpx"):
+    // the stops become split points, each keeping its own travelMode/icon
+    if (route.gpx) {
+        const gpxPath = isAbsolute(route.gpx) ? route.gpx : join(dirname(path), route.gpx);
+        logger.log(`Loading recorded track from: ${gpxPath}`);
+        route = applyGpxTrack(route, parseGpx(await readFile(gpxPath, 'utf-8')));
+    }
+
+    return route;
+}
+
+/**
+ * Load, upgrade (see route-normalize.js) and validate a route file
+ * @param {string} path
+ * @param {Object} options - As for loadRouteFile()
+ * @returns {Promise<Object>} { route, changes, validation }
+ */
+async function loadRoute(path, options = {}) {
+    const { route, changes } = normalizeRoute(await loadRouteFile(path, options));
+    return { route, changes, validation: validateRoute(route) };
+}
+
+/**
+ * Console report for a loaded route - upgrades, then validation problems
+ * @param {Object} loaded - From loadRoute()
+ * @returns {string} Empty string when there is nothing to report
+ */
+function formatLoadReport({ changes, validation }) {
+    const sections = [];
+    if (changes.length) {
+        sections.push(`Route file upgraded on load (save it to keep these changes):\n${changes.map(c => `🔧 ${c}`).join('\n')}`);
+    }
+    if (validation.errors.length || validation.warnings.length) {
+        sections.push(`${validation.valid ? 'Route file warnings' : 'Route file is invalid'}:\n${formatValidationReport(validation)}`);
+    }
+    return sections.length ? `\n${sections.join('\n\n')}\n` : '';
+}
+
+export {
+    ROUTE_FILE_PATTERN,
+    parseSplitArg,
+    loadRouteFile,
+    loadRoute,
+    formatLoadReport
+};
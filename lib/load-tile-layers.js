@@ -0,0 +1,98 @@
+/**
+ * Tile Layer Loading
+ * The tile layer registry for server.js and the CLI renderers: the built-in
+ * layers (js/tile-layers.js), then user-defined ones from tile-layers.json,
+ * then local basemaps from tiles/ (lib/tile-cache.js). A later layer with the
+ * same name replaces an earlier one.
+ *
+ * tile-layers.json maps layer names to definitions:
+ *   {
+ *     "outdoors": {
+ *       "label": "Thunderforest Outdoors",
+ *       "url": "https://{s}.tile.thunderforest.com/outdoors/{z}/{x}/{y}.png?apikey=...",
+ *       "subdomains": "abc",
+ *       "maxZoom": 22,
+ *       "attribution": "© Thunderforest © OpenStreetMap contributors"
+ *     },
+ *     "topowebb": {
+ *       "type": "wmts",
+ *       "url": "https://example.org/wmts",
+ *       "layer": "topowebb",
+ *       "tileMatrixSet": "3857",
+ *       "attribution": "© Lantmäteriet"
+ *     }
+ *   }
+ */
+
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { fileURLToPath } from 'url';
+import { TILE_LAYERS, defineTileLayer } from '../js/tile-layers.js';
+import { findLocalTileLayers } from './tile-cache.js';
+
+const DEFAULT_TILE_LAYERS_FILE = fileURLToPath(new URL('../tile-layers.json', import.meta.url));
+
+/**
+ * Read user-defined layers
+ * @param {string} path
+ * @param {boolean} required - Fail when the file doesn't exist
+ * @returns {Promise<Object>} Tile layers by name
+ * @throws {Error} Listing every invalid layer
+ */
+async function readTileLayersFile(path, required) {
+    let text;
+    try {
+        text = await readFile(path, 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT' && !required) return {};
+        throw new Error(`Could not read ${path}: ${e.message}`);
+    }
+
+    let definitions;
+    try {
+        definitions = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${basename(path)} is not valid JSON: ${e.message}`);
+    }
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        throw new Error(`${basename(path)} must be an object of tile layers by name`);
+    }
+
+    const layers = {};
+    const errors = [];
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (name === '$schema') continue;
+        try {
+            layers[name] = defineTileLayer(name, definition);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    if (errors.length) {
+        throw new Error(`Invalid tile layers in ${basename(path)}:\n${errors.map(e => `  ✗ ${e}`).join('\n')}`);
+    }
+    return layers;
+}
+
+/**
+ * Build the tile layer registry
+ * @param {Object} options
+ * @param {string} options.file - User-defined layers (default: TILE_LAYERS_FILE or tile-layers.json; the default may be missing)
+ * @param {string} options.localDir - Local basemaps (default: TILES_DIR or tiles/)
+ * @returns {Promise<Object>} { layers, custom: [names], local: [names] }
+ * @throws {Error} When the file can't be read or defines invalid layers
+ */
+async function loadTileLayers({ file = process.env.TILE_LAYERS_FILE, localDir } = {}) {
+    const custom = await readTileLayersFile(file || DEFAULT_TILE_LAYERS_FILE, Boolean(file));
+    const local = await findLocalTileLayers(localDir);
+    return {
+        layers: { ...TILE_LAYERS, ...custom, ...local },
+        custom: Object.keys(custom),
+        local: Object.keys(local)
+    };
+}
+
+export {
+    DEFAULT_TILE_LAYERS_FILE,
+    loadTileLayers
+};
@@ -0,0 +1,270 @@
+/**
+ * Render Jobs
+ * Queue for server.js recordings: every request becomes a job with an id,
+ * waits for a free slot (RENDER_CONCURRENCY at a time) and writes into its
+ * own directory, so concurrent users don't get a 409 and nothing overwrites
+ * an earlier video.
+ *
+ * One directory per job in the render directory (default renders/):
+ *   job.json      - metadata (status, progress, output), rewritten on every status change
+ *   request.json  - what was asked for, so queued jobs survive a restart
+ *   <output file> - the video
+ *
+ * On startup queued jobs are queued again; jobs that were running are marked
+ * as failed (a half-written video can't be resumed).
+ *
+ * subscribe() streams every status change and progress report of a job
+ * (server.js turns it into Server-Sent Events).
+ */
+
+import { randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { mkdir, readFile, writeFile, readdir, rm, stat } from 'fs/promises';
+import { join, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_RENDER_DIR = fileURLToPath(new URL('../renders', import.meta.url));
+
+const JOB_STATUSES = ['queued', 'running', 'complete', 'error', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Job ids are generated here - anything else in a URL is rejected before touching the disk
+const JOB_ID_PATTERN = /^[0-9a-z]+-[0-9a-f]{6}$/;
+
+function createJobId() {
+    return `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Create a job queue
+ * @param {Object} config
+ * @param {Function} config.run - (request, { outputDir, onProgress, signal }) -> Promise<outputPath | { path, ...details }>
+ *   onProgress(progress) reports { phase, percent, ... }; signal aborts when the job is cancelled;
+ *   details (e.g. duration) are kept in job.output
+ * @param {string} config.dir - Render directory (default: RENDER_DIR or renders/)
+ * @param {number} config.concurrency - Jobs running at once (default: RENDER_CONCURRENCY or 1)
+ * @param {Object} config.logger - console-like object
+ * @returns {Object} { dir, load, add, get, list, cancel, remove, outputPath, subscribe }
+ */
+function createJobQueue(config) {
+    const {
+        run,
+        dir = process.env.RENDER_DIR || DEFAULT_RENDER_DIR,
+        concurrency = parseInt(process.env.RENDER_CONCURRENCY, 10) || 1,
+        logger = console
+    } = config;
+
+    const jobs = new Map();
+    const queue = [];
+    const running = new Map(); // id -> AbortController
+    const events = new EventEmitter();
+    events.setMaxListeners(0); // one per open progress stream
+
+    function jobDir(id) {
+        return join(dir, id);
+    }
+
+    async function save(job) {
+        await mkdir(jobDir(job.id), { recursive: true });
+        await writeFile(join(jobDir(job.id), 'job.json'), JSON.stringify(job, null, 2));
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes);
+        events.emit(job.id, get(job.id));
+        return save(job).catch(error => logger.error(`✗ Could not save job ${job.id}: ${error.message}`));
+    }
+
+    async function execute(job) {
+        const controller = new AbortController();
+        running.set(job.id, controller);
+        await update(job, {
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            progress: { phase: 'starting', percent: 0 }
+        });
+        logger.log(`🎬 Job ${job.id} started (${[job.type, job.mode, job.frame].filter(Boolean).join(', ')})`);
+
+        try {
+            const request = JSON.parse(await readFile(join(jobDir(job.id), 'request.json'), 'utf-8'));
+            const result = await run(request, {
+                outputDir: jobDir(job.id),
+                signal: controller.signal,
+                onProgress: progress => {
+                    // Not saved - job.json only changes with the status
+                    job.progress = progress;
+                    events.emit(job.id, get(job.id));
+                }
+            });
+            const { path: outputPath, ...details } = typeof result === 'string' ? { path: result } : result;
+            const { size } = await stat(outputPath);
+            await update(job, {
+                status: 'complete',
+                finishedAt: new Date().toISOString(),
+                progress: { phase: 'complete', percent: 100 },
+                output: { file: basename(outputPath), format: extname(outputPath).slice(1), size, ...details }
+            });
+            logger.log(`✅ Job ${job.id} complete`);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+                logger.log(`🗑️  Job ${job.id} cancelled`);
+            } else {
+                await update(job, { status: 'error', finishedAt: new Date().toISOString(), error: error.message });
+                logger.error(`✗ Job ${job.id} failed: ${error.message}`);
+            }
+        } finally {
+            running.delete(job.id);
+            next();
+        }
+    }
+
+    function next() {
+        while (running.size < concurrency && queue.length) {
+            execute(jobs.get(queue.shift()));
+        }
+    }
+
+    /**
+     * Read jobs from the render directory (call once at startup)
+     * @returns {Promise<number>} Number of jobs queued again
+     */
+    async function load() {
+        let ids;
+        try {
+            ids = (await readdir(dir)).filter(id => JOB_ID_PATTERN.test(id));
+        } catch (e) {
+            return 0;
+        }
+
+        const requeued = [];
+        for (const id of ids) {
+            let job;
+            try {
+                job = JSON.parse(await readFile(join(jobDir(id), 'job.json'), 'utf-8'));
+            } catch (e) {
+                continue;
+            }
+            jobs.set(id, job);
+
+            if (job.status === 'running') {
+                await update(job, { status: 'error', finishedAt: new Date().toISOString(), error: 'Interrupted by a server restart' });
+            } else if (job.status === 'queued') {
+                requeued.push(job);
+            }
+        }
+
+        requeued.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(job => queue.push(job.id));
+        next();
+        return requeued.length;
+    }
+
+    /**
+     * Queue a render
+     * @param {Object} request - Passed to run() as-is (routeSegments, options, tile, mode, ...)
+     * @param {Object} meta - Listed with the job, e.g. { type, mode, tile, title }
+     * @returns {Promise<Object>} The job
+     */
+    async function add(request, meta = {}) {
+        const id = createJobId();
+        const job = {
+            id,
+            status: 'queued',
+            ...meta,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { phase: 'queued', percent: 0 },
+            output: null,
+            error: null
+        };
+
+        await mkdir(jobDir(id), { recursive: true });
+        await writeFile(join(jobDir(id), 'request.json'), JSON.stringify(request));
+        await save(job);
+
+        jobs.set(id, job);
+        queue.push(id);
+        next();
+        return get(id);
+    }
+
+    /**
+     * @returns {Object|null} Job by id, with its queue position while queued
+     */
+    function get(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        return job.status === 'queued' ? { ...job, queuePosition: queue.indexOf(id) + 1 } : { ...job };
+    }
+
+    /**
+     * @param {Object} filter - { status }
+     * @returns {Array} Jobs, newest first
+     */
+    function list({ status } = {}) {
+        return [...jobs.keys()]
+            .map(get)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Cancel a queued or running job (its directory is kept)
+     * @returns {Promise<Object|null>} The job, or null if there is no such job
+     */
+    async function cancel(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            queue.splice(queue.indexOf(id), 1);
+            await update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        } else if (job.status === 'running') {
+            // execute() records the cancellation once run() has stopped
+            job.progress = { ...job.progress, phase: 'cancelling' };
+            events.emit(id, get(id));
+            running.get(id)?.abort();
+        }
+        return get(id);
+    }
+
+    /**
+     * Delete a finished job and its directory
+     * @returns {Promise<boolean>} false if there is no such job or it is still active
+     */
+    async function remove(id) {
+        const job = jobs.get(id);
+        if (!job || ACTIVE_STATUSES.includes(job.status)) return false;
+        jobs.delete(id);
+        await rm(jobDir(id), { recursive: true, force: true });
+        return true;
+    }
+
+    /**
+     * @returns {string|null} Path of a complete job's video
+     */
+    function outputPath(job) {
+        return job?.status === 'complete' && job.output ? join(jobDir(job.id), job.output.file) : null;
+    }
+
+    /**
+     * Follow a job
+     * @param {string} id
+     * @param {Function} listener - (job) on every status change and progress report
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(id, listener) {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    }
+
+    return { dir, load, add, get, list, cancel, remove, outputPath, subscribe };
+}
+
+export {
+    DEFAULT_RENDER_DIR,
+    JOB_STATUSES,
+    ACTIVE_STATUSES,
+    createJobQueue
+};
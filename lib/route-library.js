@@ -0,0 +1,179 @@
+/**
+ * Route Library (server)
+ * The route files behind /api/routes: one file per name in the routes
+ * directory (default routes/), holding a route or { "routes": [...] }.
+ *   <name>.json
+ *
+ * The editor and the recorder list, open, save, rename and delete them through
+ * server.js (see js/route-library.js); the CLI renderers find a route file by
+ * name here too (findRouteFile).
+ */
+
+import { mkdir, readFile, writeFile, readdir, rename, rm, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, isAbsolute, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { ROUTE_NAME_PATTERN } from '../js/route-library.js';
+import { normalizeRoute } from '../js/route-normalize.js';
+import { validateRoute } from '../js/route-schema.js';
+
+const DEFAULT_ROUTES_DIR = fileURLToPath(new URL('../routes', import.meta.url));
+
+/**
+ * Where a route file named on the command line is: an absolute path, a path
+ * relative to baseDir, or otherwise a file in the routes directory
+ * @param {string} arg - e.g. "stannum-ljungslätt.json"
+ * @param {string} baseDir
+ * @param {string} routesDir - Default: ROUTES_DIR or routes/
+ * @returns {string}
+ */
+function findRouteFile(arg, baseDir, routesDir = process.env.ROUTES_DIR || DEFAULT_ROUTES_DIR) {
+    if (isAbsolute(arg)) return arg;
+    const local = join(baseDir, arg);
+    return existsSync(local) ? local : join(routesDir, arg);
+}
+
+/**
+ * What is wrong with a route file's contents
+ * Only the shape is checked - the editor may save routes that don't validate yet.
+ * @param {*} data
+ * @returns {string|null} The problem, null when it can be stored
+ */
+function routeFileProblem(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'A route file must be a route object, or { "routes": [...] }';
+    }
+    if ('routes' in data && (!Array.isArray(data.routes) || !data.routes.every(route => route && typeof route === 'object' && !Array.isArray(route)))) {
+        return 'routes must be an array of route objects';
+    }
+    return null;
+}
+
+/**
+ * Create a route library
+ * @param {Object} config
+ * @param {string} config.dir - Routes directory (default: ROUTES_DIR or routes/)
+ * @returns {Object} { dir, list, get, exists, save, rename, remove }
+ */
+function createRouteLibrary({ dir = process.env.ROUTES_DIR || DEFAULT_ROUTES_DIR } = {}) {
+    function filePath(name) {
+        if (!ROUTE_NAME_PATTERN.test(name)) throw new Error(`Invalid route name: ${name}`);
+        return join(dir, `${name}.json`);
+    }
+
+    // What the route list shows about a file
+    function describe(name, data, updatedAt) {
+        const fileRoutes = data.routes || [data];
+        return {
+            name,
+            file: `${name}.json`,
+            titles: fileRoutes.map(route => route.title || name),
+            stops: fileRoutes.reduce((sum, route) => sum + (Array.isArray(route.stops) ? route.stops.length : 0), 0),
+            valid: fileRoutes.every(route => validateRoute(normalizeRoute(route).route).valid),
+            updatedAt
+        };
+    }
+
+    async function read(name) {
+        const path = filePath(name);
+        try {
+            const [text, info] = await Promise.all([readFile(path, 'utf-8'), stat(path)]);
+            return { data: JSON.parse(text), updatedAt: info.mtime.toISOString() };
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw new Error(`Could not read ${name}.json: ${e.message}`);
+        }
+    }
+
+    /**
+     * Every route file, sorted by name - files that aren't valid JSON are skipped
+     * @returns {Promise<Array>} [{ name, file, titles, stops, valid, updatedAt }]
+     */
+    async function list() {
+        let files;
+        try {
+            files = await readdir(dir);
+        } catch (e) {
+            return [];
+        }
+
+        const entries = [];
+        for (const file of files.filter(file => file.endsWith('.json')).sort((a, b) => a.localeCompare(b))) {
+            const name = basename(file, '.json');
+            if (!ROUTE_NAME_PATTERN.test(name)) continue;
+            try {
+                const { data, updatedAt } = await read(name);
+                if (!routeFileProblem(data)) entries.push(describe(name, data, updatedAt));
+            } catch (e) {
+                // not a route file
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Read a route file
+     * @param {string} name
+     * @returns {Promise<Object|null>} { name, file, updatedAt, data }, null if there is none
+     */
+    async function get(name) {
+        const found = await read(name);
+        return found && { name, file: `${name}.json`, ...found };
+    }
+
+    function exists(name) {
+        return existsSync(filePath(name));
+    }
+
+    /**
+     * Write a route file (replacing one by the same name)
+     * @param {string} name
+     * @param {Object} data - A route or { routes }
+     * @returns {Promise<Object>} The file's entry, as in list()
+     */
+    async function save(name, data) {
+        const path = filePath(name);
+        await mkdir(dir, { recursive: true });
+        // Written under a temporary name, so a reader never sees half a file
+        await writeFile(`${path}.part`, `${JSON.stringify(data, null, 2)}\n`);
+        await rename(`${path}.part`, path);
+        return describe(name, data, (await stat(path)).mtime.toISOString());
+    }
+
+    /**
+     * Rename a route file - check exists(newName) first, this replaces it
+     * @returns {Promise<Object|null>} The file's entry, null if there is no file by that name
+     */
+    async function renameFile(name, newName) {
+        const from = filePath(name);
+        const to = filePath(newName);
+        try {
+            await rename(from, to);
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        const { data, updatedAt } = await read(newName);
+        return describe(newName, data, updatedAt);
+    }
+
+    /**
+     * Delete a route file
+     * @returns {Promise<boolean>} false if there was no file by that name
+     */
+    async function remove(name) {
+        const path = filePath(name);
+        if (!existsSync(path)) return false;
+        await rm(path);
+        return true;
+    }
+
+    return { dir, list, get, exists, save, rename: renameFile, remove };
+}
+
+export {
+    DEFAULT_ROUTES_DIR,
+    findRouteFile,
+    routeFileProblem,
+    createRouteLibrary
+};
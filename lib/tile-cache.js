@@ -0,0 +1,282 @@
+/**
+ * Tile Cache
+ * Local tile server for server.js (/tiles/:layer/:z/:x/:y): remote tiles are
+ * fetched once and kept on disk, and local basemaps - an .mbtiles file or a
+ * z/x/y directory - are served without any network. Renders load their tiles
+ * through it, so a route that has been rendered once renders again offline,
+ * and prefetch() fetches everything a render will show before it starts.
+ *
+ * Cached tiles live in the cache directory (default .cache/tiles):
+ *   <layer>/<z>/<x>/<y>.<png|jpg|webp>
+ *
+ * Local basemaps are picked up from the tiles directory (default tiles/):
+ *   <name>.mbtiles        - raster MBTiles (node:sqlite: Node 22.13+, or 22.5+ with --experimental-sqlite)
+ *   <name>/<z>/<x>/<y>.png - any directory of tiles (.png, .jpg, .jpeg or .webp)
+ * Each becomes a tile layer called <name> - hidden entries and names a route
+ * can't pick (TILE_LAYER_NAME: letters, digits, - and _) are skipped.
+ */
+
+import { mkdir, readFile, writeFile, readdir, rename, stat } from 'fs/promises';
+import { join, extname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { TILE_LAYER_NAME } from '../js/tile-layers.js';
+
+const DEFAULT_TILE_CACHE_DIR = fileURLToPath(new URL('../.cache/tiles', import.meta.url));
+const DEFAULT_LOCAL_TILES_DIR = fileURLToPath(new URL('../tiles', import.meta.url));
+
+const CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+const TILE_EXTENSIONS = Object.keys(CONTENT_TYPES);
+
+// OpenStreetMap's tile policy asks for an identifying User-Agent
+const USER_AGENT = 'map-animation-studio tile cache';
+
+/**
+ * Image type from a tile's first bytes
+ * @returns {string|null} png, jpg or webp
+ */
+function sniffTileFormat(data) {
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) return 'png';
+    if (data[0] === 0xff && data[1] === 0xd8) return 'jpg';
+    if (data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+    return null;
+}
+
+/**
+ * Fill in a tile URL template ({s}, {z}, {x}, {y}, {r} as in Leaflet)
+ */
+function tileUrl(template, { z, x, y }, subdomains = 'abc') {
+    const subdomain = subdomains[Math.abs(x + y) % subdomains.length];
+    return template
+        .replace('{s}', subdomain)
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{r}', '');
+}
+
+/**
+ * Find the local basemaps in a directory
+ * @param {string} dir - Default: TILES_DIR or tiles/
+ * @param {Object} options - { logger: console-like object, warned about skipped entries }
+ * @returns {Promise<Object>} Tile layers by name: { label, mbtiles: path } or { label, dir: path }
+ */
+async function findLocalTileLayers(dir = process.env.TILES_DIR || DEFAULT_LOCAL_TILES_DIR, { logger = console } = {}) {
+    let names;
+    try {
+        names = await readdir(dir);
+    } catch (e) {
+        return {};
+    }
+
+    const layers = {};
+    for (const name of names) {
+        if (name.startsWith('.')) continue;
+        const path = join(dir, name);
+
+        let info;
+        try {
+            info = await stat(path);
+        } catch (e) {
+            logger.warn(`⚠️ Skipping local basemap ${path}: ${e.message}`);
+            continue;
+        }
+
+        const isMbtiles = extname(name) === '.mbtiles' && info.isFile();
+        if (!isMbtiles && !info.isDirectory()) continue;
+
+        const layerName = isMbtiles ? basename(name, '.mbtiles') : name;
+        if (!TILE_LAYER_NAME.test(layerName)) {
+            logger.warn(`⚠️ Skipping local basemap ${path}: layer names may only use letters, digits, - and _`);
+            continue;
+        }
+        layers[layerName] = isMbtiles
+            ? { label: layerName, mbtiles: path, options: { maxZoom: 19 } }
+            : { label: layerName, dir: path, options: { maxZoom: 19 } };
+    }
+    return layers;
+}
+
+/**
+ * Open an MBTiles file (SQLite; rows are TMS, so y is flipped)
+ * @returns {Promise<Object>} { format, get(z, x, y) -> Buffer|null, close }
+ */
+async function openMbtiles(path) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = await import('node:sqlite'));
+    } catch (e) {
+        throw new Error(`Reading ${basename(path)} needs node:sqlite - Node 22.13 or newer, or Node 22.5+ started with --experimental-sqlite (this is Node ${process.versions.node})`);
+    }
+
+    const db = new DatabaseSync(path, { readOnly: true });
+    const format = db.prepare("SELECT value FROM metadata WHERE name = 'format'").get()?.value || 'png';
+    if (!CONTENT_TYPES[format]) {
+        db.close();
+        throw new Error(`${basename(path)} holds ${format} tiles - only raster tiles (${TILE_EXTENSIONS.join(', ')}) can be shown`);
+    }
+
+    const query = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    return {
+        format,
+        get(z, x, y) {
+            const row = query.get(z, x, 2 ** z - 1 - y);
+            return row ? Buffer.from(row.tile_data) : null;
+        },
+        close: () => db.close()
+    };
+}
+
+/**
+ * Create a tile cache
+ * @param {Object} config
+ * @param {Object} config.layers - Tile layers by key: { url, options: { subdomains, maxZoom } } for remote
+ *   layers, { mbtiles } or { dir } for local ones
+ * @param {string} config.dir - Cache directory (default: TILE_CACHE_DIR or .cache/tiles)
+ * @param {Function} config.fetch - fetch implementation (default: global fetch)
+ * @param {Object} config.logger - console-like object
+ * @returns {Object} { dir, open, getTile, prefetch }
+ */
+function createTileCache(config) {
+    const {
+        layers,
+        dir = process.env.TILE_CACHE_DIR || DEFAULT_TILE_CACHE_DIR,
+        fetch = globalThis.fetch,
+        logger = console
+    } = config;
+
+    const mbtiles = new Map(); // layer key -> Promise of an open file
+    const inFlight = new Map(); // tile path -> Promise, so a tile is fetched once however often it is asked for
+
+    function openLayerMbtiles(key) {
+        if (!mbtiles.has(key)) {
+            const opened = openMbtiles(layers[key].mbtiles);
+            opened.catch(() => mbtiles.delete(key));
+            mbtiles.set(key, opened);
+        }
+        return mbtiles.get(key);
+    }
+
+    /**
+     * Open every MBTiles layer now, so a basemap that can't be read fails at
+     * startup rather than on the first tile request
+     * @throws {Error} The first file that can't be opened
+     */
+    async function open() {
+        await Promise.all(Object.keys(layers).filter(key => layers[key].mbtiles).map(openLayerMbtiles));
+    }
+
+    async function readFirst(paths) {
+        for (const path of paths) {
+            try {
+                return { data: await readFile(path), path };
+            } catch (e) {
+                // try the next extension
+            }
+        }
+        return null;
+    }
+
+    async function fetchRemote(key, tile) {
+        const layer = layers[key];
+        const response = await fetch(tileUrl(layer.url, tile, layer.options?.subdomains), {
+            headers: { 'User-Agent': USER_AGENT }
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`${key} ${tile.z}/${tile.x}/${tile.y}: HTTP ${response.status}`);
+        }
+
+        const data = Buffer.from(await response.arrayBuffer());
+        const format = sniffTileFormat(data) || 'png';
+        const tileDir = join(dir, key, String(tile.z), String(tile.x));
+        const path = join(tileDir, `${tile.y}.${format}`);
+
+        // Written under a temporary name, so a half-written tile is never served
+        await mkdir(tileDir, { recursive: true });
+        await writeFile(`${path}.part`, data);
+        await rename(`${path}.part`, path);
+        return { data, format };
+    }
+
+    /**
+     * Get a tile - from the local basemap, the disk cache, or fetched and cached
+     * @param {string} key - Tile layer key
+     * @param {number} z
+     * @param {number} x
+     * @param {number} y
+     * @returns {Promise<Object|null>} { data, contentType, source: 'local' | 'cache' | 'network' }, null if there is no such tile
+     * @throws {Error} For an unknown layer, or when a remote tile can't be fetched
+     */
+    async function getTile(key, z, x, y) {
+        const layer = layers[key];
+        if (!layer) throw new Error(`Unknown tile layer: ${key}`);
+
+        if (layer.mbtiles) {
+            const file = await openLayerMbtiles(key);
+            const data = file.get(z, x, y);
+            return data ? { data, contentType: CONTENT_TYPES[file.format], source: 'local' } : null;
+        }
+
+        if (layer.dir) {
+            const found = await readFirst(TILE_EXTENSIONS.map(ext => join(layer.dir, String(z), String(x), `${y}.${ext}`)));
+            return found ? { data: found.data, contentType: CONTENT_TYPES[extname(found.path).slice(1)], source: 'local' } : null;
+        }
+
+        const cached = await readFirst(TILE_EXTENSIONS.map(ext => join(dir, key, String(z), String(x), `${y}.${ext}`)));
+        if (cached) {
+            return { data: cached.data, contentType: CONTENT_TYPES[extname(cached.path).slice(1)], source: 'cache' };
+        }
+
+        const id = `${key}/${z}/${x}/${y}`;
+        if (!inFlight.has(id)) {
+            inFlight.set(id, fetchRemote(key, { z, x, y }).finally(() => inFlight.delete(id)));
+        }
+        const fetched = await inFlight.get(id);
+        return fetched ? { data: fetched.data, contentType: CONTENT_TYPES[fetched.format], source: 'network' } : null;
+    }
+
+    /**
+     * Make sure tiles are cached before a render
+     * @param {string} key - Tile layer key
+     * @param {Array} tiles - [{ z, x, y }]
+     * @param {Object} options
+     * @param {number} options.concurrency - Requests at once (default: 6, as a browser would)
+     * @param {Function} options.onProgress - ({ done, total, fetched, failed }) after each tile
+     * @param {AbortSignal} options.signal - Stops prefetching (rejects with the abort reason)
+     * @returns {Promise<Object>} { total, fetched, cached, failed } - fetched: newly downloaded
+     */
+    async function prefetch(key, tiles, { concurrency = 6, onProgress = () => {}, signal } = {}) {
+        const stats = { total: tiles.length, fetched: 0, cached: 0, failed: 0 };
+        let next = 0, done = 0;
+
+        async function worker() {
+            while (next < tiles.length) {
+                signal?.throwIfAborted();
+                const { z, x, y } = tiles[next++];
+                try {
+                    const tile = await getTile(key, z, x, y);
+                    if (tile?.source === 'network') stats.fetched++;
+                    else stats.cached++;
+                } catch (e) {
+                    stats.failed++;
+                    if (stats.failed === 1) logger.warn(`⚠️ Tile prefetch: ${e.message}`);
+                }
+                onProgress({ done: ++done, total: tiles.length, fetched: stats.fetched, failed: stats.failed });
+            }
+        }
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, tiles.length) }, worker));
+        return stats;
+    }
+
+    return { dir, open, getTile, prefetch };
+}
+
+export {
+    DEFAULT_TILE_CACHE_DIR,
+    DEFAULT_LOCAL_TILES_DIR,
+    sniffTileFormat,
+    tileUrl,
+    findLocalTileLayers,
+    createTileCache
+};
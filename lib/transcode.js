@@ -0,0 +1,171 @@
+/**
+ * Transcoding
+ * Converts a recorded video with a local ffmpeg - MP4 (H.264/H.265/AV1),
+ * WebM (VP9) or animated GIF/APNG - so videos never leave the machine and
+ * conversion works offline. server.js runs it as a render job
+ * (POST /api/jobs/:id/transcode), which reports progress like a recording.
+ */
+
+import { spawn } from 'child_process';
+import { join } from 'path';
+
+// Quality is given as an H.264 CRF (18 high, 23 medium, 28 low - the recorder's
+// dialog) and mapped onto each encoder's own scale
+const QUALITY_LEVELS = { high: 18, medium: 23, low: 28 };
+
+/**
+ * An H.264-scale CRF (0-51) moved onto another encoder's scale, kept inside that
+ * encoder's range - ffmpeg refuses anything outside it
+ */
+function mapCrf(crf, offset, max) {
+    return Math.max(0, Math.min(max, crf + offset));
+}
+
+/**
+ * Output formats: file extension and ffmpeg arguments for an H.264-scale CRF
+ */
+const TRANSCODE_FORMATS = {
+    h264: {
+        label: 'MP4 (H.264)',
+        extension: 'mp4',
+        args: crf => ['-c:v', 'libx264', '-preset', 'medium', '-crf', crf, '-pix_fmt', 'yuv420p', '-movflags', '+faststart']
+    },
+    h265: {
+        label: 'MP4 (H.265)',
+        extension: 'mp4',
+        // hvc1 tag so QuickTime/Safari play it
+        args: crf => ['-c:v', 'libx265', '-preset', 'medium', '-crf', mapCrf(crf, 5, 51), '-tag:v', 'hvc1', '-pix_fmt', 'yuv420p', '-movflags', '+faststart']
+    },
+    vp9: {
+        label: 'WebM (VP9)',
+        extension: 'webm',
+        args: crf => ['-c:v', 'libvpx-vp9', '-crf', mapCrf(crf, 8, 63), '-b:v', '0', '-row-mt', '1', '-pix_fmt', 'yuv420p']
+    },
+    av1: {
+        label: 'MP4 (AV1)',
+        extension: 'mp4',
+        args: crf => ['-c:v', 'libaom-av1', '-crf', mapCrf(crf, 11, 63), '-b:v', '0', '-cpu-used', '6', '-row-mt', '1', '-pix_fmt', 'yuv420p', '-movflags', '+faststart']
+    },
+    gif: {
+        label: 'Animated GIF',
+        extension: 'gif',
+        // One palette for the whole video - far better than ffmpeg's default 256 web colours
+        args: crf => ['-vf', `${animationFilter(crf)},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0']
+    },
+    apng: {
+        label: 'Animated PNG',
+        extension: 'apng',
+        args: crf => ['-vf', animationFilter(crf), '-plays', '0', '-f', 'apng']
+    }
+};
+
+/**
+ * Frame rate and width for GIF/APNG - full-size 30fps animations get huge
+ */
+function animationFilter(crf) {
+    const [fps, width] = crf <= QUALITY_LEVELS.high ? [20, 960] : crf <= QUALITY_LEVELS.medium ? [15, 720] : [12, 480];
+    return `fps=${fps},scale=${width}:-2:flags=lanczos`;
+}
+
+function formatPreset(format) {
+    const preset = TRANSCODE_FORMATS[format];
+    if (!preset) {
+        throw new Error(`Unknown format: ${format}. Available: ${Object.keys(TRANSCODE_FORMATS).join(', ')}`);
+    }
+    return preset;
+}
+
+/**
+ * ffmpeg arguments for a transcode
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} options - { format: key of TRANSCODE_FORMATS, crf }
+ * @returns {Array<string>}
+ */
+function buildTranscodeArgs(inputPath, outputPath, { format = 'h264', crf = QUALITY_LEVELS.medium } = {}) {
+    const preset = formatPreset(format);
+    return [
+        '-y',
+        '-hide_banner',
+        '-nostats',
+        '-progress', 'pipe:1',
+        '-i', inputPath,
+        '-an',
+        ...preset.args(crf).map(String),
+        outputPath
+    ];
+}
+
+/**
+ * Parse "Duration: 00:01:02.50" from ffmpeg's log
+ * @returns {number|null} Seconds, or null when unknown (screencast WebMs often have none)
+ */
+function parseDuration(log) {
+    const match = log.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+/**
+ * Transcode a video with ffmpeg
+ * @param {string} inputPath
+ * @param {string} outputDir - The file is written as map-animation.<extension>
+ * @param {Object} options
+ * @param {string} options.format - Key of TRANSCODE_FORMATS
+ * @param {number} options.crf - H.264-scale quality (see QUALITY_LEVELS)
+ * @param {number} options.duration - Input duration in seconds, when known (for progress)
+ * @param {Function} options.onProgress - ({ phase: 'transcoding', percent, eta }) - eta in seconds
+ * @param {AbortSignal} options.signal - Kills ffmpeg
+ * @returns {Promise<string>} Path of the output
+ */
+async function transcode(inputPath, outputDir, { format = 'h264', crf = QUALITY_LEVELS.medium, duration = null, onProgress = () => {}, signal } = {}) {
+    const outputPath = join(outputDir, `map-animation.${formatPreset(format).extension}`);
+    const args = buildTranscodeArgs(inputPath, outputPath, { format, crf });
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        let totalSeconds = duration;
+        let log = '';
+
+        const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'], signal });
+
+        ffmpeg.stderr.on('data', chunk => {
+            // Keep the tail for error messages
+            log = (log + chunk).slice(-8000);
+            totalSeconds ??= parseDuration(log);
+        });
+
+        // -progress writes key=value blocks; out_time_us is how far into the video ffmpeg is
+        ffmpeg.stdout.on('data', chunk => {
+            const match = String(chunk).match(/out_time_us=(\d+)/g)?.pop();
+            if (!match || !totalSeconds) return;
+
+            const done = Math.min(1, Number(match.split('=')[1]) / 1e6 / totalSeconds);
+            const elapsed = (Date.now() - startTime) / 1000;
+            onProgress({
+                phase: 'transcoding',
+                percent: Math.round(done * 100),
+                eta: done > 0 ? Math.max(0, Math.round(elapsed / done - elapsed)) : null
+            });
+        });
+
+        ffmpeg.on('error', error => {
+            reject(error.code === 'ENOENT' ? new Error('ffmpeg not found - install it to convert videos') : error);
+        });
+        ffmpeg.on('close', code => {
+            if (code === 0) {
+                resolve(outputPath);
+            } else {
+                const lastLine = log.trim().split('\n').pop();
+                reject(new Error(`ffmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+            }
+        });
+    });
+}
+
+export {
+    QUALITY_LEVELS,
+    TRANSCODE_FORMATS,
+    buildTranscodeArgs,
+    parseDuration,
+    transcode
+};
@@ -8,9 +8,24 @@ import { createServer as createViteServer } from 'vite';
 import puppeteer from 'puppeteer';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFile } from 'fs/promises';
+import { readFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
 import { existsSync } from 'fs';
 import * as dotenv from 'dotenv';
+import { validateRoute, validateRouteSegments, formatValidationReport } from './js/route-schema.js';
+import { normalizeRoute, createTimeline, getAttribution, DEFAULT_ANIMATION, ATTRIBUTION_MODES } from './js/route-normalize.js';
+import { createRouter, routingConfigFromEnv } from './js/routing.js';
+import { createGeocoder } from './js/geocoding.js';
+import { createGeoCache, createCachedResolver } from './lib/geo-cache.js';
+import { createFramePlan, installFrameRenderer, listFrameTiles, captureFrames, formatFrameRanges, encodeFrames, DEFAULT_FPS, DEFAULT_TILE_TIMEOUT } from './lib/frame-renderer.js';
+import { createTileCache } from './lib/tile-cache.js';
+import { loadTileLayers } from './lib/load-tile-layers.js';
+import { createJobQueue, ACTIVE_STATUSES } from './lib/render-jobs.js';
+import { transcode, TRANSCODE_FORMATS, QUALITY_LEVELS } from './lib/transcode.js';
+import { FRAME_PRESETS, DEFAULT_FRAME, frameViewport } from './js/frame-presets.js';
+import { DEFAULT_TILE_LAYER } from './js/tile-layers.js';
+import { ROUTE_NAME_PATTERN } from './js/route-library.js';
+import { createRouteLibrary, routeFileProblem } from './lib/route-library.js';
 
 dotenv.config();
 
@@ -18,26 +33,64 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
-const FPS = 30;
+const FPS = DEFAULT_FPS;
 
 // Load shared modules
 const zoomUtilsCode = await readFile(join(__dirname, 'js', 'zoom-utils.js'), 'utf-8');
 const animationCoreCode = await readFile(join(__dirname, 'js', 'animation-core.js'), 'utf-8');
 
-// Tile layer configurations
-const TILE_LAYERS = {
-    osm: { url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', options: { maxZoom: 19, subdomains: 'abc' } },
-    watercolor: { url: 'https://watercolormaps.collection.cooperhewitt.org/tile/watercolor/{z}/{x}/{y}.jpg', options: { maxZoom: 15 } },
-    terrain: { url: 'https://tile.opentopomap.org/{z}/{x}/{y}.png', options: { maxZoom: 17 } },
-    toner: { url: 'https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    dark: { url: 'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    voyager: { url: 'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png', options: { maxZoom: 20 } },
-    humanitarian: { url: 'https://a.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', options: { maxZoom: 19 } }
-};
-
-// Recording state
-let isRecording = false;
-let recordingProgress = { phase: '', percent: 0, status: 'idle' };
+// Tile layers - built-in, tile-layers.json and local basemaps in tiles/ (see lib/load-tile-layers.js)
+const { layers: TILE_LAYERS, custom: customTileLayers, local: localTileLayers } = await loadTileLayers().catch(e => {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+});
+
+// Tiles are served from /tiles/:layer/:z/:x/:y - cached on disk, so renders work offline (see lib/tile-cache.js)
+const tileCache = createTileCache({ layers: TILE_LAYERS });
+await tileCache.open().catch(e => {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+});
+
+// Geocoding/routing through the disk cache (see lib/geo-cache.js)
+const geoCache = createGeoCache();
+const resolver = createCachedResolver(
+    geoCache,
+    createGeocoder({ baseUrl: process.env.NOMINATIM_URL }),
+    createRouter(routingConfigFromEnv(process.env))
+);
+
+// Route files for the editor and the recorder (see lib/route-library.js)
+const routeLibrary = createRouteLibrary();
+
+// Recording modes for /api/record (see recordAnimation)
+const RECORD_MODES = ['realtime', 'frames'];
+
+// Render queue - every recording is a job with its own directory (see lib/render-jobs.js)
+const jobs = createJobQueue({
+    run: (request, context) => request.type === 'transcode'
+        ? transcodeVideo(request, context)
+        : recordAnimation(request.routeSegments, request.options, request.tile, request.mode, request.frame, context)
+});
+
+/**
+ * A tile layer as served through the tile cache (/tiles/:layer/...)
+ * @param {string} key - Key in TILE_LAYERS
+ * @param {string} origin - Put before the path ('' in the browser, this server's URL for Puppeteer)
+ * @returns {Object} { label, url, options } for L.tileLayer()
+ */
+function cachedTileLayer(key, origin = '') {
+    const { label, options = {} } = TILE_LAYERS[key];
+    const { subdomains, ...leafletOptions } = options;
+    return { label, url: `${origin}/tiles/${key}/{z}/{x}/{y}`, options: leafletOptions };
+}
+
+/**
+ * Job as returned by the API - with its download URL once complete
+ */
+function jobResponse(job) {
+    return { ...job, downloadUrl: job.status === 'complete' ? `/api/jobs/${job.id}/download` : null };
+}
 
 async function startServer() {
     const app = express();
@@ -49,63 +102,366 @@ async function startServer() {
         appType: 'spa'
     });
     
-    // API: Get recording status
+    const requeued = await jobs.load();
+    if (requeued) console.log(`🎬 ${requeued} queued render job${requeued === 1 ? '' : 's'} picked up again`);
+
+    // API: Get recording status (most recent job - see /api/jobs for all of them)
     app.get('/api/status', (req, res) => {
-        res.json({ isRecording, progress: recordingProgress });
+        const [latest] = jobs.list();
+        res.json({
+            isRecording: jobs.list({ status: 'running' }).length > 0,
+            progress: latest
+                ? { ...latest.progress, status: latest.status === 'running' ? 'recording' : latest.status, jobId: latest.id, error: latest.error }
+                : { phase: '', percent: 0, status: 'idle' }
+        });
     });
 
-    // API: Start recording
+    // API: Queue a recording - responds with the job (poll /api/jobs/:id)
     app.post('/api/record', async (req, res) => {
-        if (isRecording) {
-            return res.status(409).json({ error: 'Recording already in progress' });
-        }
-
-        const { routeSegments, options, tile = 'osm' } = req.body;
+        // Without a tile layer in the request, the route file's own basemap
+        const { routeSegments, route, options, tile = route?.tile || DEFAULT_TILE_LAYER, mode = 'realtime', frame = DEFAULT_FRAME } = req.body;
         
         if (!routeSegments || !routeSegments.length) {
             return res.status(400).json({ error: 'No route segments provided' });
         }
+        if (!RECORD_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Unknown mode: ${mode}. Available: ${RECORD_MODES.join(', ')}` });
+        }
+        if (!FRAME_PRESETS[frame]) {
+            return res.status(400).json({ error: `Unknown frame: ${frame}. Available: ${Object.keys(FRAME_PRESETS).join(', ')}` });
+        }
+        if (!TILE_LAYERS[tile]) {
+            return res.status(400).json({ error: `Unknown tile layer: ${tile}. Available: ${Object.keys(TILE_LAYERS).join(', ')}` });
+        }
+        const creditsMode = options?.attribution?.mode;
+        if (creditsMode !== undefined && !ATTRIBUTION_MODES.includes(creditsMode)) {
+            return res.status(400).json({ error: `Unknown attribution mode: ${creditsMode}. Available: ${ATTRIBUTION_MODES.join(', ')}` });
+        }
 
-        isRecording = true;
-        recordingProgress = { phase: 'starting', percent: 0, status: 'recording' };
-
-        // Run recording in background
-        recordAnimation(routeSegments, options, tile)
-            .then(videoPath => {
-                recordingProgress = { phase: 'complete', percent: 100, status: 'complete', videoPath };
-            })
-            .catch(err => {
-                console.error('Recording error:', err);
-                recordingProgress = { phase: 'error', percent: 0, status: 'error', error: err.message };
-            })
-            .finally(() => {
-                isRecording = false;
+        // Validate the resolved segments, and the source route file when sent along
+        const validation = validateRouteSegments(routeSegments);
+        if (route) {
+            const routeValidation = validateRoute(normalizeRoute(route).route);
+            validation.errors.push(...routeValidation.errors);
+            validation.warnings.push(...routeValidation.warnings);
+        }
+        if (validation.errors.length) {
+            return res.status(400).json({
+                error: `Invalid route:\n${formatValidationReport({ errors: validation.errors, warnings: [] })}`,
+                errors: validation.errors.map(String),
+                warnings: validation.warnings.map(String)
             });
+        }
+        if (validation.warnings.length) {
+            console.warn(`Route warnings:\n${formatValidationReport(validation)}`);
+        }
 
-        res.json({ message: 'Recording started', status: 'recording' });
+        const job = await jobs.add({ type: 'record', routeSegments, options, tile, mode, frame }, { type: 'record', mode, frame, tile, title: options?.title || '' });
+        res.status(202).json({ message: job.status === 'queued' ? 'Recording queued' : 'Recording started', job: jobResponse(job) });
     });
 
-    // API: Download video (WebM)
-    app.get('/api/download', (req, res) => {
-        const videoPath = join(__dirname, 'map-animation.webm');
-        if (existsSync(videoPath)) {
-            res.download(videoPath, 'map-animation.webm');
-        } else {
-            res.status(404).json({ error: 'Video not found' });
+    // API: List render jobs - ?status=queued|running|complete|error|cancelled
+    app.get('/api/jobs', (req, res) => {
+        res.json({ jobs: jobs.list({ status: req.query.status }).map(jobResponse) });
+    });
+
+    // API: One render job (status, progress, download URL)
+    app.get('/api/jobs/:id', (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(jobResponse(job));
+    });
+
+    // API: Convert a recorded video with the local ffmpeg - body: { format, crf }
+    // format: h264 | h265 | vp9 | av1 | gif | apng; crf on the H.264 scale (18 high - 28 low).
+    // Queued as a job of its own: follow it and download the result like a recording.
+    app.post('/api/jobs/:id/transcode', async (req, res) => {
+        const source = jobs.get(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (source.type === 'transcode' || !jobs.outputPath(source)) {
+            return res.status(409).json({ error: `Job has no recording to convert (${source.type === 'transcode' ? 'it is a conversion' : source.status})` });
+        }
+
+        const { format = 'h264', crf = QUALITY_LEVELS.medium } = req.body || {};
+        if (!TRANSCODE_FORMATS[format]) {
+            return res.status(400).json({ error: `Unknown format: ${format}. Available: ${Object.keys(TRANSCODE_FORMATS).join(', ')}` });
+        }
+        if (!Number.isInteger(crf) || crf < 0 || crf > 51) {
+            return res.status(400).json({ error: 'crf must be an integer from 0 to 51' });
+        }
+
+        const job = await jobs.add({ type: 'transcode', source: source.id, format, crf }, { type: 'transcode', source: source.id, format, title: source.title });
+        res.status(202).json({ message: job.status === 'queued' ? 'Conversion queued' : 'Conversion started', job: jobResponse(job) });
+    });
+
+    // API: Follow a render job as Server-Sent Events - a `job` event (the job, as for
+    // GET /api/jobs/:id) on every status change and progress report; ends once the job is done
+    app.get('/api/jobs/:id/events', (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+
+        const send = job => {
+            res.write(`event: job\ndata: ${JSON.stringify(jobResponse(job))}\n\n`);
+            if (!ACTIVE_STATUSES.includes(job.status)) res.end();
+        };
+        const unsubscribe = jobs.subscribe(job.id, send);
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        res.on('close', () => {
+            unsubscribe();
+            clearInterval(keepAlive);
+        });
+
+        send(job);
+    });
+
+    // API: Cancel a queued/running job, or delete a finished one with its video
+    app.delete('/api/jobs/:id', async (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (ACTIVE_STATUSES.includes(job.status)) {
+            return res.json({ job: jobResponse(await jobs.cancel(job.id)) });
+        }
+        await jobs.remove(job.id);
+        res.json({ removed: 1 });
+    });
+
+    // API: Download a job's video
+    app.get('/api/jobs/:id/download', (req, res) => {
+        const job = jobs.get(req.params.id);
+        const videoPath = jobs.outputPath(job);
+        if (!videoPath || !existsSync(videoPath)) {
+            return res.status(404).json({ error: job ? `Job has no video (${job.status})` : 'Job not found' });
+        }
+        res.download(videoPath, `map-animation-${job.id}.${job.output.format}`);
+    });
+
+    // API: List the route library
+    app.get('/api/routes', async (req, res) => {
+        try {
+            res.json({ dir: routeLibrary.dir, routes: await routeLibrary.list() });
+        } catch (err) {
+            console.error('Route library error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // The route library's files, for GPX tracks referenced by a route ("gpx": "hike.gpx").
+    // Missing files are a 404 here - not Vite's index.html
+    app.use('/routes', express.static(routeLibrary.dir, { index: false, fallthrough: false }));
+
+    // API: Read a route file - { name, file, updatedAt, data }
+    app.get('/api/routes/:name', async (req, res) => {
+        const { name } = req.params;
+        if (!ROUTE_NAME_PATTERN.test(name)) {
+            return res.status(400).json({ error: `Invalid route name: ${name}` });
+        }
+
+        try {
+            const routeFile = await routeLibrary.get(name);
+            if (!routeFile) {
+                return res.status(404).json({ error: `No route file named ${name}` });
+            }
+            res.json(routeFile);
+        } catch (err) {
+            console.error('Route library error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Add a route file - body: { name, data }; 409 when the name is taken
+    app.post('/api/routes', async (req, res) => {
+        const { name, data } = req.body || {};
+        if (typeof name !== 'string' || !ROUTE_NAME_PATTERN.test(name)) {
+            return res.status(400).json({ error: 'name must start with a letter or digit and use only letters, digits, space, _ . and -' });
+        }
+        const problem = routeFileProblem(data);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+        if (routeLibrary.exists(name)) {
+            return res.status(409).json({ error: `There is already a route file named ${name}` });
+        }
+
+        try {
+            const entry = await routeLibrary.save(name, data);
+            console.log(`📝 Route file added: ${entry.file}`);
+            res.status(201).json(entry);
+        } catch (err) {
+            console.error('Route library error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Save and/or rename a route file - body: { data, name }; data replaces the
+    // contents (creating the file if needed), name renames it (409 when taken)
+    app.put('/api/routes/:name', async (req, res) => {
+        let { name } = req.params;
+        const { data, name: newName } = req.body || {};
+        if (!ROUTE_NAME_PATTERN.test(name)) {
+            return res.status(400).json({ error: `Invalid route name: ${name}` });
+        }
+        if (data === undefined && newName === undefined) {
+            return res.status(400).json({ error: 'Nothing to do - send data to save, name to rename' });
+        }
+        if (newName !== undefined && (typeof newName !== 'string' || !ROUTE_NAME_PATTERN.test(newName))) {
+            return res.status(400).json({ error: 'name must start with a letter or digit and use only letters, digits, space, _ . and -' });
+        }
+        const problem = data === undefined ? null : routeFileProblem(data);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+        if (data === undefined && !routeLibrary.exists(name)) {
+            return res.status(404).json({ error: `No route file named ${name}` });
+        }
+        if (newName !== undefined && newName !== name && routeLibrary.exists(newName)) {
+            return res.status(409).json({ error: `There is already a route file named ${newName}` });
+        }
+
+        try {
+            let entry = null;
+            if (data !== undefined) {
+                entry = await routeLibrary.save(name, data);
+                console.log(`💾 Route file saved: ${entry.file}`);
+            }
+            if (newName !== undefined && newName !== name) {
+                entry = await routeLibrary.rename(name, newName);
+                console.log(`📝 Route file renamed: ${name}.json → ${entry.file}`);
+                name = newName;
+            }
+            res.json(entry || (await routeLibrary.list()).find(file => file.name === name));
+        } catch (err) {
+            console.error('Route library error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Delete a route file
+    app.delete('/api/routes/:name', async (req, res) => {
+        const { name } = req.params;
+        if (!ROUTE_NAME_PATTERN.test(name)) {
+            return res.status(400).json({ error: `Invalid route name: ${name}` });
+        }
+
+        try {
+            if (!await routeLibrary.remove(name)) {
+                return res.status(404).json({ error: `No route file named ${name}` });
+            }
+            console.log(`🗑️  Route file deleted: ${name}.json`);
+            res.json({ removed: 1 });
+        } catch (err) {
+            console.error('Route library error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Geocode an address (cached)
+    app.get('/api/geocode', async (req, res) => {
+        const { q, refresh } = req.query;
+        if (!q) {
+            return res.status(400).json({ error: 'Missing address (q)' });
         }
+
+        try {
+            const result = await resolver.geocode(q, { refresh: refresh === '1' || refresh === 'true' });
+            if (!result) {
+                return res.status(404).json({ error: `Address not found: ${q}` });
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Geocode error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Route one segment (cached) - body: { start, end, travelMode, viaPoints, provider, refresh }
+    app.post('/api/route', async (req, res) => {
+        const { start, end, travelMode, viaPoints = [], provider = null, refresh = false } = req.body || {};
+        const isLatLng = p => Array.isArray(p) && p.length === 2 && p.every(n => typeof n === 'number');
+        if (!isLatLng(start) || !isLatLng(end) || !Array.isArray(viaPoints) || !viaPoints.every(isLatLng)) {
+            return res.status(400).json({ error: 'start, end and viaPoints must be [lat, lng] pairs' });
+        }
+
+        try {
+            res.json(await resolver.route(start, end, { travelMode, viaPoints, provider }, { refresh }));
+        } catch (err) {
+            console.error('Route error:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // API: Inspect the geocoding/routing cache - ?type=geocode|route&q=<text in key>
+    app.get('/api/cache', async (req, res) => {
+        const { type, q } = req.query;
+        const entries = await geoCache.list({ type, q });
+        res.json({ dir: geoCache.dir, count: entries.length, entries });
+    });
+
+    // API: Invalidate one cache entry
+    app.delete('/api/cache/:id', async (req, res) => {
+        const removed = await geoCache.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.json({ removed: 1 });
+    });
+
+    // API: Invalidate matching cache entries (everything without a filter)
+    app.delete('/api/cache', async (req, res) => {
+        const { type, q } = req.query;
+        const removed = await geoCache.clear({ type, q });
+        console.log(`🗑️  Cleared ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`);
+        res.json({ removed });
+    });
+
+    // API: Tile layers for the recorder and the editor - all of them through the tile cache
+    app.get('/api/tile-layers', (req, res) => {
+        const layers = Object.fromEntries(Object.keys(TILE_LAYERS).map(key => [key, cachedTileLayer(key)]));
+        res.json({ default: DEFAULT_TILE_LAYER, layers });
     });
 
-    // API: Get WebM blob for client-side FreeConvert conversion
-    app.get('/api/video-blob', (req, res) => {
-        const videoPath = join(__dirname, 'map-animation.webm');
-        if (existsSync(videoPath)) {
-            res.setHeader('Content-Type', 'video/webm');
-            res.sendFile(videoPath);
-        } else {
-            res.status(404).json({ error: 'Video not found' });
+    // Tiles through the disk cache - /tiles/:layer/:z/:x/:y, with or without an extension on y
+    app.get('/tiles/:layer/:z/:x/:y', async (req, res) => {
+        const { layer } = req.params;
+        const [z, x, y] = [req.params.z, req.params.x, req.params.y.replace(/\.\w+$/, '')].map(Number);
+        if (!TILE_LAYERS[layer]) {
+            return res.status(404).json({ error: `Unknown tile layer: ${layer}` });
+        }
+        if (![z, x, y].every(Number.isInteger)) {
+            return res.status(400).json({ error: 'z, x and y must be integers' });
+        }
+
+        try {
+            const tile = await tileCache.getTile(layer, z, x, y);
+            if (!tile) {
+                return res.status(404).end();
+            }
+            res.set({ 'Content-Type': tile.contentType, 'Cache-Control': 'public, max-age=86400', 'X-Tile-Source': tile.source });
+            res.send(tile.data);
+        } catch (err) {
+            res.status(502).json({ error: err.message });
         }
     });
 
+    // API: Download the most recent complete video
+    app.get('/api/download', (req, res) => {
+        const [latest] = jobs.list({ status: 'complete' });
+        if (!latest) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        res.redirect(`/api/jobs/${latest.id}/download`);
+    });
+
     // Root route - redirect to recorder
     app.get('/', (req, res) => {
         res.redirect('/recorder.html');
@@ -121,198 +477,181 @@ async function startServer() {
         console.log(`\n🗺️  Map Animation Server running at http://localhost:${PORT}`);
         console.log(`   - Recorder: http://localhost:${PORT}/recorder.html`);
         console.log(`   - Editor:   http://localhost:${PORT}/editor.html`);
-        console.log(`   - Preview:  http://localhost:${PORT}/map.html\n`);
+        console.log(`   - Preview:  http://localhost:${PORT}/map.html`);
+        console.log(`   - Tiles:    http://localhost:${PORT}/tiles/<layer>/{z}/{x}/{y} (cache: ${tileCache.dir})`);
+        console.log(`   - Routes:   http://localhost:${PORT}/api/routes (${routeLibrary.dir})\n`);
+        if (customTileLayers.length) {
+            console.log(`🗺️  Tile layers from tile-layers.json: ${customTileLayers.join(', ')}`);
+        }
+        if (localTileLayers.length) {
+            console.log(`🗺️  Local basemaps: ${localTileLayers.join(', ')}`);
+        }
     });
 }
 
-async function recordAnimation(routeSegments, options, tileKey) {
+/**
+ * Record the animation with Puppeteer
+ * @param {Array} routeSegments
+ * @param {Object} options - Animation options from the recorder (attribution: the route's attribution block, Credits menu mode)
+ * @param {string} tileKey - Key in TILE_LAYERS
+ * @param {string} mode - 'realtime': screencast to WebM while the page animates itself;
+ *   'frames': step every frame explicitly, screenshot it and encode an MP4 with ffmpeg
+ *   (same frames every run, whatever the machine load - see lib/frame-renderer.js)
+ * @param {string} frameKey - Key in FRAME_PRESETS (js/frame-presets.js) - size and shape of the video
+ * @param {Object} context - From the job queue: { outputDir, onProgress, signal }
+ * @returns {Promise<Object>} { path, duration } - the video and its length in seconds
+ */
+async function recordAnimation(routeSegments, options, tileKey, mode = 'realtime', frameKey = DEFAULT_FRAME, { outputDir, onProgress = () => {}, signal } = {}) {
     const {
-        lineColor = '#8B4513',
-        lineWidth = 4,
+        lineColor = DEFAULT_ANIMATION.lineColor,
+        lineWidth = DEFAULT_ANIMATION.lineWidth,
         title = 'ADVENTURE',
         date = '',
         finalDestination = 'DESTINATION',
         startZoomLevel = 13,
-        animationDuration = 15000
+        animationDuration = DEFAULT_ANIMATION.duration,
+        attribution: attributionSettings
     } = options || {};
 
-    const tileLayer = TILE_LAYERS[tileKey] || TILE_LAYERS.osm;
-
-    // Timing
-    const TITLE_DURATION = 3;
-    const PAN_DURATION = 2.5;
-    const ROUTE_DURATION = animationDuration / 1000;
-    const END_DURATION = 2;
-
-    const totalPauseTime = routeSegments.reduce((sum, seg) => sum + (seg.pause || 0.5), 0);
-    const totalDuration = TITLE_DURATION + PAN_DURATION + ROUTE_DURATION + totalPauseTime + END_DURATION;
-    const totalFrames = Math.ceil(totalDuration * FPS);
+    // Tiles come through this server's cache, not straight from the tile server
+    // (a job queued before a restart may name a layer that is gone since)
+    const tileLayerKey = TILE_LAYERS[tileKey] ? tileKey : DEFAULT_TILE_LAYER;
+    const tileLayer = cachedTileLayer(tileLayerKey, `http://localhost:${PORT}`);
 
-    const TITLE_END_FRAME = Math.floor(TITLE_DURATION * FPS);
-    const PAN_END_FRAME = Math.floor((TITLE_DURATION + PAN_DURATION) * FPS);
-    const ROUTE_END_FRAME = Math.floor((TITLE_DURATION + PAN_DURATION + ROUTE_DURATION + totalPauseTime) * FPS);
+    // Map credits - the tile layer's attribution in a corner unless the recorder says otherwise
+    const route = { animation: { duration: animationDuration }, attribution: attributionSettings };
+    const attribution = getAttribution(route, tileLayer);
 
-    const segmentPauseFrames = routeSegments.map(seg => Math.floor((seg.pause || 0.5) * FPS));
-    const totalPauseFrames = segmentPauseFrames.reduce((a, b) => a + b, 0);
-    const routeOnlyFrames = ROUTE_END_FRAME - PAN_END_FRAME - totalPauseFrames;
+    // Timing (shared with the recorder preview and the CLI renderers)
+    const timeline = createTimeline(route, routeSegments);
+    const plan = createFramePlan(timeline, FPS);
+    const totalDuration = timeline.total / 1000;
+    const viewport = frameViewport(frameKey);
 
-    console.log(`\n📊 Recording: ${totalDuration.toFixed(1)}s (real-time screencast)`);
+    console.log(`\n📊 Recording: ${totalDuration.toFixed(1)}s, ${FRAME_PRESETS[frameKey].label} (${mode === 'frames' ? `${plan.totalFrames} frames` : 'real-time screencast'})`);
 
-    recordingProgress = { phase: 'launching', percent: 5, status: 'recording' };
+    onProgress({ phase: 'launching', percent: 5 });
 
     const browser = await puppeteer.launch({
         headless: 'new',
-        defaultViewport: { width: 1280, height: 720, deviceScaleFactor: 2 },
+        defaultViewport: viewport,
         args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-web-security']
     });
 
-    const page = await browser.newPage();
-    const htmlPath = 'file://' + join(__dirname, 'map.html');
-    
-    recordingProgress = { phase: 'loading', percent: 10, status: 'recording' };
-    
-    await page.goto(htmlPath, { waitUntil: 'networkidle0' });
-    await page.waitForFunction(() => window.L !== undefined);
-    await new Promise(r => setTimeout(r, 1000));
-
-    // Initialize map
-    await page.evaluate((segments, opts) => {
-        window.initMap(segments, opts);
-        // Make sure map is accessible globally
-        window.map = window.getMap();
-    }, routeSegments, {
-        lineColor, lineWidth, title, date, finalDestination, startZoomLevel, tileLayer
-    });
+    // Cancelling the job closes the browser, which fails whatever step is running
+    const abort = () => browser.close().catch(() => {});
+    signal?.addEventListener('abort', abort, { once: true });
 
-    recordingProgress = { phase: 'tiles', percent: 15, status: 'recording' };
-    await new Promise(r => setTimeout(r, 5000));
+    try {
+        signal?.throwIfAborted();
+        const page = await browser.newPage();
+        const htmlPath = 'file://' + join(__dirname, 'map.html');
 
-    // Inject modules
-    await page.evaluate((code) => eval(code), zoomUtilsCode);
-    await page.evaluate((code) => eval(code), animationCoreCode);
+        onProgress({ phase: 'loading', percent: 10 });
 
-    // Setup renderer
-    await page.evaluate((totalFrames, titleEndFrame, panEndFrame, routeEndFrame, segmentPauseFrames, routeOnlyFrames) => {
-        const { routeSegments, lineColor, lineWidth, finalDestination, title, date, startZoomLevel } = window.mapData;
-        
-        window.animState = window.AnimationCore.createAnimationState();
-        window.animConfig = window.AnimationCore.createAnimationConfig(map, routeSegments, {
-            startZoomLevel, lineColor, lineWidth, title, date, finalDestination
+        await page.goto(htmlPath, { waitUntil: 'networkidle0' });
+        await page.waitForFunction(() => window.L !== undefined);
+        await page.evaluate(() => document.fonts.ready);
+
+        // Initialize map - tiles fade in only in a real-time recording
+        await page.evaluate((segments, opts) => window.initMap(segments, opts), routeSegments, {
+            lineColor, lineWidth, title, date, finalDestination, startZoomLevel, tileLayer, attribution,
+            fadeAnimation: mode !== 'frames'
         });
-        
-        window.animElements = {
-            titleCard: document.getElementById('title-card'),
-            dateStamp: document.getElementById('date-stamp'),
-            destinationCard: document.getElementById('destination-card'),
-            motorcycle: document.getElementById('motorcycle'),
-            person: document.getElementById('person'),
-            car: document.getElementById('car'),
-            backpacker: document.getElementById('backpacker')
-        };
-        
-        window.animSmoothing = { position: 0.12, zoom: 0.06, animate: false };
-        
-        window.pauseState = {
-            isPaused: false,
-            pauseFramesRemaining: 0,
-            lastPausedAfterSegment: -1
-        };
-        
-        window.cumulativePauseFrames = [];
-        let sum = 0;
-        for (let i = 0; i < segmentPauseFrames.length; i++) {
-            window.cumulativePauseFrames.push(sum);
-            sum += segmentPauseFrames[i];
-        }
-        
-        window.renderCinematicFrame = function(frameNumber) {
-            const ps = window.pauseState;
-            
-            if (ps.isPaused) {
-                ps.pauseFramesRemaining--;
-                if (ps.pauseFramesRemaining <= 0) ps.isPaused = false;
-                return;
-            }
-            
-            let phase, phaseProgress;
-            
-            if (frameNumber < titleEndFrame) {
-                phase = 'title';
-                phaseProgress = frameNumber / titleEndFrame;
-            } else if (frameNumber < panEndFrame) {
-                phase = 'pan';
-                phaseProgress = (frameNumber - titleEndFrame) / (panEndFrame - titleEndFrame);
-            } else if (frameNumber < routeEndFrame) {
-                phase = 'route';
-                const routeFrameNumber = frameNumber - panEndFrame;
-                const pauseFramesSoFar = window.cumulativePauseFrames[ps.lastPausedAfterSegment + 1] || 0;
-                const effectiveFrame = routeFrameNumber - pauseFramesSoFar;
-                phaseProgress = Math.min(effectiveFrame / routeOnlyFrames, 1);
-            } else {
-                phase = 'end';
-                phaseProgress = (frameNumber - routeEndFrame) / (totalFrames - routeEndFrame);
-            }
-            
-            const result = window.AnimationCore.renderFrame({
-                phase,
-                phaseProgress: Math.min(1, Math.max(0, phaseProgress)),
-                state: window.animState,
-                config: window.animConfig,
-                map: window.getMap(),
-                routeSegments: routeSegments,
-                elements: window.animElements,
-                smoothing: window.animSmoothing
-            });
-            
-            if (result.shouldPause && result.pauseDuration > 0) {
-                ps.lastPausedAfterSegment = result.pauseAtSegment;
-                ps.isPaused = true;
-                ps.pauseFramesRemaining = Math.floor(result.pauseDuration * 30);
+
+        onProgress({ phase: 'tiles', percent: 15 });
+
+        // Inject modules
+        await page.evaluate((code) => eval(code), zoomUtilsCode);
+        await page.evaluate((code) => eval(code), animationCoreCode);
+
+        // Setup renderer
+        await installFrameRenderer(page, plan);
+
+        // Every tile the camera will show, before the first frame
+        const tiles = await listFrameTiles(page, plan, { maxZoom: tileLayer.options.maxZoom });
+        const prefetched = await tileCache.prefetch(tileLayerKey, tiles, {
+            signal,
+            onProgress: ({ done, total }) => {
+                if (done % 20 === 0 || done === total) {
+                    onProgress({ phase: 'tiles', percent: 15 + Math.round(5 * done / total), tiles: done, totalTiles: total });
+                }
             }
-        };
-        
-    }, totalFrames, TITLE_END_FRAME, PAN_END_FRAME, ROUTE_END_FRAME, segmentPauseFrames, routeOnlyFrames);
+        });
+        console.log(`🧱 Tiles: ${prefetched.total} (${prefetched.fetched} downloaded${prefetched.failed ? `, ${prefetched.failed} failed` : ''})`);
+
+        // The first frame, with its tiles in place
+        await page.evaluate(() => window.renderCinematicFrame(0));
+        await page.evaluate(t => window.waitForTiles(t), DEFAULT_TILE_TIMEOUT);
+
+        const context = { outputDir, onProgress, signal, totalSegments: routeSegments.length, durationMs: timeline.total };
+        const result = mode === 'frames'
+            ? await recordFrames(page, plan, context)
+            : { path: await recordScreencast(page, plan, context) };
+        return { ...result, duration: totalDuration };
+    } finally {
+        signal?.removeEventListener('abort', abort);
+        await browser.close().catch(() => {});
+    }
+}
 
-    await new Promise(r => setTimeout(r, 2000));
+/**
+ * Convert a recording job's video (see lib/transcode.js)
+ * @param {Object} request - { source: job id, format, crf }
+ * @param {Object} context - From the job queue: { outputDir, onProgress, signal }
+ * @returns {Promise<Object>} { path, duration }
+ */
+async function transcodeVideo({ source, format, crf }, { outputDir, onProgress, signal }) {
+    const sourceJob = jobs.get(source);
+    const inputPath = jobs.outputPath(sourceJob);
+    if (!inputPath || !existsSync(inputPath)) {
+        throw new Error(`The recording to convert (job ${source}) is gone`);
+    }
+
+    console.log(`🎞️  Converting job ${source} to ${TRANSCODE_FORMATS[format].label}...`);
+    const duration = sourceJob.output.duration || null;
+    const path = await transcode(inputPath, outputDir, { format, crf, duration, onProgress, signal });
+    return { path, duration };
+}
+
+/**
+ * Real-time recording: the page animates itself while page.screencast records WebM
+ * Fast, but frame timing depends on machine load.
+ */
+async function recordScreencast(page, plan, { outputDir, onProgress, totalSegments, durationMs }) {
+    const { totalFrames } = plan;
+
+    // The animation loop reports back every few frames
+    await page.exposeFunction('reportRenderProgress', ({ frame, phase, segmentIndex }) => onProgress({
+        phase: 'recording',
+        percent: Math.round(20 + 78 * frame / totalFrames),
+        frame,
+        totalFrames,
+        eta: Math.max(0, Math.round((totalFrames - frame) / plan.fps)),
+        animationPhase: phase,
+        segmentIndex,
+        totalSegments
+    }));
 
     // Start screencast recording (records directly to WebM - much faster!)
-    const outputPath = join(__dirname, 'map-animation.webm');
+    const outputPath = join(outputDir, 'map-animation.webm');
     console.log('🎬 Starting screencast recording...');
     const startTime = Date.now();
     
-    recordingProgress = { phase: 'recording', percent: 20, status: 'recording' };
+    onProgress({ phase: 'recording', percent: 20 });
     
     const recorder = await page.screencast({ path: outputPath });
     
-    // Run the animation in real-time
-    const animationDurationMs = totalDuration * 1000;
-    const updateInterval = 100; // Update progress every 100ms
-    let elapsed = 0;
-    
-    // Start the animation loop in the browser
-    await page.evaluate((durationMs) => {
+    // Run the animation in real-time in the browser (the frames include the pauses)
+    await page.evaluate((durationMs, fps) => {
         return new Promise(resolve => {
             let startTime = null;
-            let pausedTime = 0;
-            let isPaused = false;
-            let pauseStartTime = 0;
-            let currentPauseDuration = 0;
+            let lastReportedFrame = -Infinity;
             
             function animate(currentTime) {
                 if (!startTime) startTime = currentTime;
                 
-                if (isPaused) {
-                    const pauseElapsed = currentTime - pauseStartTime;
-                    if (pauseElapsed >= currentPauseDuration) {
-                        isPaused = false;
-                        pausedTime += currentPauseDuration;
-                    } else {
-                        requestAnimationFrame(animate);
-                        return;
-                    }
-                }
-                
-                const elapsed = currentTime - startTime - pausedTime;
+                const elapsed = currentTime - startTime;
                 
                 if (elapsed >= durationMs) {
                     resolve();
@@ -320,16 +659,14 @@ async function recordAnimation(routeSegments, options, tileKey) {
                 }
                 
                 // Calculate frame number from elapsed time
-                const frameNumber = Math.floor((elapsed / 1000) * 30); // 30 FPS
+                const frameNumber = Math.floor((elapsed / 1000) * fps);
                 
                 try {
                     const result = window.renderCinematicFrame(frameNumber);
                     
-                    // Handle pauses from renderFrame result
-                    if (result && result.shouldPause && result.pauseDuration > 0) {
-                        isPaused = true;
-                        pauseStartTime = currentTime;
-                        currentPauseDuration = result.pauseDuration * 1000;
+                    if (frameNumber - lastReportedFrame >= 10) {
+                        lastReportedFrame = frameNumber;
+                        window.reportRenderProgress({ frame: frameNumber, phase: result.phase, segmentIndex: result.segmentIndex });
                     }
                 } catch (e) {
                     console.error('Frame error:', e);
@@ -340,20 +677,63 @@ async function recordAnimation(routeSegments, options, tileKey) {
             
             requestAnimationFrame(animate);
         });
-    }, animationDurationMs);
+    }, durationMs, plan.fps);
     
     // Stop recording
     await recorder.stop();
     
-    console.log('✅ Recording complete!');
-    await browser.close();
-
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\n🎉 Done in ${duration}s (real-time recording)!`);
     
-    recordingProgress = { phase: 'complete', percent: 100, status: 'complete' };
-    
     return outputPath;
 }
 
+/**
+ * Frame-accurate recording: capture every frame to a temp dir, then encode MP4 with ffmpeg
+ * @returns {Promise<Object>} { path, missingTileFrames } - frames captured before all their tiles loaded
+ */
+async function recordFrames(page, plan, { outputDir, onProgress, signal, totalSegments }) {
+    const outputPath = join(outputDir, 'map-animation.mp4');
+    const frameDir = await mkdtemp(join(tmpdir(), 'map-frames-'));
+    console.log(`🎬 Capturing ${plan.totalFrames} frames...`);
+    const startTime = Date.now();
+    let capture;
+
+    try {
+        capture = await captureFrames(page, {
+            totalFrames: plan.totalFrames,
+            frameDir,
+            signal,
+            onProgress: ({ frame, totalFrames, eta, phase, segmentIndex }) => onProgress({
+                phase: 'capturing',
+                percent: Math.round(20 + 70 * frame / totalFrames),
+                frame,
+                totalFrames,
+                eta,
+                animationPhase: phase,
+                segmentIndex,
+                totalSegments
+            })
+        });
+        const { failed, missingTiles } = capture;
+        if (failed) {
+            throw new Error(`${failed} frame${failed === 1 ? '' : 's'} failed to render`);
+        }
+        if (missingTiles.length) {
+            console.warn(`⚠️ Tiles still loading after ${DEFAULT_TILE_TIMEOUT / 1000}s in ${formatFrameRanges(missingTiles)}`);
+        }
+
+        console.log('🎥 Encoding video...');
+        onProgress({ phase: 'encoding', percent: 92 });
+        await encodeFrames(frameDir, outputPath, { fps: plan.fps, loglevel: 'error', signal });
+    } finally {
+        await rm(frameDir, { recursive: true, force: true });
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\n🎉 Done in ${duration}s (${plan.totalFrames} frames)!`);
+
+    return { path: outputPath, missingTileFrames: capture.missingTiles.length };
+}
+
 startServer().catch(console.error);